@@ -1,6 +1,9 @@
 import React, { useEffect, useState } from 'react';
+import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useInternetIdentity } from './hooks/useInternetIdentity';
-import { useGetCallerUserProfile, useGetCallerUserRole, useEnsureUserRegistration } from './hooks/useQueries';
+import { useGetCallerUserProfile, useGetCallerUserRole, useEnsureUserRegistration, useGetEntitlements, useGetCallerBlocked } from './hooks/useQueries';
+import { getActiveEntitlement } from './lib/utils';
+import { isProfileComplete } from './lib/profile';
 import { useActor } from './hooks/useActor';
 import { Toaster } from '@/components/ui/sonner';
 import { ThemeProvider } from 'next-themes';
@@ -10,11 +13,22 @@ import ProfileSetupModal from './components/ProfileSetupModal';
 import UserDashboard from './pages/UserDashboard';
 import AdminDashboard from './pages/AdminDashboard';
 import LandingPage from './pages/LandingPage';
-import { Loader2, AlertCircle } from 'lucide-react';
+import PaymentPage from './pages/PaymentPage';
+import CheckoutReturnPage from './pages/CheckoutReturnPage';
+import CatalogItemPage from './pages/CatalogItemPage';
+import InvoiceDetailPage from './pages/InvoiceDetailPage';
+import NotFoundPage from './pages/NotFoundPage';
+import ProfilePage from './pages/ProfilePage';
+import RequireRole, { getHomePath } from './components/RequireRole';
+import { Loader2, AlertCircle, Ban } from 'lucide-react';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { UserRole } from './backend';
+import { I18nProvider, useI18n } from './i18n/useI18n';
+import { translateError } from './i18n/errors';
 
 function ErrorBoundaryFallback({ error, resetError }) {
+  const { t } = useI18n();
+
   return (
     <ThemeProvider attribute="class" defaultTheme="system" enableSystem>
       <div className="flex min-h-screen items-center justify-center bg-background p-4">
@@ -23,8 +37,8 @@ function ErrorBoundaryFallback({ error, resetError }) {
             <AlertCircle className="h-4 w-4" />
             <AlertDescription>
               <div className="space-y-2">
-                <p className="font-semibold">Application Error</p>
-                <p className="text-sm">{error?.message || 'An unexpected error occurred'}</p>
+                <p className="font-semibold">{t('app.errorTitle')}</p>
+                <p className="text-sm">{error?.message || t('app.unexpectedError')}</p>
               </div>
             </AlertDescription>
           </Alert>
@@ -32,7 +46,7 @@ function ErrorBoundaryFallback({ error, resetError }) {
             onClick={resetError}
             className="w-full px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors"
           >
-            Reload Application
+            {t('app.reload')}
           </button>
         </div>
       </div>
@@ -75,6 +89,8 @@ class ErrorBoundary extends React.Component {
 }
 
 function AppContent() {
+  const { t } = useI18n();
+  const location = useLocation();
   const { identity, isInitializing: identityInitializing } = useInternetIdentity();
   const { actor, isFetching: actorFetching } = useActor();
   
@@ -86,10 +102,12 @@ function AppContent() {
   
   const { data: userRole, isLoading: roleLoading, isFetched: roleFetched } = useGetCallerUserRole(registrationComplete);
   const { data: userProfile, isLoading: profileLoading, isFetched: profileFetched } = useGetCallerUserProfile(registrationComplete);
+  const { data: entitlements, isLoading: entitlementsLoading } = useGetEntitlements(registrationComplete && userRole === UserRole.user);
+  const { data: isBlocked, isLoading: blockedLoading } = useGetCallerBlocked(registrationComplete && userRole === UserRole.user);
 
   const isAuthenticated = !!identity;
   const isActorReady = !!actor && !actorFetching;
-  const showProfileSetup = isAuthenticated && registrationComplete && !profileLoading && profileFetched && userProfile === null;
+  const showProfileSetup = isAuthenticated && registrationComplete && !profileLoading && profileFetched && !isProfileComplete(userProfile);
 
   // Log initialization state
   useEffect(() => {
@@ -119,7 +137,7 @@ function AppContent() {
         },
         onError: (error) => {
           console.error('[App] Registration failed:', error);
-          setInitError(error?.message || 'Registration failed');
+          setInitError(error);
           setTimeout(() => {
             console.log('[App] Retrying registration...');
             setRegistrationAttempted(false);
@@ -152,7 +170,8 @@ function AppContent() {
     !registrationComplete || 
     profileLoading || 
     roleLoading || 
-    !roleFetched
+    !roleFetched ||
+    (userRole === UserRole.user && (entitlementsLoading || blockedLoading))
   );
 
   // Show initialization loading screen
@@ -162,8 +181,8 @@ function AppContent() {
         <div className="text-center space-y-4">
           <Loader2 className="h-12 w-12 animate-spin text-primary mx-auto" />
           <div className="space-y-2">
-            <p className="text-lg font-medium">Initializing application...</p>
-            <p className="text-sm text-muted-foreground">Please wait</p>
+            <p className="text-lg font-medium">{t('app.initializing')}</p>
+            <p className="text-sm text-muted-foreground">{t('app.pleaseWait')}</p>
           </div>
         </div>
       </div>
@@ -177,8 +196,8 @@ function AppContent() {
         <div className="text-center space-y-4">
           <Loader2 className="h-12 w-12 animate-spin text-primary mx-auto" />
           <div className="space-y-2">
-            <p className="text-lg font-medium">Connecting to backend...</p>
-            <p className="text-sm text-muted-foreground">Please wait</p>
+            <p className="text-lg font-medium">{t('app.connecting')}</p>
+            <p className="text-sm text-muted-foreground">{t('app.pleaseWait')}</p>
           </div>
         </div>
       </div>
@@ -192,12 +211,12 @@ function AppContent() {
         <div className="text-center space-y-4">
           <Loader2 className="h-12 w-12 animate-spin text-primary mx-auto" />
           <div className="space-y-2">
-            <p className="text-lg font-medium">Loading user data...</p>
+            <p className="text-lg font-medium">{t('app.loadingUserData')}</p>
             {initError && (
-              <p className="text-sm text-destructive">{initError}</p>
+              <p className="text-sm text-destructive">{translateError(initError)}</p>
             )}
             {!initError && (
-              <p className="text-sm text-muted-foreground">Please wait</p>
+              <p className="text-sm text-muted-foreground">{t('app.pleaseWait')}</p>
             )}
           </div>
         </div>
@@ -214,8 +233,8 @@ function AppContent() {
             <AlertCircle className="h-4 w-4" />
             <AlertDescription>
               <div className="space-y-2">
-                <p className="font-semibold">Backend Connection Error</p>
-                <p className="text-sm">Unable to connect to the backend. Please refresh the page.</p>
+                <p className="font-semibold">{t('app.connectionErrorTitle')}</p>
+                <p className="text-sm">{t('app.connectionError')}</p>
               </div>
             </AlertDescription>
           </Alert>
@@ -223,7 +242,7 @@ function AppContent() {
             onClick={() => window.location.reload()}
             className="w-full px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors"
           >
-            Refresh Page
+            {t('app.refresh')}
           </button>
         </div>
       </div>
@@ -232,41 +251,84 @@ function AppContent() {
 
   const isAdmin = userRole === UserRole.admin;
   const isUser = userRole === UserRole.user;
+  const activeEntitlement = isUser ? getActiveEntitlement(entitlements) : null;
+
+  // After login, return to the page that sent the visitor to the landing page
+  const redirectAfterLogin = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : getHomePath(userRole);
+
+  const guard = (allow, element) => (
+    <RequireRole isAuthenticated={isAuthenticated} userRole={userRole} allow={allow}>
+      {element}
+    </RequireRole>
+  );
 
   return (
     <div className="flex min-h-screen flex-col bg-background">
       <Header />
       <main className="flex-1">
-        {!isAuthenticated ? (
-          <LandingPage />
-        ) : isAdmin ? (
-          <AdminDashboard />
-        ) : isUser ? (
-          <UserDashboard />
+        {isUser && isBlocked ? (
+          <div className="container py-8">
+            <div className="text-center space-y-4">
+              <Ban className="h-12 w-12 text-destructive mx-auto" />
+              <h2 className="text-2xl font-bold">{t('app.blockedTitle')}</h2>
+              <p className="text-muted-foreground">{t('app.blocked')}</p>
+            </div>
+          </div>
+        ) : !isAuthenticated || isAdmin || isUser ? (
+          <Routes>
+            <Route
+              path="/"
+              element={!isAuthenticated ? <LandingPage /> : <Navigate to={redirectAfterLogin} replace />}
+            />
+            <Route
+              path="/pay"
+              element={guard(UserRole.user, <UserDashboard tab="payment" activeEntitlement={activeEntitlement} />)}
+            />
+            <Route path="/pay/:invoiceId" element={guard(UserRole.user, <PaymentPage />)} />
+            <Route path="/checkout/return" element={guard(UserRole.user, <CheckoutReturnPage />)} />
+            <Route
+              path="/catalog"
+              element={guard(UserRole.user, <UserDashboard tab="catalog" activeEntitlement={activeEntitlement} />)}
+            />
+            <Route path="/catalog/:contentId" element={guard(UserRole.user, <CatalogItemPage />)} />
+            <Route
+              path="/history"
+              element={guard(UserRole.user, <UserDashboard tab="history" activeEntitlement={activeEntitlement} />)}
+            />
+            <Route path="/history/:invoiceId" element={guard(UserRole.user, <InvoiceDetailPage />)} />
+            <Route path="/profile" element={guard([UserRole.user, UserRole.admin], <ProfilePage />)} />
+            <Route path="/admin" element={<Navigate to="/admin/settings" replace />} />
+            <Route path="/admin/:tab" element={guard(UserRole.admin, <AdminDashboard />)} />
+            <Route path="*" element={<NotFoundPage />} />
+          </Routes>
         ) : (
           <div className="container py-8">
             <div className="text-center space-y-4">
-              <h2 className="text-2xl font-bold">Access Pending</h2>
-              <p className="text-muted-foreground">
-                Your access level is not determined. Please contact the administrator.
-              </p>
+              <h2 className="text-2xl font-bold">{t('app.accessPendingTitle')}</h2>
+              <p className="text-muted-foreground">{t('app.accessPending')}</p>
             </div>
           </div>
         )}
       </main>
       <Footer />
-      <ProfileSetupModal open={showProfileSetup} />
+      <ProfileSetupModal open={showProfileSetup} profile={userProfile} />
     </div>
   );
 }
 
 export default function App() {
   return (
-    <ErrorBoundary>
-      <ThemeProvider attribute="class" defaultTheme="system" enableSystem>
-        <AppContent />
-        <Toaster />
-      </ThemeProvider>
-    </ErrorBoundary>
+    <I18nProvider>
+      <ErrorBoundary>
+        <ThemeProvider attribute="class" defaultTheme="system" enableSystem>
+          <BrowserRouter>
+            <AppContent />
+          </BrowserRouter>
+          <Toaster />
+        </ThemeProvider>
+      </ErrorBoundary>
+    </I18nProvider>
   );
 }
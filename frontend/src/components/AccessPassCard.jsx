@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Loader2, AlertCircle, ScanLine, RefreshCw } from 'lucide-react';
+import { useGetCallerAccessPass } from '../hooks/useQueries';
+import { getQRCodeDataUrl } from '../lib/qrCode';
+import { formatTimestamp } from '../lib/utils';
+import { useI18n } from '../i18n/useI18n';
+import { translateError } from '../i18n/errors';
+
+// Signed QR code of the user's active access pass, shown to staff at the entrance
+// A new code is fetched every few minutes, so the one on screen is always valid
+export default function AccessPassCard() {
+  const { t } = useI18n();
+  const { data: pass, isLoading, error, refetch, isFetching } = useGetCallerAccessPass();
+  const [qrImage, setQrImage] = useState(null);
+  const [qrError, setQrError] = useState(null);
+
+  useEffect(() => {
+    if (!pass) return;
+    let cancelled = false;
+    getQRCodeDataUrl(pass.token)
+      .then((dataUrl) => {
+        if (!cancelled) {
+          setQrImage(dataUrl);
+          setQrError(null);
+        }
+      })
+      .catch((err) => {
+        console.error('Error generating access pass QR code:', err);
+        if (!cancelled) setQrError(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pass]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ScanLine className="h-5 w-5" />
+          {t('accessPass.title')}
+        </CardTitle>
+        <CardDescription>{t('accessPass.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+          </div>
+        ) : error || qrError ? (
+          <>
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                {t('accessPass.loadFailed', { error: translateError(error ?? qrError) })}
+              </AlertDescription>
+            </Alert>
+            <Button variant="outline" onClick={() => refetch()} disabled={isFetching} className="w-full">
+              <RefreshCw className="mr-2 h-4 w-4" />
+              {t('common.retry')}
+            </Button>
+          </>
+        ) : pass && qrImage ? (
+          <div className="flex flex-col items-center space-y-2">
+            <img src={qrImage} alt={t('accessPass.qrAlt')} className="w-56 h-56 rounded-lg border bg-white" />
+            <p className="text-xs text-muted-foreground text-center">
+              {t('accessPass.validUntil', { date: formatTimestamp(pass.entitlementExpiresAt) })}
+            </p>
+          </div>
+        ) : (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
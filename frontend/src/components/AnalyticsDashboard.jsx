@@ -0,0 +1,221 @@
+import { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, TrendingUp, Percent, UserPlus, Timer } from 'lucide-react';
+import { useGetRevenueAnalytics } from '../hooks/useQueries';
+import { formatTimestamp, formatTimeSpan, ULAANBAATAR_TIME_ZONE } from '../lib/utils';
+import { useI18n } from '../i18n/useI18n';
+import BarChart from './BarChart';
+
+// Length of the bucket label taken from the start of a formatted time
+const INTERVALS = {
+  day: 10,
+  week: 10,
+  month: 7,
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const ulaanbaatarDay = (milliseconds) =>
+  formatTimestamp(BigInt(milliseconds) * 1_000_000n, ULAANBAATAR_TIME_ZONE).slice(0, 10);
+
+const formatAmount = (value) => `₮${Math.round(value).toLocaleString()}`;
+const formatPercent = (value) => `${Math.round(value)}%`;
+const conversionRate = (converted, created) => (created > 0 ? (converted / created) * 100 : 0);
+
+function SummaryCard({ icon: Icon, title, value, description }) {
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardDescription className="flex items-center gap-2">
+          <Icon className="h-4 w-4" />
+          {title}
+        </CardDescription>
+        <CardTitle className="text-2xl">{value}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-xs text-muted-foreground">{description}</p>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Admin analytics tab; the aggregates come from the getRevenueAnalytics backend query
+export default function AnalyticsDashboard() {
+  const { t } = useI18n();
+  const [range, setRange] = useState(() => ({
+    from: ulaanbaatarDay(Date.now() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000),
+    to: ulaanbaatarDay(Date.now()),
+  }));
+  const [interval, setAnalyticsInterval] = useState('day');
+
+  const { data: analytics, isLoading, isFetching, error } = useGetRevenueAnalytics({ ...range, interval });
+
+  const invalidRange = !range.from || !range.to || range.from > range.to;
+
+  const handleRangeChange = (field, value) => {
+    setRange((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toSeries = (getValue) =>
+    (analytics?.buckets || []).map((bucket) => ({
+      label: formatTimestamp(bucket.start, ULAANBAATAR_TIME_ZONE).slice(0, INTERVALS[interval]),
+      value: getValue(bucket),
+    }));
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('analytics.title')}</CardTitle>
+          <CardDescription>{t('analytics.description')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-4 sm:grid-cols-3">
+            <div className="space-y-2">
+              <Label htmlFor="analytics_from">{t('analytics.from')}</Label>
+              <Input
+                id="analytics_from"
+                type="date"
+                value={range.from}
+                max={range.to || undefined}
+                onChange={(e) => handleRangeChange('from', e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="analytics_to">{t('analytics.to')}</Label>
+              <Input
+                id="analytics_to"
+                type="date"
+                value={range.to}
+                min={range.from || undefined}
+                onChange={(e) => handleRangeChange('to', e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>{t('analytics.interval')}</Label>
+              <Select value={interval} onValueChange={setAnalyticsInterval}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.keys(INTERVALS).map((value) => (
+                    <SelectItem key={value} value={value}>
+                      {t(`analytics.intervals.${value}`)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {invalidRange ? (
+        <Alert>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{t('analytics.invalidRange')}</AlertDescription>
+        </Alert>
+      ) : isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+        </div>
+      ) : error ? (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {String(error.message || '').includes('Range too large')
+              ? t('analytics.rangeTooLarge')
+              : t('analytics.loadFailed')}
+          </AlertDescription>
+        </Alert>
+      ) : analytics ? (
+        <div className={`space-y-6 ${isFetching ? 'opacity-60' : ''}`}>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <SummaryCard
+              icon={TrendingUp}
+              title={t('analytics.revenue')}
+              value={formatAmount(Number(analytics.totalRevenue))}
+              description={t('analytics.paidInvoices', { count: analytics.paidInvoices.toString() })}
+            />
+            <SummaryCard
+              icon={Percent}
+              title={t('analytics.conversion')}
+              value={formatPercent(
+                conversionRate(Number(analytics.convertedInvoices), Number(analytics.createdInvoices))
+              )}
+              description={t('analytics.invoicesConverted', {
+                converted: analytics.convertedInvoices.toString(),
+                created: analytics.createdInvoices.toString(),
+              })}
+            />
+            <SummaryCard
+              icon={UserPlus}
+              title={t('analytics.newUsers')}
+              value={analytics.newUsers.toString()}
+              description={
+                analytics.usersWithoutRegistrationTime > 0n
+                  ? t('analytics.usersWithoutDate', { count: analytics.usersWithoutRegistrationTime.toString() })
+                  : t('analytics.registeredInRange')
+              }
+            />
+            <SummaryCard
+              icon={Timer}
+              title={t('analytics.averageTimeToPay')}
+              value={analytics.averageTimeToPay != null ? formatTimeSpan(analytics.averageTimeToPay) : '-'}
+              description={t('analytics.averageTimeToPayDescription')}
+            />
+          </div>
+
+          <div className="grid gap-6 lg:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">{t('analytics.revenue')}</CardTitle>
+                <CardDescription>{t('analytics.revenueDescription')}</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <BarChart data={toSeries((bucket) => Number(bucket.revenue))} formatValue={formatAmount} />
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">{t('analytics.conversionRate')}</CardTitle>
+                <CardDescription>{t('analytics.conversionRateDescription')}</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <BarChart
+                  data={toSeries((bucket) =>
+                    conversionRate(Number(bucket.convertedInvoices), Number(bucket.createdInvoices))
+                  )}
+                  formatValue={formatPercent}
+                />
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">{t('analytics.newUsers')}</CardTitle>
+                <CardDescription>{t('analytics.newUsersDescription')}</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <BarChart data={toSeries((bucket) => Number(bucket.newUsers))} />
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">{t('analytics.recordedPayments')}</CardTitle>
+                <CardDescription>{t('analytics.recordedPaymentsDescription')}</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <BarChart data={toSeries((bucket) => Number(bucket.recordedPayments))} formatValue={formatAmount} />
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
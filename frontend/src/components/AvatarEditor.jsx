@@ -0,0 +1,122 @@
+import { useRef, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Camera, CameraOff, Upload, Trash2 } from 'lucide-react';
+import { useCamera } from '../camera/useCamera';
+import { useGetCallerAvatar, useSaveCallerAvatar, useDeleteCallerAvatar } from '../hooks/useQueries';
+import UserAvatar from './UserAvatar';
+import { useI18n } from '../i18n/useI18n';
+
+// Photos are cropped to a small square before upload, so the camera does not need a high resolution
+const CAMERA_CONFIG = { facingMode: 'user', width: 640, height: 480, format: 'image/jpeg', quality: 0.85 };
+
+// Profile photo: take one with the camera or upload an image file
+export default function AvatarEditor() {
+  const { t } = useI18n();
+  const { data: avatar, isLoading } = useGetCallerAvatar();
+  const saveAvatar = useSaveCallerAvatar();
+  const deleteAvatar = useDeleteCallerAvatar();
+  const camera = useCamera(CAMERA_CONFIG);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const isBusy = saveAvatar.isPending || deleteAvatar.isPending;
+
+  const openCamera = async () => {
+    setIsCapturing(true);
+    const started = await camera.startCamera();
+    if (!started) {
+      console.warn('[AvatarEditor] Camera could not be started');
+    }
+  };
+
+  const closeCamera = () => {
+    camera.stopCamera();
+    setIsCapturing(false);
+  };
+
+  const takePhoto = async () => {
+    const file = await camera.capturePhoto();
+    if (!file) return;
+    closeCamera();
+    saveAvatar.mutate(file);
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      console.warn('[AvatarEditor] Not an image:', file.type);
+      return;
+    }
+    saveAvatar.mutate(file);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-4">
+        {/* The video stays mounted because the camera attaches to it as soon as it starts */}
+        <div className={`h-24 w-24 shrink-0 rounded-full overflow-hidden bg-black ${isCapturing ? '' : 'hidden'}`}>
+          <video ref={camera.videoRef} autoPlay playsInline muted className="h-full w-full object-cover -scale-x-100" />
+          <canvas ref={camera.canvasRef} className="hidden" />
+        </div>
+        {!isCapturing && <UserAvatar avatar={avatar} className="h-24 w-24" />}
+        <div className="flex flex-wrap gap-2">
+          {isCapturing ? (
+            <>
+              <Button onClick={takePhoto} disabled={!camera.isActive || isBusy}>
+                {camera.isLoading ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Camera className="mr-2 h-4 w-4" />
+                )}
+                {t('avatar.capture')}
+              </Button>
+              <Button variant="outline" onClick={closeCamera}>
+                <CameraOff className="mr-2 h-4 w-4" />
+                {t('common.cancel')}
+              </Button>
+            </>
+          ) : (
+            <>
+              {camera.isSupported !== false && (
+                <Button variant="outline" onClick={openCamera} disabled={isBusy}>
+                  <Camera className="mr-2 h-4 w-4" />
+                  {t('avatar.takePhoto')}
+                </Button>
+              )}
+              <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isBusy}>
+                {saveAvatar.isPending ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Upload className="mr-2 h-4 w-4" />
+                )}
+                {t('avatar.upload')}
+              </Button>
+              {avatar && (
+                <Button variant="ghost" onClick={() => deleteAvatar.mutate()} disabled={isBusy || isLoading}>
+                  {deleteAvatar.isPending ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <Trash2 className="mr-2 h-4 w-4" />
+                  )}
+                  {t('avatar.remove')}
+                </Button>
+              )}
+            </>
+          )}
+          <input ref={fileInputRef} type="file" accept="image/*" className="hidden" onChange={handleFileChange} />
+        </div>
+      </div>
+      {isCapturing && camera.error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {t(`camera.${camera.error.type}`)}. {t('avatar.uploadInstead')}
+          </AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { useI18n } from '../i18n/useI18n';
+
+// Minimal SVG bar chart for the analytics tab
+// data is [{ label, value }]; values are plain numbers
+export default function BarChart({ data, formatValue = (value) => value.toString(), height = 180 }) {
+  const { t } = useI18n();
+  const max = Math.max(0, ...data.map((point) => point.value));
+  const width = Math.max(data.length * 24, 240);
+  const barWidth = width / Math.max(data.length, 1);
+  // Only every n-th label fits below the bars
+  const labelEvery = Math.max(1, Math.ceil(data.length / 8));
+
+  if (data.length === 0) {
+    return <p className="text-sm text-muted-foreground text-center py-8">{t('analytics.noData')}</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-xs text-muted-foreground">
+        <span>0</span>
+        <span>{formatValue(max)}</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full" style={{ height }}>
+        <line x1="0" y1={height - 0.5} x2={width} y2={height - 0.5} className="stroke-border" />
+        {data.map((point, index) => {
+          const barHeight = max > 0 ? (point.value / max) * (height - 4) : 0;
+          return (
+            <rect
+              key={index}
+              x={index * barWidth + barWidth * 0.15}
+              y={height - barHeight}
+              width={barWidth * 0.7}
+              height={barHeight}
+              rx="2"
+              className="fill-primary"
+            >
+              <title>
+                {point.label}: {formatValue(point.value)}
+              </title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="flex text-xs text-muted-foreground">
+        {data.map((point, index) => (
+          <span key={index} className="flex-1 min-w-0 text-center whitespace-nowrap">
+            {index % labelEvery === 0 ? point.label : ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
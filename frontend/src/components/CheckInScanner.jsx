@@ -0,0 +1,165 @@
+import { useEffect, useRef } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Loader2, AlertCircle, CheckCircle2, XCircle, ScanLine, Camera, CameraOff, SwitchCamera } from 'lucide-react';
+import { useQRScanner } from '../qr-code/useQRScanner';
+import { useCheckInAccessPass, useGetRecentCheckIns, useGetUserAvatar } from '../hooks/useQueries';
+import { formatTimestamp } from '../lib/utils';
+import { CheckInStatus } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+import UserAvatar from './UserAvatar';
+
+// Admin check-in: scans access pass QR codes with the camera and checks each one in with the backend
+export default function CheckInScanner() {
+  const { t } = useI18n();
+  const scanner = useQRScanner({ facingMode: 'environment' });
+  const checkIn = useCheckInAccessPass();
+  const { data: checkIns, isLoading: checkInsLoading, error: checkInsError } = useGetRecentCheckIns();
+  const lastHandledRef = useRef(null);
+
+  // The scanner reports a code again only after a different one, so each pass is checked in once per scan
+  const latestScan = scanner.qrResults[0];
+  useEffect(() => {
+    if (!latestScan || latestScan.timestamp === lastHandledRef.current) return;
+    lastHandledRef.current = latestScan.timestamp;
+    checkIn.mutate(latestScan.data);
+  }, [latestScan, checkIn]);
+
+  const result = checkIn.data;
+  const isAccepted = result?.status === CheckInStatus.accepted;
+  const userLabel = result?.userName || result?.user?.toString();
+  // The photo lets the admin compare the pass holder with the person at the door
+  const { data: checkedInAvatar } = useGetUserAvatar(result?.user, isAccepted);
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <ScanLine className="h-5 w-5" />
+            {t('checkIn.title')}
+          </CardTitle>
+          <CardDescription>{t('checkIn.description')}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {scanner.isSupported === false ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('checkIn.noCamera')}</AlertDescription>
+            </Alert>
+          ) : (
+            <>
+              <div className="relative mx-auto max-w-md aspect-square overflow-hidden rounded-lg border bg-muted">
+                <video ref={scanner.videoRef} autoPlay playsInline muted className="h-full w-full object-cover" />
+                <canvas ref={scanner.canvasRef} className="hidden" />
+                {!scanner.isActive && (
+                  <div className="absolute inset-0 flex items-center justify-center text-muted-foreground">
+                    <Camera className="h-10 w-10" />
+                  </div>
+                )}
+              </div>
+              {scanner.error && (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{t(`camera.${scanner.error.type}`)}</AlertDescription>
+                </Alert>
+              )}
+              <div className="flex flex-wrap justify-center gap-2">
+                {scanner.isScanning ? (
+                  <Button variant="outline" onClick={() => scanner.stopScanning()}>
+                    <CameraOff className="mr-2 h-4 w-4" />
+                    {t('checkIn.stop')}
+                  </Button>
+                ) : (
+                  <Button onClick={() => scanner.startScanning()} disabled={!scanner.canStartScanning}>
+                    {scanner.isLoading ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Camera className="mr-2 h-4 w-4" />
+                    )}
+                    {t('checkIn.startScanning')}
+                  </Button>
+                )}
+                {scanner.isActive && (
+                  <Button variant="outline" onClick={() => scanner.switchCamera()}>
+                    <SwitchCamera className="mr-2 h-4 w-4" />
+                    {t('checkIn.switchCamera')}
+                  </Button>
+                )}
+              </div>
+            </>
+          )}
+
+          {checkIn.isPending ? (
+            <div className="flex items-center justify-center py-4">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('checkIn.checking')}</span>
+            </div>
+          ) : result && isAccepted ? (
+            <Alert className="border-green-500 bg-green-50 dark:bg-green-950">
+              <CheckCircle2 className="h-5 w-5 text-green-600" />
+              <AlertDescription className="text-green-800 dark:text-green-200 flex items-center gap-4">
+                <UserAvatar avatar={checkedInAvatar} className="h-16 w-16" />
+                <div>
+                  <p className="text-lg font-medium">{t('checkIn.checkedIn', { user: userLabel })}</p>
+                  <p className="text-sm">{t('checkIn.validUntil', { time: formatTimestamp(result.entitlementExpiresAt) })}</p>
+                </div>
+              </AlertDescription>
+            </Alert>
+          ) : result ? (
+            <Alert variant="destructive">
+              <XCircle className="h-5 w-5" />
+              <AlertDescription>
+                <p className="text-lg font-medium">{t(`checkIn.rejections.${result.status}`)}</p>
+                {userLabel && <p className="text-sm break-all">{userLabel}</p>}
+              </AlertDescription>
+            </Alert>
+          ) : null}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('checkIn.recentTitle')}</CardTitle>
+          <CardDescription>{t('checkIn.recentDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {checkInsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : checkInsError ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('checkIn.loadFailed')}</AlertDescription>
+            </Alert>
+          ) : checkIns && checkIns.length > 0 ? (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t('columns.time')}</TableHead>
+                  <TableHead>{t('users.user')}</TableHead>
+                  <TableHead>{t('checkIn.accessUntil')}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {checkIns.map((record) => (
+                  <TableRow key={record.id.toString()}>
+                    <TableCell className="whitespace-nowrap">{formatTimestamp(record.checkedInAt)}</TableCell>
+                    <TableCell className="break-all">{record.userName || record.user.toString()}</TableCell>
+                    <TableCell className="whitespace-nowrap">{formatTimestamp(record.entitlementExpiresAt)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          ) : (
+            <p className="text-sm text-muted-foreground text-center py-4">{t('checkIn.noCheckIns')}</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Button } from '@/components/ui/button';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Save, AlertCircle, Library, Pencil, Trash2, X } from 'lucide-react';
+import { useGetAllContentItems, useSaveContentItem, useDeleteContentItem } from '../hooks/useQueries';
+import { formatTimestamp } from '../lib/utils';
+import { ContentKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+const contentKinds = [ContentKind.video, ContentKind.quiz, ContentKind.test];
+
+const emptyForm = {
+  title: '',
+  description: '',
+  kind: ContentKind.video,
+  price: BigInt(10),
+  isPublished: true,
+};
+
+export default function ContentManager() {
+  const { t } = useI18n();
+  const { data: items, isLoading, error } = useGetAllContentItems();
+  const saveContent = useSaveContentItem();
+  const deleteContent = useDeleteContentItem();
+
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const handleInputChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleEdit = (item) => {
+    setEditingId(item.id);
+    setForm({
+      title: item.title,
+      description: item.description,
+      kind: item.kind,
+      price: item.price,
+      isPublished: item.isPublished,
+    });
+  };
+
+  const handleSave = () => {
+    saveContent.mutate(
+      { id: editingId, input: { ...form, title: form.title.trim(), description: form.description.trim() } },
+      { onSuccess: resetForm }
+    );
+  };
+
+  const handleDelete = (item) => {
+    if (!window.confirm(t('common.confirmDelete', { name: item.title }))) return;
+    deleteContent.mutate(item.id, {
+      onSuccess: () => {
+        if (editingId === item.id) resetForm();
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>{editingId === null ? t('content.newTitle') : t('content.editTitle')}</CardTitle>
+          <CardDescription>{t('content.formDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="content_title">{t('content.title')}</Label>
+              <Input
+                id="content_title"
+                value={form.title}
+                onChange={(e) => handleInputChange('title', e.target.value)}
+                placeholder={t('content.titlePlaceholder')}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="content_description">{t('columns.description')}</Label>
+              <Textarea
+                id="content_description"
+                value={form.description}
+                onChange={(e) => handleInputChange('description', e.target.value)}
+                placeholder={t('content.descriptionPlaceholder')}
+              />
+            </div>
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div className="space-y-2">
+                <Label>{t('content.type')}</Label>
+                <Select value={form.kind} onValueChange={(value) => handleInputChange('kind', value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {contentKinds.map((kind) => (
+                      <SelectItem key={kind} value={kind}>
+                        {t(`contentKinds.${kind}`)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="content_price">{t('content.price')}</Label>
+                <Input
+                  id="content_price"
+                  type="number"
+                  min="1"
+                  value={form.price.toString()}
+                  onChange={(e) => handleInputChange('price', BigInt(e.target.value || '0'))}
+                  placeholder="10"
+                />
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch
+                id="content_published"
+                checked={form.isPublished}
+                onCheckedChange={(checked) => handleInputChange('isPublished', checked)}
+              />
+              <Label htmlFor="content_published">{t('content.published')}</Label>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                onClick={handleSave}
+                disabled={saveContent.isPending || !form.title.trim() || form.price <= 0n}
+                className="flex-1"
+              >
+                {saveContent.isPending ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    {t('common.saving')}
+                  </>
+                ) : (
+                  <>
+                    <Save className="mr-2 h-4 w-4" />
+                    {t('common.save')}
+                  </>
+                )}
+              </Button>
+              {editingId !== null && (
+                <Button variant="outline" onClick={resetForm}>
+                  <X className="mr-2 h-4 w-4" />
+                  {t('common.cancel')}
+                </Button>
+              )}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('content.listTitle')}</CardTitle>
+          <CardDescription>
+            {t('content.listDescription')}
+            {items && items.length > 0 && (
+              <span className="ml-2 text-sm font-medium">{t('content.total', { count: items.length })}</span>
+            )}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : error ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('content.loadFailed')}</AlertDescription>
+            </Alert>
+          ) : items && items.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t('content.title')}</TableHead>
+                    <TableHead>{t('content.type')}</TableHead>
+                    <TableHead>{t('content.price')}</TableHead>
+                    <TableHead>{t('columns.status')}</TableHead>
+                    <TableHead>{t('columns.created')}</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {items.map((item) => (
+                    <TableRow key={item.id.toString()}>
+                      <TableCell className="font-medium">{item.title}</TableCell>
+                      <TableCell>{t(`contentKinds.${item.kind}`)}</TableCell>
+                      <TableCell>₮{item.price.toString()}</TableCell>
+                      <TableCell>
+                        <Badge variant={item.isPublished ? 'default' : 'secondary'}>
+                          {item.isPublished ? t('content.publishedBadge') : t('content.draft')}
+                        </Badge>
+                      </TableCell>
+                      <TableCell>{formatTimestamp(item.createdAt)}</TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button variant="ghost" size="icon" onClick={() => handleEdit(item)}>
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => handleDelete(item)}
+                          disabled={deleteContent.isPending}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Library className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">{t('content.noContent')}</p>
+              <p className="text-sm text-muted-foreground mt-1">{t('content.noContentHint')}</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
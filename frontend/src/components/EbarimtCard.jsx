@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Loader2, FileCheck } from 'lucide-react';
+import { getQRCodeDataUrl } from '../lib/qrCode';
+import { formatTimestamp } from '../lib/utils';
+import { EbarimtReceiverType } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+function EbarimtQRCode({ qrData }) {
+  const { t } = useI18n();
+  const [qrImage, setQrImage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getQRCodeDataUrl(qrData, 4)
+      .then((dataUrl) => {
+        if (!cancelled) setQrImage(dataUrl);
+      })
+      .catch((error) => console.error('Error generating e-barimt QR code:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [qrData]);
+
+  return qrImage ? (
+    <img src={qrImage} alt={t('ebarimt.qrAlt')} className="w-40 h-40 rounded-lg border bg-white" />
+  ) : (
+    <div className="w-40 h-40 rounded-lg border flex items-center justify-center">
+      <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+    </div>
+  );
+}
+
+// E-barimts of a paid QPay invoice: the receipt QR code to scan into the e-barimt app and the lottery number
+export default function EbarimtCard({ invoice }) {
+  const { t } = useI18n();
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base flex items-center gap-2">
+          <FileCheck className="h-4 w-4" />
+          {t('ebarimt.title')}
+        </CardTitle>
+        <CardDescription>
+          {invoice.ebarimts.length > 0 ? t('ebarimt.registered') : t('ebarimt.pending')}
+        </CardDescription>
+      </CardHeader>
+      {invoice.ebarimts.length > 0 && (
+        <CardContent className="space-y-6">
+          {invoice.ebarimts.map((ebarimt) => (
+            <div key={ebarimt.paymentId} className="flex flex-col sm:flex-row items-center gap-4">
+              <EbarimtQRCode qrData={ebarimt.qrData} />
+              <div className="space-y-1 text-sm">
+                {ebarimt.receiverType === EbarimtReceiverType.company ? (
+                  <p>
+                    <span className="text-muted-foreground">{t('ebarimt.companyRegisterNo')} </span>
+                    {ebarimt.receiver ?? '-'}
+                  </p>
+                ) : (
+                  <p>
+                    <span className="text-muted-foreground">{t('ebarimt.lottery')} </span>
+                    <span className="font-mono font-semibold">{ebarimt.lottery || '-'}</span>
+                  </p>
+                )}
+                <p>
+                  <span className="text-muted-foreground">{t('ebarimt.vat')} </span>₮{ebarimt.vatAmount.toString()}
+                </p>
+                <p className="text-muted-foreground">
+                  {t('ebarimt.issued', { date: formatTimestamp(ebarimt.issuedAt) })}
+                </p>
+                {ebarimt.isMock && <Badge variant="outline">{t('ebarimt.testReceipt')}</Badge>}
+              </div>
+            </div>
+          ))}
+        </CardContent>
+      )}
+    </Card>
+  );
+}
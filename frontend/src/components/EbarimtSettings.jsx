@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Save } from 'lucide-react';
+import { useGetEbarimtMode, useSaveEbarimtMode } from '../hooks/useQueries';
+import { EbarimtMode } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+// Settings tab card for the e-barimt (VAT receipt) issued with each paid QPay payment
+export default function EbarimtSettings() {
+  const { t } = useI18n();
+  const { data: mode, isLoading, error } = useGetEbarimtMode();
+  const saveMode = useSaveEbarimtMode();
+
+  const [selectedMode, setSelectedMode] = useState(EbarimtMode.disabled);
+  const [isDirty, setIsDirty] = useState(false);
+
+  useEffect(() => {
+    if (mode && !isDirty) {
+      setSelectedMode(mode);
+    }
+  }, [mode, isDirty]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('settings.ebarimt.title')}</CardTitle>
+        <CardDescription>{t('settings.ebarimt.description')}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+          </div>
+        ) : error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{t('settings.loadFailed')}</AlertDescription>
+          </Alert>
+        ) : (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="ebarimt_mode">{t('settings.ebarimt.mode')}</Label>
+              <Select
+                value={selectedMode}
+                onValueChange={(value) => {
+                  setSelectedMode(value);
+                  setIsDirty(true);
+                }}
+              >
+                <SelectTrigger id="ebarimt_mode">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={EbarimtMode.disabled}>{t('settings.ebarimt.modes.disabled')}</SelectItem>
+                  <SelectItem value={EbarimtMode.live}>{t('settings.ebarimt.modes.live')}</SelectItem>
+                  <SelectItem value={EbarimtMode.mock}>{t('settings.ebarimt.modes.mock')}</SelectItem>
+                </SelectContent>
+              </Select>
+              <p className="text-sm text-muted-foreground">{t(`settings.ebarimt.modeDescriptions.${selectedMode}`)}</p>
+            </div>
+            <Button
+              onClick={() => saveMode.mutate(selectedMode, { onSuccess: () => setIsDirty(false) })}
+              disabled={saveMode.isPending || !isDirty}
+              className="w-full"
+            >
+              {saveMode.isPending ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  {t('common.saving')}
+                </>
+              ) : (
+                <>
+                  <Save className="mr-2 h-4 w-4" />
+                  {t('common.save')}
+                </>
+              )}
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
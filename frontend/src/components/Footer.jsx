@@ -1,11 +1,14 @@
 import { Heart } from 'lucide-react';
+import { useI18n } from '../i18n/useI18n';
 
 export default function Footer() {
+  const { t } = useI18n();
+
   return (
     <footer className="border-t border-border/40 bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60">
       <div className="container py-6">
         <p className="text-center text-sm text-muted-foreground">
-          © 2025. Built with <Heart className="inline h-4 w-4 text-red-500 fill-red-500" /> using{' '}
+          © 2025. {t('footer.builtWith')} <Heart className="inline h-4 w-4 text-red-500 fill-red-500" /> {t('footer.using')}{' '}
           <a
             href="https://caffeine.ai"
             target="_blank"
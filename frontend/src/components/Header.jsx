@@ -1,12 +1,16 @@
+import { Link } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useInternetIdentity } from '../hooks/useInternetIdentity';
 import { useQueryClient } from '@tanstack/react-query';
 import { useGetCallerUserProfile, useGetCallerUserRole } from '../hooks/useQueries';
-import { LogIn, LogOut, Loader2, Shield, User } from 'lucide-react';
+import { LogIn, LogOut, Loader2, Shield, User, Languages } from 'lucide-react';
 import { UserRole } from '../backend';
+import { useI18n, LANGUAGES } from '../i18n/useI18n';
 
 export default function Header() {
+  const { t, language, setLanguage } = useI18n();
   const { login, clear, loginStatus, identity } = useInternetIdentity();
   const queryClient = useQueryClient();
   const { data: userProfile } = useGetCallerUserProfile();
@@ -41,44 +45,61 @@ export default function Header() {
             <span className="text-primary-foreground font-bold text-lg">Q</span>
           </div>
           <div>
-            <h1 className="text-xl font-bold">QPay Payment</h1>
+            <h1 className="text-xl font-bold">{t('header.title')}</h1>
             {isAuthenticated && userProfile && (
               <div className="flex items-center gap-2">
-                <p className="text-sm text-muted-foreground">Hello, {userProfile.name}</p>
+                <Link to="/profile" className="text-sm text-muted-foreground hover:underline">
+                  {t('header.greeting', { name: userProfile.name })}
+                </Link>
                 {userRole === UserRole.admin && (
                   <Badge variant="default" className="text-xs">
                     <Shield className="h-3 w-3 mr-1" />
-                    Admin
+                    {t('roles.admin')}
                   </Badge>
                 )}
                 {userRole === UserRole.user && (
                   <Badge variant="secondary" className="text-xs">
                     <User className="h-3 w-3 mr-1" />
-                    User
+                    {t('roles.user')}
                   </Badge>
                 )}
               </div>
             )}
           </div>
         </div>
-        <Button onClick={handleAuth} disabled={disabled} variant={isAuthenticated ? 'outline' : 'default'}>
-          {disabled ? (
-            <>
-              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-              Logging in...
-            </>
-          ) : isAuthenticated ? (
-            <>
-              <LogOut className="mr-2 h-4 w-4" />
-              Logout
-            </>
-          ) : (
-            <>
-              <LogIn className="mr-2 h-4 w-4" />
-              Login
-            </>
-          )}
-        </Button>
+        <div className="flex items-center gap-2">
+          <Select value={language} onValueChange={setLanguage}>
+            <SelectTrigger className="w-[130px]" aria-label={t('header.language')}>
+              <Languages className="mr-2 h-4 w-4" />
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(LANGUAGES).map(([code, name]) => (
+                <SelectItem key={code} value={code}>
+                  {name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button onClick={handleAuth} disabled={disabled} variant={isAuthenticated ? 'outline' : 'default'}>
+            {disabled ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                {t('header.loggingIn')}
+              </>
+            ) : isAuthenticated ? (
+              <>
+                <LogOut className="mr-2 h-4 w-4" />
+                {t('header.logout')}
+              </>
+            ) : (
+              <>
+                <LogIn className="mr-2 h-4 w-4" />
+                {t('header.login')}
+              </>
+            )}
+          </Button>
+        </div>
       </div>
     </header>
   );
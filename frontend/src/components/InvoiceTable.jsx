@@ -0,0 +1,431 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+  Loader2,
+  AlertCircle,
+  Receipt,
+  RefreshCw,
+  Download,
+  Search,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  ChevronLeft,
+  ChevronRight,
+  X,
+  FileSpreadsheet,
+  FileText,
+  Undo2,
+} from 'lucide-react';
+import { useGetInvoicesPage, useGetAllPlans, useDownloadReceipt, useExportInvoices, useRetryEbarimt } from '../hooks/useQueries';
+import { EXPORT_PERIODS } from '../lib/invoiceExport';
+import { formatTimestamp, getInvoiceStatus, getEbarimtLabel } from '../lib/utils';
+import RefundDialog from './RefundDialog';
+import { PaymentProvider } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+const PAGE_SIZES = [20, 50, 100];
+const SEARCH_DELAY_MS = 300;
+
+const emptyFilters = {
+  status: 'all',
+  createdFrom: '',
+  createdTo: '',
+  minAmount: '',
+  maxAmount: '',
+};
+
+function SortableHead({ field, sort, onSort, children }) {
+  return (
+    <TableHead>
+      <button type="button" onClick={() => onSort(field)} className="inline-flex items-center gap-1 hover:text-foreground">
+        {children}
+        {sort.sortBy !== field ? (
+          <ArrowUpDown className="h-3 w-3 opacity-50" />
+        ) : sort.descending ? (
+          <ArrowDown className="h-3 w-3" />
+        ) : (
+          <ArrowUp className="h-3 w-3" />
+        )}
+      </button>
+    </TableHead>
+  );
+}
+
+const statusVariants = {
+  paid: 'default',
+  overpaid: 'destructive',
+  partiallyPaid: 'destructive',
+  pending: 'secondary',
+  expired: 'outline',
+  cancelled: 'outline',
+  refunded: 'outline',
+};
+
+// Admin "All Payments" table; filtering, sorting and paging happen in the backend query
+export default function InvoiceTable() {
+  const { t } = useI18n();
+  const { data: plans } = useGetAllPlans();
+  const downloadReceipt = useDownloadReceipt();
+  const exportInvoices = useExportInvoices();
+  const retryEbarimt = useRetryEbarimt();
+
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState(emptyFilters);
+  const [sort, setSort] = useState({ sortBy: 'createdAt', descending: true });
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [exportPeriod, setExportPeriod] = useState('month');
+  const [refundInvoice, setRefundInvoice] = useState(null);
+
+  const queryParams = { ...filters, search, ...sort };
+  const { data, isLoading, isFetching, error, refetch } = useGetInvoicesPage({ ...queryParams, page, pageSize });
+
+  // Wait for the admin to stop typing before querying
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput);
+      setPage(0);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const total = data ? Number(data.total) : 0;
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const hasFilters = searchInput !== '' || Object.keys(emptyFilters).some((key) => filters[key] !== emptyFilters[key]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setPage(0);
+  };
+
+  const handleClearFilters = () => {
+    setSearchInput('');
+    setSearch('');
+    setFilters(emptyFilters);
+    setPage(0);
+  };
+
+  const handleSort = (sortBy) => {
+    setSort((prev) => ({ sortBy, descending: prev.sortBy === sortBy ? !prev.descending : true }));
+    setPage(0);
+  };
+
+  const handleExport = (format) => {
+    exportInvoices.mutate({ params: queryParams, format, period: exportPeriod });
+  };
+
+  const handlePageSizeChange = (value) => {
+    setPageSize(Number(value));
+    setPage(0);
+  };
+
+  const getInvoiceItemLabel = (invoice) => {
+    if (invoice.description) return invoice.description;
+    if (invoice.planId != null) {
+      const plan = plans?.find((p) => p.id === invoice.planId);
+      return plan ? plan.description : t('invoiceTable.plan', { id: invoice.planId.toString() });
+    }
+    return t('invoiceTable.content');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle>{t('invoiceTable.title')}</CardTitle>
+            <CardDescription>
+              {t('invoiceTable.description')}
+              {data && <span className="ml-2 text-sm font-medium">{t('invoiceTable.total', { count: total })}</span>}
+            </CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={() => refetch()} disabled={isFetching}>
+            <RefreshCw className={`h-4 w-4 mr-2 ${isFetching ? 'animate-spin' : ''}`} />
+            {t('common.refresh')}
+          </Button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 pt-2">
+          <span className="text-sm text-muted-foreground">{t('invoiceTable.exportPer')}</span>
+          <Select value={exportPeriod} onValueChange={setExportPeriod}>
+            <SelectTrigger className="w-28">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.keys(EXPORT_PERIODS).map((value) => (
+                <SelectItem key={value} value={value}>
+                  {t(`export.periods.${value}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="sm" onClick={() => handleExport('csv')} disabled={exportInvoices.isPending || total === 0}>
+            {exportInvoices.isPending ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <FileText className="h-4 w-4 mr-2" />
+            )}
+            CSV
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => handleExport('xlsx')} disabled={exportInvoices.isPending || total === 0}>
+            {exportInvoices.isPending ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <FileSpreadsheet className="h-4 w-4 mr-2" />
+            )}
+            Excel
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+          <div className="space-y-2 lg:col-span-2">
+            <Label htmlFor="invoice_search">{t('invoiceTable.search')}</Label>
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+              <Input
+                id="invoice_search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder={t('invoiceTable.searchPlaceholder')}
+                className="pl-9"
+              />
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label>{t('columns.status')}</Label>
+            <Select value={filters.status} onValueChange={(value) => handleFilterChange('status', value)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">{t('invoiceTable.all')}</SelectItem>
+                <SelectItem value="paid">{t('status.paid')}</SelectItem>
+                <SelectItem value="unpaid">{t('status.pending')}</SelectItem>
+                <SelectItem value="expired">{t('status.expired')}</SelectItem>
+                <SelectItem value="cancelled">{t('status.cancelled')}</SelectItem>
+                <SelectItem value="refunded">{t('status.refunded')}</SelectItem>
+                <SelectItem value="partiallyPaid">{t('status.partiallyPaid')}</SelectItem>
+                <SelectItem value="overpaid">{t('status.overpaid')}</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-end">
+            <Button variant="outline" onClick={handleClearFilters} disabled={!hasFilters} className="w-full">
+              <X className="mr-2 h-4 w-4" />
+              {t('invoiceTable.clearFilters')}
+            </Button>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="invoice_created_from">{t('invoiceTable.createdFrom')}</Label>
+            <Input
+              id="invoice_created_from"
+              type="date"
+              value={filters.createdFrom}
+              onChange={(e) => handleFilterChange('createdFrom', e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="invoice_created_to">{t('invoiceTable.createdTo')}</Label>
+            <Input
+              id="invoice_created_to"
+              type="date"
+              value={filters.createdTo}
+              onChange={(e) => handleFilterChange('createdTo', e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="invoice_min_amount">{t('invoiceTable.minAmount')}</Label>
+            <Input
+              id="invoice_min_amount"
+              type="number"
+              min="0"
+              value={filters.minAmount}
+              onChange={(e) => handleFilterChange('minAmount', e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="invoice_max_amount">{t('invoiceTable.maxAmount')}</Label>
+            <Input
+              id="invoice_max_amount"
+              type="number"
+              min="0"
+              value={filters.maxAmount}
+              onChange={(e) => handleFilterChange('maxAmount', e.target.value)}
+            />
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+          </div>
+        ) : error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{t('invoiceTable.loadFailed')}</AlertDescription>
+          </Alert>
+        ) : data && data.items.length > 0 ? (
+          <>
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t('invoiceTable.user')}</TableHead>
+                    <TableHead>{t('invoiceTable.item')}</TableHead>
+                    <SortableHead field="amount" sort={sort} onSort={handleSort}>{t('columns.amount')}</SortableHead>
+                    <TableHead>{t('columns.status')}</TableHead>
+                    <SortableHead field="createdAt" sort={sort} onSort={handleSort}>{t('columns.created')}</SortableHead>
+                    <SortableHead field="paidAt" sort={sort} onSort={handleSort}>{t('columns.paid')}</SortableHead>
+                    <TableHead>{t('columns.ebarimt')}</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {data.items.map(([invoiceId, invoice]) => {
+                    const status = getInvoiceStatus(invoice);
+                    return (
+                      <TableRow key={invoiceId}>
+                        <TableCell className="font-mono text-xs break-all min-w-[16rem]">
+                          {invoice.user.toString()}
+                        </TableCell>
+                        <TableCell>
+                          {getInvoiceItemLabel(invoice)}
+                          {invoice.provider === PaymentProvider.stripe && (
+                            <Badge variant="outline" className="ml-2">
+                              {t('invoiceTable.card')}
+                            </Badge>
+                          )}
+                        </TableCell>
+                        <TableCell className="font-medium">₮{invoice.amount.toString()}</TableCell>
+                        <TableCell>
+                          <Badge variant={statusVariants[status]}>{t(`status.${status}`)}</Badge>
+                          {invoice.paidAmount !== invoice.amount && invoice.paidAmount > 0n && (
+                            <div className="mt-1 text-xs text-muted-foreground whitespace-nowrap">
+                              {t('invoiceTable.received', { amount: invoice.paidAmount.toString() })}
+                            </div>
+                          )}
+                          {invoice.refundedAmount > 0n && (
+                            <div className="mt-1 text-xs text-muted-foreground whitespace-nowrap">
+                              {t('invoiceTable.refunded', { amount: invoice.refundedAmount.toString() })}
+                            </div>
+                          )}
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">{formatTimestamp(invoice.createdAt)}</TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          {invoice.paidAt != null ? formatTimestamp(invoice.paidAt) : '-'}
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          <span className="font-mono text-xs">{getEbarimtLabel(invoice)}</span>
+                          {invoice.ebarimtError != null && (
+                            <div className="mt-1 flex items-center gap-1">
+                              <Badge variant="destructive" title={invoice.ebarimtError}>
+                                {t('invoiceTable.ebarimtFailed')}
+                              </Badge>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                title={t('invoiceTable.retryEbarimt')}
+                                onClick={() => retryEbarimt.mutate(invoice.invoiceId)}
+                                disabled={retryEbarimt.isPending}
+                              >
+                                <RefreshCw className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-right whitespace-nowrap">
+                          {invoice.paidAmount > invoice.refundedAmount && (
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              title={t('invoiceTable.refund')}
+                              onClick={() => setRefundInvoice(invoice)}
+                            >
+                              <Undo2 className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {invoice.isPaid && (
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              title={t('invoiceTable.downloadReceipt')}
+                              onClick={() => downloadReceipt.mutate(invoice)}
+                              disabled={downloadReceipt.isPending}
+                            >
+                              <Download className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                <span>{t('invoiceTable.rowsPerPage')}</span>
+                <Select value={pageSize.toString()} onValueChange={handlePageSizeChange}>
+                  <SelectTrigger className="w-20">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {PAGE_SIZES.map((size) => (
+                      <SelectItem key={size} value={size.toString()}>
+                        {size}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-muted-foreground">
+                  {t('invoiceTable.pageOf', { page: page + 1, count: pageCount })}
+                </span>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={() => setPage((prev) => prev - 1)}
+                  disabled={page === 0 || isFetching}
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={() => setPage((prev) => prev + 1)}
+                  disabled={page + 1 >= pageCount || isFetching}
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          </>
+        ) : (
+          <div className="text-center py-12">
+            <Receipt className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+            {hasFilters ? (
+              <p className="text-muted-foreground">{t('invoiceTable.noMatches')}</p>
+            ) : (
+              <>
+                <p className="text-muted-foreground">{t('invoiceTable.noPayments')}</p>
+                <p className="text-sm text-muted-foreground mt-1">{t('invoiceTable.noPaymentsHint')}</p>
+              </>
+            )}
+          </div>
+        )}
+      </CardContent>
+      <RefundDialog invoice={refundInvoice} onClose={() => setRefundInvoice(null)} />
+    </Card>
+  );
+}
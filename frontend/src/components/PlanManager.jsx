@@ -0,0 +1,242 @@
+import { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Switch } from '@/components/ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Save, AlertCircle, Tags, Pencil, Trash2, X } from 'lucide-react';
+import { useGetAllPlans, useSavePlan, useDeletePlan } from '../hooks/useQueries';
+import { formatTimestamp } from '../lib/utils';
+import { useI18n } from '../i18n/useI18n';
+
+const emptyForm = {
+  description: '',
+  amount: BigInt(10),
+  durationDays: BigInt(365),
+  senderInvoicePrefix: '',
+  isActive: true,
+};
+
+export default function PlanManager() {
+  const { t } = useI18n();
+  const { data: plans, isLoading, error } = useGetAllPlans();
+  const savePlan = useSavePlan();
+  const deletePlan = useDeletePlan();
+
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const handleInputChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleEdit = (plan) => {
+    setEditingId(plan.id);
+    setForm({
+      description: plan.description,
+      amount: plan.amount,
+      durationDays: plan.durationDays,
+      senderInvoicePrefix: plan.senderInvoicePrefix,
+      isActive: plan.isActive,
+    });
+  };
+
+  const handleSave = () => {
+    savePlan.mutate(
+      {
+        id: editingId,
+        input: {
+          ...form,
+          description: form.description.trim(),
+          senderInvoicePrefix: form.senderInvoicePrefix.trim(),
+        },
+      },
+      { onSuccess: resetForm }
+    );
+  };
+
+  const handleDelete = (plan) => {
+    if (!window.confirm(t('common.confirmDelete', { name: plan.description }))) return;
+    deletePlan.mutate(plan.id, {
+      onSuccess: () => {
+        if (editingId === plan.id) resetForm();
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>{editingId === null ? t('plans.newTitle') : t('plans.editTitle')}</CardTitle>
+          <CardDescription>{t('plans.formDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="plan_description">{t('columns.description')}</Label>
+              <Input
+                id="plan_description"
+                value={form.description}
+                onChange={(e) => handleInputChange('description', e.target.value)}
+                placeholder={t('plans.descriptionPlaceholder')}
+              />
+            </div>
+            <div className="grid gap-4 sm:grid-cols-3">
+              <div className="space-y-2">
+                <Label htmlFor="plan_amount">{t('columns.amount')}</Label>
+                <Input
+                  id="plan_amount"
+                  type="number"
+                  min="1"
+                  value={form.amount.toString()}
+                  onChange={(e) => handleInputChange('amount', BigInt(e.target.value || '0'))}
+                  placeholder="10"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="plan_duration">{t('plans.duration')}</Label>
+                <Input
+                  id="plan_duration"
+                  type="number"
+                  min="1"
+                  value={form.durationDays.toString()}
+                  onChange={(e) => handleInputChange('durationDays', BigInt(e.target.value || '0'))}
+                  placeholder="365"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="plan_prefix">{t('plans.prefix')}</Label>
+                <Input
+                  id="plan_prefix"
+                  value={form.senderInvoicePrefix}
+                  onChange={(e) => handleInputChange('senderInvoicePrefix', e.target.value)}
+                  placeholder="SUB12-"
+                />
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch
+                id="plan_active"
+                checked={form.isActive}
+                onCheckedChange={(checked) => handleInputChange('isActive', checked)}
+              />
+              <Label htmlFor="plan_active">{t('plans.available')}</Label>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                onClick={handleSave}
+                disabled={
+                  savePlan.isPending || !form.description.trim() || form.amount <= 0n || form.durationDays <= 0n
+                }
+                className="flex-1"
+              >
+                {savePlan.isPending ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    {t('common.saving')}
+                  </>
+                ) : (
+                  <>
+                    <Save className="mr-2 h-4 w-4" />
+                    {t('common.save')}
+                  </>
+                )}
+              </Button>
+              {editingId !== null && (
+                <Button variant="outline" onClick={resetForm}>
+                  <X className="mr-2 h-4 w-4" />
+                  {t('common.cancel')}
+                </Button>
+              )}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('plans.title')}</CardTitle>
+          <CardDescription>
+            {t('plans.listDescription')}
+            {plans && plans.length > 0 && (
+              <span className="ml-2 text-sm font-medium">{t('plans.total', { count: plans.length })}</span>
+            )}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : error ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('plans.loadFailed')}</AlertDescription>
+            </Alert>
+          ) : plans && plans.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t('columns.description')}</TableHead>
+                    <TableHead>{t('columns.amount')}</TableHead>
+                    <TableHead>{t('plans.durationColumn')}</TableHead>
+                    <TableHead>{t('plans.prefixColumn')}</TableHead>
+                    <TableHead>{t('columns.status')}</TableHead>
+                    <TableHead>{t('columns.created')}</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {plans.map((plan) => (
+                    <TableRow key={plan.id.toString()}>
+                      <TableCell className="font-medium">{plan.description}</TableCell>
+                      <TableCell>₮{plan.amount.toString()}</TableCell>
+                      <TableCell>{t('plans.days', { count: plan.durationDays.toString() })}</TableCell>
+                      <TableCell className="font-mono text-xs">{plan.senderInvoicePrefix || '—'}</TableCell>
+                      <TableCell>
+                        <Badge variant={plan.isActive ? 'default' : 'secondary'}>
+                          {plan.isActive ? t('common.active') : t('common.inactive')}
+                        </Badge>
+                      </TableCell>
+                      <TableCell>{formatTimestamp(plan.createdAt)}</TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button variant="ghost" size="icon" onClick={() => handleEdit(plan)}>
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => handleDelete(plan)}
+                          disabled={deletePlan.isPending}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Tags className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">{t('plans.noPlans')}</p>
+              <p className="text-sm text-muted-foreground mt-1">{t('plans.noPlansHint')}</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
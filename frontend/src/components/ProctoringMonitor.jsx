@@ -0,0 +1,120 @@
+import { useEffect, useRef } from 'react';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, Video } from 'lucide-react';
+import { useCamera } from '../camera/useCamera';
+import { useRecordProctoringSnapshot, useRecordProctoringEvent } from '../hooks/useQueries';
+import { ProctoringEventKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+const SNAPSHOT_INTERVAL_MS = 30 * 1000;
+
+// Small snapshots keep each upload far below the backend's size limit
+const CAMERA_CONFIG = { facingMode: 'user', width: 320, height: 240, format: 'image/jpeg', quality: 0.6 };
+
+// Face detection is only available in some browsers; null means the snapshot was not checked
+async function detectFace(detector, file) {
+  if (!detector) return null;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const faces = await detector.detect(bitmap);
+    bitmap.close();
+    return faces.length > 0;
+  } catch (error) {
+    console.warn('[ProctoringMonitor] Face detection failed:', error);
+    return null;
+  }
+}
+
+// Webcam preview of a proctored attempt: sends a snapshot every half minute and reports leaving the page
+// Mounted for as long as the attempt is open; the camera stops when it unmounts
+export default function ProctoringMonitor({ attemptId }) {
+  const { t } = useI18n();
+  const camera = useCamera(CAMERA_CONFIG);
+  const { mutate: recordSnapshot } = useRecordProctoringSnapshot();
+  const { mutate: recordEvent } = useRecordProctoringEvent();
+  const hasStartedRef = useRef(false);
+  const detectorRef = useRef(null);
+
+  useEffect(() => {
+    if (camera.isSupported === null || hasStartedRef.current) return;
+    hasStartedRef.current = true;
+    if ('FaceDetector' in window) {
+      detectorRef.current = new window.FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+    }
+    const start = camera.isSupported ? camera.startCamera() : Promise.resolve(false);
+    start.then((started) => {
+      if (!started) {
+        console.warn('[ProctoringMonitor] Camera unavailable');
+        recordEvent({ attemptId, kind: ProctoringEventKind.cameraUnavailable });
+      }
+    });
+  }, [camera.isSupported, camera.startCamera, attemptId, recordEvent]);
+
+  useEffect(() => {
+    if (!camera.isActive) return;
+    const takeSnapshot = async () => {
+      const file = await camera.capturePhoto();
+      if (!file) return;
+      const faceDetected = await detectFace(detectorRef.current, file);
+      recordSnapshot({ attemptId, file, faceDetected });
+    };
+    takeSnapshot();
+    const interval = setInterval(takeSnapshot, SNAPSHOT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [camera.isActive, camera.capturePhoto, attemptId, recordSnapshot]);
+
+  // Switching tabs also blurs the window, so a blur only counts when the page is still visible afterwards
+  useEffect(() => {
+    let blurTimeout = null;
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        recordEvent({ attemptId, kind: ProctoringEventKind.tabHidden });
+      }
+    };
+    const handleBlur = () => {
+      clearTimeout(blurTimeout);
+      blurTimeout = setTimeout(() => {
+        if (!document.hidden) {
+          recordEvent({ attemptId, kind: ProctoringEventKind.focusLost });
+        }
+      }, 200);
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      clearTimeout(blurTimeout);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, [attemptId, recordEvent]);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-3 p-3 rounded-lg border bg-muted">
+        <video
+          ref={camera.videoRef}
+          autoPlay
+          playsInline
+          muted
+          className="h-16 w-20 rounded object-cover bg-black -scale-x-100"
+        />
+        <canvas ref={camera.canvasRef} className="hidden" />
+        <div className="text-sm">
+          <p className="font-medium flex items-center gap-1">
+            <Video className="h-4 w-4" />
+            {t('quiz.proctoredTitle')}
+          </p>
+          <p className="text-muted-foreground">{t('quiz.proctoredDescription')}</p>
+        </div>
+      </div>
+      {camera.error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {t(`camera.${camera.error.type}`)}. {t('quiz.cameraFlagged')}
+          </AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+}
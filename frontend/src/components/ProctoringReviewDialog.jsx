@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Loader2, Video, EyeOff, ScanFace, CameraOff } from 'lucide-react';
+import { useGetProctoringSnapshot } from '../hooks/useQueries';
+import { formatTimestamp } from '../lib/utils';
+import { ProctoringEventKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+// Images are fetched one query each, so long attempts show them a page at a time
+const SNAPSHOT_PAGE_SIZE = 24;
+
+// The backend deletes snapshot images this many days after they were taken
+const SNAPSHOT_RETENTION_DAYS = 90;
+
+const eventIcons = {
+  [ProctoringEventKind.tabHidden]: EyeOff,
+  [ProctoringEventKind.focusLost]: EyeOff,
+  [ProctoringEventKind.cameraUnavailable]: CameraOff,
+};
+
+function SnapshotImage({ attemptId, snapshot }) {
+  const { t } = useI18n();
+  const { data, isLoading } = useGetProctoringSnapshot(attemptId, snapshot.imageDeleted ? null : snapshot.index);
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!data) return;
+    const objectUrl = URL.createObjectURL(new Blob([data.image], { type: data.contentType }));
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [data]);
+
+  const border =
+    snapshot.faceDetected === false ? 'border-destructive' : snapshot.faceDetected === true ? 'border-green-500' : '';
+
+  return (
+    <div className="space-y-1">
+      <div className={`aspect-[4/3] rounded border-2 bg-muted overflow-hidden flex items-center justify-center ${border}`}>
+        {snapshot.imageDeleted ? (
+          <p className="p-2 text-center text-xs text-muted-foreground">
+            {t('proctoring.imageDeleted', { days: SNAPSHOT_RETENTION_DAYS })}
+          </p>
+        ) : isLoading || !url ? (
+          <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+        ) : (
+          <img
+            src={url}
+            alt={t('proctoring.snapshotAlt', { number: (snapshot.index + 1n).toString() })}
+            className="h-full w-full object-cover"
+          />
+        )}
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {formatTimestamp(snapshot.takenAt)}
+        {snapshot.faceDetected === false && <span className="text-destructive"> · {t('proctoring.noFace')}</span>}
+        {snapshot.faceDetected == null && <span> · {t('proctoring.notChecked')}</span>}
+      </p>
+    </div>
+  );
+}
+
+// Admin review of one proctored attempt: flags, page-leave events and the snapshot timeline
+export default function ProctoringReviewDialog({ attempt, summary, onClose }) {
+  const { t } = useI18n();
+  const [visibleSnapshots, setVisibleSnapshots] = useState(SNAPSHOT_PAGE_SIZE);
+
+  useEffect(() => {
+    setVisibleSnapshots(SNAPSHOT_PAGE_SIZE);
+  }, [summary?.attemptId]);
+
+  return (
+    <Dialog open={summary != null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Video className="h-5 w-5" />
+            {t('proctoring.title')}
+          </DialogTitle>
+          <DialogDescription className="break-all">
+            {attempt
+              ? t('proctoring.attemptDescription', { user: attempt.user.toString(), time: formatTimestamp(attempt.startedAt) })
+              : ''}
+          </DialogDescription>
+        </DialogHeader>
+
+        {summary && (
+          <div className="space-y-6">
+            <div className="flex flex-wrap gap-2">
+              {summary.flags.length > 0 ? (
+                summary.flags.map((flag) => (
+                  <Badge key={flag} variant="destructive">
+                    {t(`proctoring.flags.${flag}`)}
+                  </Badge>
+                ))
+              ) : (
+                <Badge variant="secondary">{t('proctoring.noFlags')}</Badge>
+              )}
+            </div>
+
+            <div className="grid grid-cols-3 gap-4 text-center">
+              <div className="p-3 rounded-lg bg-muted">
+                <p className="text-2xl font-bold">{summary.snapshots.length}</p>
+                <p className="text-xs text-muted-foreground">{t('proctoring.snapshots')}</p>
+              </div>
+              <div className="p-3 rounded-lg bg-muted">
+                <p className="text-2xl font-bold">{summary.missingFaceFrames.toString()}</p>
+                <p className="text-xs text-muted-foreground">{t('proctoring.withoutFace')}</p>
+              </div>
+              <div className="p-3 rounded-lg bg-muted">
+                <p className="text-2xl font-bold">{summary.pageLeaves.toString()}</p>
+                <p className="text-xs text-muted-foreground">{t('proctoring.pageLeaves')}</p>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium">{t('proctoring.eventsTitle')}</p>
+              {summary.events.length > 0 ? (
+                summary.events.map((event, index) => {
+                  const Icon = eventIcons[event.kind];
+                  return (
+                    <div key={index} className="flex items-center justify-between text-sm">
+                      <span className="flex items-center gap-2">
+                        <Icon className="h-4 w-4 text-muted-foreground" />
+                        {t(`proctoring.events.${event.kind}`)}
+                      </span>
+                      <span className="text-muted-foreground">{formatTimestamp(event.timestamp)}</span>
+                    </div>
+                  );
+                })
+              ) : (
+                <p className="text-sm text-muted-foreground">{t('proctoring.stayedOnPage')}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium flex items-center gap-2">
+                <ScanFace className="h-4 w-4" />
+                {t('proctoring.snapshots')}
+              </p>
+              {summary.snapshots.length > 0 ? (
+                <>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    {summary.snapshots.slice(0, visibleSnapshots).map((snapshot) => (
+                      <SnapshotImage key={snapshot.index.toString()} attemptId={summary.attemptId} snapshot={snapshot} />
+                    ))}
+                  </div>
+                  {summary.snapshots.length > visibleSnapshots && (
+                    <Button
+                      variant="outline"
+                      onClick={() => setVisibleSnapshots((count) => count + SNAPSHOT_PAGE_SIZE)}
+                      className="w-full"
+                    >
+                      {t('proctoring.showMore', { count: summary.snapshots.length - visibleSnapshots })}
+                    </Button>
+                  )}
+                </>
+              ) : (
+                <p className="text-sm text-muted-foreground">{t('proctoring.noSnapshots')}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Loader2 } from 'lucide-react';
+import { toProfileForm, validateProfileForm } from '../lib/profile';
+import { useI18n } from '../i18n/useI18n';
+
+// Labels and placeholders come from profile.fields.<id> unless the placeholder is a literal example
+const fields = [
+  { id: 'name', autoComplete: 'name', maxLength: 100 },
+  { id: 'phone', placeholder: '99112233', type: 'tel', autoComplete: 'tel', maxLength: 20 },
+  { id: 'email', placeholder: 'you@example.com', type: 'email', autoComplete: 'email', maxLength: 254 },
+  { id: 'companyName', autoComplete: 'organization', maxLength: 200 },
+  { id: 'companyRegisterNo', placeholder: '1234567', inputMode: 'numeric', maxLength: 7 },
+];
+
+// Contact details form shared by the first-login setup and the profile page
+// Errors show once a field has been left or the form submitted, so an empty form starts clean
+export default function ProfileForm({ profile, isSaving, submitLabel, onSubmit }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => toProfileForm(profile));
+  const [touched, setTouched] = useState({});
+
+  useEffect(() => {
+    setForm(toProfileForm(profile));
+    setTouched({});
+  }, [profile]);
+
+  const errors = validateProfileForm(form);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (hasErrors) {
+      setTouched(Object.fromEntries(fields.map((field) => [field.id, true])));
+      return;
+    }
+    onSubmit(form);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      {fields.map(({ id, placeholder, ...inputProps }) => {
+        const error = touched[id] ? errors[id] : undefined;
+        return (
+          <div key={id} className="space-y-2">
+            <Label htmlFor={`profile-${id}`}>{t(`profile.fields.${id}`)}</Label>
+            <Input
+              id={`profile-${id}`}
+              value={form[id]}
+              onChange={(e) => setForm((current) => ({ ...current, [id]: e.target.value }))}
+              onBlur={() => setTouched((current) => ({ ...current, [id]: true }))}
+              disabled={isSaving}
+              aria-invalid={!!error}
+              placeholder={placeholder ?? t(`profile.placeholders.${id}`)}
+              {...inputProps}
+            />
+            {error && <p className="text-sm text-destructive">{error}</p>}
+          </div>
+        );
+      })}
+      <Button type="submit" disabled={isSaving} className="w-full">
+        {isSaving ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            {t('common.saving')}
+          </>
+        ) : (
+          submitLabel ?? t('common.save')
+        )}
+      </Button>
+    </form>
+  );
+}
@@ -1,41 +1,31 @@
 import { useState, useEffect } from 'react';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
-import { Input } from '@/components/ui/input';
-import { Label } from '@/components/ui/label';
-import { Button } from '@/components/ui/button';
-import { Loader2, User, CheckCircle2 } from 'lucide-react';
+import { User, CheckCircle2 } from 'lucide-react';
 import { useSaveCallerUserProfile } from '../hooks/useQueries';
+import ProfileForm from './ProfileForm';
+import { useI18n } from '../i18n/useI18n';
 
-export default function ProfileSetupModal({ open }) {
-  const [name, setName] = useState('');
+// Shown until the profile has contact details; profiles from before phone and email were asked for are prefilled
+export default function ProfileSetupModal({ open, profile }) {
+  const { t } = useI18n();
   const [showSuccess, setShowSuccess] = useState(false);
   const saveProfile = useSaveCallerUserProfile();
 
   useEffect(() => {
     if (!open) {
-      setName('');
       setShowSuccess(false);
     }
   }, [open]);
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    
-    if (!name.trim()) {
-      return;
-    }
-
-    saveProfile.mutate(
-      { name: name.trim() },
-      {
-        onSuccess: () => {
-          setShowSuccess(true);
-        },
-        onError: (error) => {
-          console.error('[ProfileSetupModal] Error saving profile:', error);
-        }
-      }
-    );
+  const handleSubmit = (form) => {
+    saveProfile.mutate(form, {
+      onSuccess: () => {
+        setShowSuccess(true);
+      },
+      onError: (error) => {
+        console.error('[ProfileSetupModal] Error saving profile:', error);
+      },
+    });
   };
 
   return (
@@ -44,54 +34,25 @@ export default function ProfileSetupModal({ open }) {
       onOpenChange={() => {}}
     >
       <DialogContent 
-        className="sm:max-w-md" 
+        className="sm:max-w-md max-h-[90vh] overflow-y-auto" 
         onPointerDownOutside={(e) => e.preventDefault()}
         onEscapeKeyDown={(e) => e.preventDefault()}
       >
         <DialogHeader>
           <DialogTitle className="flex items-center gap-2">
             <User className="h-5 w-5" />
-            Profile Setup
+            {t('profile.setupTitle')}
           </DialogTitle>
-          <DialogDescription>Please enter your name to continue</DialogDescription>
+          <DialogDescription>{t('profile.setupDescription')}</DialogDescription>
         </DialogHeader>
 
         {showSuccess ? (
           <div className="flex flex-col items-center justify-center py-8 space-y-4">
             <CheckCircle2 className="h-16 w-16 text-green-500 animate-in zoom-in duration-300" />
-            <p className="text-lg font-medium text-green-600">Successfully saved!</p>
+            <p className="text-lg font-medium text-green-600">{t('profile.saved')}</p>
           </div>
         ) : (
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="name">Name</Label>
-              <Input
-                id="name"
-                value={name}
-                onChange={(e) => setName(e.target.value)}
-                placeholder="Your name"
-                autoFocus
-                required
-                disabled={saveProfile.isPending}
-                minLength={1}
-                maxLength={100}
-              />
-            </div>
-            <Button 
-              type="submit" 
-              disabled={saveProfile.isPending || !name.trim()} 
-              className="w-full"
-            >
-              {saveProfile.isPending ? (
-                <>
-                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                  Saving...
-                </>
-              ) : (
-                'Save'
-              )}
-            </Button>
-          </form>
+          <ProfileForm profile={profile} isSaving={saveProfile.isPending} onSubmit={handleSubmit} />
         )}
       </DialogContent>
     </Dialog>
@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Save } from 'lucide-react';
+import { useGetQPayRelayUrl, useSaveQPayRelayUrl } from '../hooks/useQueries';
+import { useI18n } from '../i18n/useI18n';
+
+// Settings tab card for the relay that sends QPay's DELETE requests for the canister, which cannot send DELETE itself
+export default function QPayRelaySettings() {
+  const { t } = useI18n();
+  const { data: relayUrl, isLoading, error } = useGetQPayRelayUrl();
+  const saveRelayUrl = useSaveQPayRelayUrl();
+
+  const [url, setUrl] = useState('');
+  const [isDirty, setIsDirty] = useState(false);
+
+  useEffect(() => {
+    if (!isDirty) {
+      setUrl(relayUrl ?? '');
+    }
+  }, [relayUrl, isDirty]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('settings.qpayRelay.title')}</CardTitle>
+        <CardDescription>{t('settings.qpayRelay.description')}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+          </div>
+        ) : error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{t('settings.loadFailed')}</AlertDescription>
+          </Alert>
+        ) : (
+          <div className="space-y-4">
+            {!relayUrl && (
+              <Alert>
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{t('settings.qpayRelay.notConfigured')}</AlertDescription>
+              </Alert>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="qpay_relay_url">{t('settings.qpayRelay.url')}</Label>
+              <Input
+                id="qpay_relay_url"
+                type="url"
+                value={url}
+                onChange={(e) => {
+                  setUrl(e.target.value);
+                  setIsDirty(true);
+                }}
+                placeholder="https://"
+              />
+              <p className="text-sm text-muted-foreground">{t('settings.qpayRelay.hint')}</p>
+            </div>
+            <Button
+              onClick={() => saveRelayUrl.mutate(url.trim(), { onSuccess: () => setIsDirty(false) })}
+              disabled={saveRelayUrl.isPending || !isDirty}
+              className="w-full"
+            >
+              {saveRelayUrl.isPending ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  {t('common.saving')}
+                </>
+              ) : (
+                <>
+                  <Save className="mr-2 h-4 w-4" />
+                  {t('common.save')}
+                </>
+              )}
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
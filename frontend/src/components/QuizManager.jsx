@@ -0,0 +1,431 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Save, AlertCircle, ListChecks, Plus, Trash2, X, Video } from 'lucide-react';
+import {
+  useGetAllContentItems,
+  useGetQuizForAdmin,
+  useSaveQuiz,
+  useGetQuizAttempts,
+  useGetProctoringSummaries,
+} from '../hooks/useQueries';
+import ProctoringReviewDialog from './ProctoringReviewDialog';
+import { formatTimestamp } from '../lib/utils';
+import { ContentKind, QuestionKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+const questionKinds = [QuestionKind.singleChoice, QuestionKind.multiSelect, QuestionKind.shortAnswer];
+
+const newQuestion = () => ({
+  kind: QuestionKind.singleChoice,
+  prompt: '',
+  options: ['', ''],
+  correctOptions: [],
+  acceptedAnswers: '',
+  points: '1',
+});
+
+// Draft questions keep numbers and answer lists as form-friendly strings
+const toDraftQuestion = (question) => ({
+  kind: question.kind,
+  prompt: question.prompt,
+  options: question.options.length > 0 ? [...question.options] : ['', ''],
+  correctOptions: question.correctOptions.map((option) => Number(option)),
+  acceptedAnswers: question.acceptedAnswers.join('\n'),
+  points: question.points.toString(),
+});
+
+const toQuestionInput = (draft) => {
+  const isShortAnswer = draft.kind === QuestionKind.shortAnswer;
+  return {
+    kind: draft.kind,
+    prompt: draft.prompt.trim(),
+    options: isShortAnswer ? [] : draft.options.map((option) => option.trim()),
+    correctOptions: isShortAnswer ? [] : draft.correctOptions.map((option) => BigInt(option)),
+    acceptedAnswers: isShortAnswer
+      ? draft.acceptedAnswers
+          .split('\n')
+          .map((answer) => answer.trim())
+          .filter(Boolean)
+      : [],
+    points: BigInt(draft.points || '0'),
+  };
+};
+
+export default function QuizManager() {
+  const { t } = useI18n();
+  const { data: items, isLoading: itemsLoading } = useGetAllContentItems();
+  const [selectedId, setSelectedId] = useState(null);
+  const { data: quiz, isLoading: quizLoading, error: quizError } = useGetQuizForAdmin(selectedId);
+  const { data: attempts, isLoading: attemptsLoading } = useGetQuizAttempts(selectedId);
+  const { data: proctoringSummaries } = useGetProctoringSummaries(selectedId);
+  const saveQuiz = useSaveQuiz();
+
+  const [timeLimitMinutes, setTimeLimitMinutes] = useState('0');
+  const [proctored, setProctored] = useState(false);
+  const [questions, setQuestions] = useState([]);
+  const [reviewAttempt, setReviewAttempt] = useState(null);
+
+  const summariesByAttempt = new Map((proctoringSummaries || []).map((summary) => [summary.attemptId, summary]));
+
+  const quizItems = (items || []).filter((item) => item.kind !== ContentKind.video);
+
+  useEffect(() => {
+    if (quiz) {
+      setTimeLimitMinutes(quiz.timeLimitMinutes.toString());
+      setProctored(quiz.proctored);
+      setQuestions(quiz.questions.map(toDraftQuestion));
+    } else {
+      setTimeLimitMinutes('0');
+      setProctored(false);
+      setQuestions([newQuestion()]);
+    }
+  }, [quiz, selectedId]);
+
+  const updateQuestion = (index, changes) => {
+    setQuestions((prev) => prev.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+  };
+
+  const removeQuestion = (index) => {
+    setQuestions((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const updateOption = (questionIndex, optionIndex, value) => {
+    const question = questions[questionIndex];
+    updateQuestion(questionIndex, {
+      options: question.options.map((option, i) => (i === optionIndex ? value : option)),
+    });
+  };
+
+  const addOption = (questionIndex) => {
+    updateQuestion(questionIndex, { options: [...questions[questionIndex].options, ''] });
+  };
+
+  const removeOption = (questionIndex, optionIndex) => {
+    const question = questions[questionIndex];
+    updateQuestion(questionIndex, {
+      options: question.options.filter((_, i) => i !== optionIndex),
+      correctOptions: question.correctOptions
+        .filter((option) => option !== optionIndex)
+        .map((option) => (option > optionIndex ? option - 1 : option)),
+    });
+  };
+
+  const toggleCorrectOption = (questionIndex, optionIndex) => {
+    const question = questions[questionIndex];
+    let correctOptions;
+    if (question.kind === QuestionKind.singleChoice) {
+      correctOptions = [optionIndex];
+    } else if (question.correctOptions.includes(optionIndex)) {
+      correctOptions = question.correctOptions.filter((option) => option !== optionIndex);
+    } else {
+      correctOptions = [...question.correctOptions, optionIndex].sort((a, b) => a - b);
+    }
+    updateQuestion(questionIndex, { correctOptions });
+  };
+
+  const handleKindChange = (questionIndex, kind) => {
+    const question = questions[questionIndex];
+    updateQuestion(questionIndex, {
+      kind,
+      correctOptions: kind === QuestionKind.singleChoice ? question.correctOptions.slice(0, 1) : question.correctOptions,
+    });
+  };
+
+  const handleSave = () => {
+    saveQuiz.mutate({
+      contentId: selectedId,
+      input: {
+        timeLimitMinutes: BigInt(timeLimitMinutes || '0'),
+        proctored,
+        questions: questions.map(toQuestionInput),
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('quizEditor.title')}</CardTitle>
+          <CardDescription>{t('quizEditor.description')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {itemsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : quizItems.length === 0 ? (
+            <div className="text-center py-12">
+              <ListChecks className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">{t('quizEditor.noQuizContent')}</p>
+              <p className="text-sm text-muted-foreground mt-1">{t('quizEditor.noQuizContentHint')}</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label>{t('videos.contentItem')}</Label>
+                <Select
+                  value={selectedId === null ? '' : selectedId.toString()}
+                  onValueChange={(value) => setSelectedId(BigInt(value))}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder={t('quizEditor.selectQuiz')} />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {quizItems.map((item) => (
+                      <SelectItem key={item.id.toString()} value={item.id.toString()}>
+                        {item.title} ({t(`contentKinds.${item.kind}`)})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {selectedId !== null &&
+                (quizLoading ? (
+                  <div className="flex items-center justify-center py-8">
+                    <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                    <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+                  </div>
+                ) : quizError ? (
+                  <Alert variant="destructive">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>{t('quizEditor.loadFailed')}</AlertDescription>
+                  </Alert>
+                ) : (
+                  <div className="space-y-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="quiz_time_limit">{t('quizEditor.timeLimit')}</Label>
+                      <Input
+                        id="quiz_time_limit"
+                        type="number"
+                        min="0"
+                        value={timeLimitMinutes}
+                        onChange={(e) => setTimeLimitMinutes(e.target.value)}
+                        placeholder="20"
+                      />
+                    </div>
+                    <div className="flex items-start gap-2">
+                      <Checkbox
+                        id="quiz_proctored"
+                        checked={proctored}
+                        onCheckedChange={(checked) => setProctored(checked === true)}
+                      />
+                      <div className="space-y-1">
+                        <Label htmlFor="quiz_proctored">{t('quizEditor.proctored')}</Label>
+                        <p className="text-xs text-muted-foreground">{t('quizEditor.proctoredHint')}</p>
+                      </div>
+                    </div>
+
+                    {questions.map((question, questionIndex) => (
+                      <div key={questionIndex} className="p-4 rounded-lg border space-y-3">
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="font-medium">{t('quizEditor.question', { number: questionIndex + 1 })}</span>
+                          <Button variant="ghost" size="icon" onClick={() => removeQuestion(questionIndex)}>
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                        <div className="grid gap-4 sm:grid-cols-2">
+                          <div className="space-y-2">
+                            <Label>{t('content.type')}</Label>
+                            <Select value={question.kind} onValueChange={(value) => handleKindChange(questionIndex, value)}>
+                              <SelectTrigger>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {questionKinds.map((kind) => (
+                                  <SelectItem key={kind} value={kind}>
+                                    {t(`questionKinds.${kind}`)}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </div>
+                          <div className="space-y-2">
+                            <Label htmlFor={`question_points_${questionIndex}`}>{t('quizEditor.points')}</Label>
+                            <Input
+                              id={`question_points_${questionIndex}`}
+                              type="number"
+                              min="1"
+                              value={question.points}
+                              onChange={(e) => updateQuestion(questionIndex, { points: e.target.value })}
+                            />
+                          </div>
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor={`question_prompt_${questionIndex}`}>{t('quizEditor.prompt')}</Label>
+                          <Textarea
+                            id={`question_prompt_${questionIndex}`}
+                            value={question.prompt}
+                            onChange={(e) => updateQuestion(questionIndex, { prompt: e.target.value })}
+                          />
+                        </div>
+                        {question.kind === QuestionKind.shortAnswer ? (
+                          <div className="space-y-2">
+                            <Label htmlFor={`question_answers_${questionIndex}`}>{t('quizEditor.acceptedAnswers')}</Label>
+                            <Textarea
+                              id={`question_answers_${questionIndex}`}
+                              value={question.acceptedAnswers}
+                              onChange={(e) => updateQuestion(questionIndex, { acceptedAnswers: e.target.value })}
+                              placeholder={t('quizEditor.acceptedAnswersPlaceholder')}
+                            />
+                          </div>
+                        ) : (
+                          <div className="space-y-2">
+                            <Label>{t('quizEditor.options')}</Label>
+                            {question.options.map((option, optionIndex) => (
+                              <div key={optionIndex} className="flex items-center gap-2">
+                                <Checkbox
+                                  checked={question.correctOptions.includes(optionIndex)}
+                                  onCheckedChange={() => toggleCorrectOption(questionIndex, optionIndex)}
+                                />
+                                <Input
+                                  value={option}
+                                  onChange={(e) => updateOption(questionIndex, optionIndex, e.target.value)}
+                                  placeholder={t('quizEditor.option', { number: optionIndex + 1 })}
+                                />
+                                <Button
+                                  variant="ghost"
+                                  size="icon"
+                                  onClick={() => removeOption(questionIndex, optionIndex)}
+                                  disabled={question.options.length <= 2}
+                                >
+                                  <X className="h-4 w-4" />
+                                </Button>
+                              </div>
+                            ))}
+                            <Button variant="outline" size="sm" onClick={() => addOption(questionIndex)}>
+                              <Plus className="mr-2 h-4 w-4" />
+                              {t('quizEditor.addOption')}
+                            </Button>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+
+                    <div className="flex gap-2">
+                      <Button variant="outline" onClick={() => setQuestions((prev) => [...prev, newQuestion()])}>
+                        <Plus className="mr-2 h-4 w-4" />
+                        {t('quizEditor.addQuestion')}
+                      </Button>
+                      <Button
+                        onClick={handleSave}
+                        disabled={saveQuiz.isPending || questions.length === 0}
+                        className="flex-1"
+                      >
+                        {saveQuiz.isPending ? (
+                          <>
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                            {t('common.saving')}
+                          </>
+                        ) : (
+                          <>
+                            <Save className="mr-2 h-4 w-4" />
+                            {t('common.save')}
+                          </>
+                        )}
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {selectedId !== null && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('quizEditor.attemptsTitle')}</CardTitle>
+            <CardDescription>
+              {t('quizEditor.attemptsDescription')}
+              {attempts && attempts.length > 0 && (
+                <span className="ml-2 text-sm font-medium">{t('quizEditor.total', { count: attempts.length })}</span>
+              )}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {attemptsLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+              </div>
+            ) : attempts && attempts.length > 0 ? (
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>{t('users.user')}</TableHead>
+                      <TableHead>{t('quizEditor.score')}</TableHead>
+                      <TableHead>{t('columns.status')}</TableHead>
+                      <TableHead>{t('quizEditor.started')}</TableHead>
+                      <TableHead>{t('quizEditor.proctoring')}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {attempts.map((attempt) => (
+                      <TableRow key={attempt.id.toString()}>
+                        <TableCell className="font-mono text-xs">{attempt.user.toString().slice(0, 20)}...</TableCell>
+                        <TableCell className="font-medium">
+                          {attempt.score.toString()} / {attempt.maxScore.toString()}
+                        </TableCell>
+                        <TableCell>
+                          {attempt.submittedAt == null ? (
+                            <Badge variant="secondary">{t('quizEditor.inProgress')}</Badge>
+                          ) : attempt.submittedLate ? (
+                            <Badge variant="destructive">{t('quizEditor.late')}</Badge>
+                          ) : (
+                            <Badge>{t('quizEditor.submitted')}</Badge>
+                          )}
+                        </TableCell>
+                        <TableCell>{formatTimestamp(attempt.startedAt)}</TableCell>
+                        <TableCell>
+                          {summariesByAttempt.has(attempt.id) ? (
+                            <div className="flex flex-wrap items-center gap-1">
+                              {summariesByAttempt.get(attempt.id).flags.map((flag) => (
+                                <Badge key={flag} variant="destructive">
+                                  {t(`proctoring.flags.${flag}`)}
+                                </Badge>
+                              ))}
+                              <Button variant="ghost" size="sm" onClick={() => setReviewAttempt(attempt)}>
+                                <Video className="mr-1 h-4 w-4" />
+                                {t('quizEditor.review')}
+                              </Button>
+                            </div>
+                          ) : (
+                            <span className="text-muted-foreground">—</span>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            ) : (
+              <div className="text-center py-12">
+                <ListChecks className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+                <p className="text-muted-foreground">{t('quiz.noAttempts')}</p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <ProctoringReviewDialog
+        attempt={reviewAttempt}
+        summary={reviewAttempt ? summariesByAttempt.get(reviewAttempt.id) ?? null : null}
+        onClose={() => setReviewAttempt(null)}
+      />
+    </div>
+  );
+}
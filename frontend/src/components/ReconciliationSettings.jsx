@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Switch } from '@/components/ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Save, RefreshCw, History } from 'lucide-react';
+import { useGetReconciliationStatus, useSaveReconciliationSettings, useGetReconciliationLog } from '../hooks/useQueries';
+import { formatTimestamp } from '../lib/utils';
+import { InvoicePaymentStatus } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+// Catalog keys under `status` for each payment status
+const statusKeys = {
+  [InvoicePaymentStatus.unpaid]: 'pending',
+  [InvoicePaymentStatus.partiallyPaid]: 'partiallyPaid',
+  [InvoicePaymentStatus.paid]: 'paid',
+  [InvoicePaymentStatus.overpaid]: 'overpaid',
+};
+
+// Settings tab cards for the background job that checks open invoices with QPay
+export default function ReconciliationSettings() {
+  const { t } = useI18n();
+  const { data: status, isLoading, error } = useGetReconciliationStatus();
+  const { data: log, isLoading: logLoading, isFetching: logFetching, refetch: refetchLog } = useGetReconciliationLog();
+  const saveSettings = useSaveReconciliationSettings();
+
+  const [form, setForm] = useState({ enabled: true, intervalSeconds: '300', batchSize: '10' });
+  const [isDirty, setIsDirty] = useState(false);
+
+  useEffect(() => {
+    if (status && !isDirty) {
+      setForm({
+        enabled: status.settings.enabled,
+        intervalSeconds: status.settings.intervalSeconds.toString(),
+        batchSize: status.settings.batchSize.toString(),
+      });
+    }
+  }, [status, isDirty]);
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setIsDirty(true);
+  };
+
+  const handleSave = () => {
+    saveSettings.mutate(
+      {
+        enabled: form.enabled,
+        intervalSeconds: BigInt(form.intervalSeconds || '0'),
+        batchSize: BigInt(form.batchSize || '0'),
+      },
+      { onSuccess: () => setIsDirty(false) }
+    );
+  };
+
+  return (
+    <>
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('settings.reconciliation.title')}</CardTitle>
+          <CardDescription>{t('settings.reconciliation.description')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : error ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('settings.loadFailed')}</AlertDescription>
+            </Alert>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-sm text-muted-foreground">
+                {t('settings.reconciliation.lastRun', {
+                  time: status.lastRunAt != null ? formatTimestamp(status.lastRunAt) : t('settings.reconciliation.never'),
+                  count: status.openInvoices.toString(),
+                })}
+              </p>
+              {status.pendingCancellations > 0n && (
+                <p className="text-sm text-muted-foreground">
+                  {t('settings.reconciliation.pendingCancellations', { count: status.pendingCancellations.toString() })}
+                </p>
+              )}
+              <div className="flex items-center justify-between">
+                <Label htmlFor="reconciliation_enabled">{t('settings.reconciliation.enabled')}</Label>
+                <Switch
+                  id="reconciliation_enabled"
+                  checked={form.enabled}
+                  onCheckedChange={(checked) => handleChange('enabled', checked)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="reconciliation_interval">{t('settings.reconciliation.interval')}</Label>
+                <Input
+                  id="reconciliation_interval"
+                  type="number"
+                  min="60"
+                  value={form.intervalSeconds}
+                  onChange={(e) => handleChange('intervalSeconds', e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="reconciliation_batch_size">{t('settings.reconciliation.batchSize')}</Label>
+                <Input
+                  id="reconciliation_batch_size"
+                  type="number"
+                  min="1"
+                  max="50"
+                  value={form.batchSize}
+                  onChange={(e) => handleChange('batchSize', e.target.value)}
+                />
+              </div>
+              <Button onClick={handleSave} disabled={saveSettings.isPending || !isDirty} className="w-full">
+                {saveSettings.isPending ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    {t('common.saving')}
+                  </>
+                ) : (
+                  <>
+                    <Save className="mr-2 h-4 w-4" />
+                    {t('common.save')}
+                  </>
+                )}
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="flex items-center gap-2">
+                <History className="h-5 w-5" />
+                {t('settings.reconciliation.logTitle')}
+              </CardTitle>
+              <CardDescription>{t('settings.reconciliation.logDescription')}</CardDescription>
+            </div>
+            <Button variant="outline" size="sm" onClick={() => refetchLog()} disabled={logFetching}>
+              <RefreshCw className={`h-4 w-4 mr-2 ${logFetching ? 'animate-spin' : ''}`} />
+              {t('common.refresh')}
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {logLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : log && log.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t('columns.time')}</TableHead>
+                    <TableHead>{t('settings.reconciliation.invoice')}</TableHead>
+                    <TableHead>{t('settings.reconciliation.user')}</TableHead>
+                    <TableHead>{t('settings.reconciliation.change')}</TableHead>
+                    <TableHead>{t('settings.reconciliation.received')}</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {log.map((entry) => (
+                    <TableRow key={entry.id.toString()}>
+                      <TableCell className="whitespace-nowrap">{formatTimestamp(entry.timestamp)}</TableCell>
+                      <TableCell className="font-mono text-xs break-all">{entry.invoiceId}</TableCell>
+                      <TableCell className="font-mono text-xs break-all">{entry.user.toString()}</TableCell>
+                      <TableCell>
+                        {entry.error != null ? (
+                          <Badge variant="destructive" title={entry.error}>
+                            {t('settings.reconciliation.checkFailed')}
+                          </Badge>
+                        ) : (
+                          <span className="whitespace-nowrap">
+                            {t(`status.${statusKeys[entry.previousStatus]}`)} → {t(`status.${statusKeys[entry.newStatus]}`)}
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell>₮{entry.paidAmount.toString()}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground text-center py-8">{t('settings.reconciliation.noChanges')}</p>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  );
+}
@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Undo2, AlertCircle } from 'lucide-react';
+import { useGetInvoicePayments, useGetInvoiceRefunds, useRefundPayment } from '../hooks/useQueries';
+import { formatTimestamp, getPaymentRecordStatusLabel } from '../lib/utils';
+import { useI18n } from '../i18n/useI18n';
+
+const getRefundable = (payment) => payment.amount - payment.refundedAmount;
+const isQPayPayment = (payment) => payment.qpayPaymentId != null;
+const isStripePayment = (payment) => payment.stripePaymentIntentId != null;
+
+// QPay only refunds whole payments; card payments can be refunded in parts
+const canRefund = (payment) =>
+  isQPayPayment(payment) ? payment.refundedAmount === 0n : isStripePayment(payment) && getRefundable(payment) > 0n;
+
+// Admin dialog that refunds one of an invoice's payments through its provider; open while invoice is set
+export default function RefundDialog({ invoice, onClose }) {
+  const { t } = useI18n();
+  const invoiceId = invoice?.invoiceId ?? null;
+  const { data: payments, isLoading: paymentsLoading } = useGetInvoicePayments(invoiceId);
+  const { data: refunds } = useGetInvoiceRefunds(invoiceId);
+  const refundPayment = useRefundPayment();
+
+  const [paymentId, setPaymentId] = useState('');
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+
+  const refundablePayments = (payments ?? []).filter(canRefund);
+  const selectedPayment = refundablePayments.find((payment) => payment.id.toString() === paymentId) ?? null;
+
+  useEffect(() => {
+    setPaymentId('');
+    setAmount('');
+    setReason('');
+  }, [invoiceId]);
+
+  // Preselect the first refundable payment with its full refundable amount
+  useEffect(() => {
+    if (!selectedPayment && refundablePayments.length > 0) {
+      setPaymentId(refundablePayments[0].id.toString());
+      setAmount(getRefundable(refundablePayments[0]).toString());
+    }
+  }, [selectedPayment, refundablePayments]);
+
+  const handlePaymentChange = (value) => {
+    setPaymentId(value);
+    const payment = refundablePayments.find((p) => p.id.toString() === value);
+    if (payment) setAmount(getRefundable(payment).toString());
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!selectedPayment) return;
+    refundPayment.mutate(
+      { paymentId: selectedPayment.id, amount: BigInt(amount || '0'), reason },
+      { onSuccess: () => onClose() }
+    );
+  };
+
+  return (
+    <Dialog open={invoice != null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Undo2 className="h-5 w-5" />
+            {t('refund.title')}
+          </DialogTitle>
+          <DialogDescription className="break-all">{invoice?.description || invoiceId}</DialogDescription>
+        </DialogHeader>
+
+        <Alert>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{t('refund.notice')}</AlertDescription>
+        </Alert>
+
+        {paymentsLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+          </div>
+        ) : refundablePayments.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">{t('refund.nothingLeft')}</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <Label>{t('refund.payment')}</Label>
+              <Select value={paymentId} onValueChange={handlePaymentChange}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {refundablePayments.map((payment) => (
+                    <SelectItem key={payment.id.toString()} value={payment.id.toString()}>
+                      ₮{payment.amount.toString()} · {formatTimestamp(payment.timestamp)} ·{' '}
+                      {getPaymentRecordStatusLabel(payment)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="refund_amount">
+                {t('refund.amount', { max: selectedPayment ? getRefundable(selectedPayment).toString() : '0' })}
+              </Label>
+              <Input
+                id="refund_amount"
+                type="number"
+                min="1"
+                max={selectedPayment ? getRefundable(selectedPayment).toString() : undefined}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                readOnly={selectedPayment != null && isQPayPayment(selectedPayment)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="refund_reason">{t('refund.reason')}</Label>
+              <Textarea
+                id="refund_reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={t('refund.reasonPlaceholder')}
+                required
+              />
+            </div>
+            <Button type="submit" disabled={refundPayment.isPending || !selectedPayment} className="w-full">
+              {refundPayment.isPending ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Undo2 className="mr-2 h-4 w-4" />
+              )}
+              {t('refund.submit')}
+            </Button>
+          </form>
+        )}
+
+        {refunds && refunds.length > 0 && (
+          <div className="space-y-2 border-t pt-4">
+            <p className="text-sm font-medium">{t('refund.earlier')}</p>
+            {refunds.map((refund) => (
+              <div key={refund.id.toString()} className="text-sm">
+                <div className="flex justify-between">
+                  <span>₮{refund.amount.toString()}</span>
+                  <span className="text-muted-foreground">{formatTimestamp(refund.createdAt)}</span>
+                </div>
+                <p className="text-muted-foreground break-words">{refund.reason}</p>
+              </div>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,25 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { UserRole } from '../backend';
+
+export function getHomePath(userRole) {
+  if (userRole === UserRole.admin) return '/admin/settings';
+  if (userRole === UserRole.user) return '/pay';
+  return '/';
+}
+
+// Route guard: visitors who are not logged in are sent to the landing page, which returns them
+// to the requested URL after login; logged-in users with another role go to their own home page.
+// allow is one role or a list of roles
+export default function RequireRole({ isAuthenticated, userRole, allow, children }) {
+  const allowedRoles = Array.isArray(allow) ? allow : [allow];
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/" replace state={{ from: location }} />;
+  }
+  if (!allowedRoles.includes(userRole)) {
+    console.log('[RequireRole] Role', userRole, 'cannot open', location.pathname);
+    return <Navigate to={getHomePath(userRole)} replace />;
+  }
+  return children;
+}
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Save } from 'lucide-react';
+import { useGetStripeConfiguration, useSaveStripeConfiguration } from '../hooks/useQueries';
+import { useI18n } from '../i18n/useI18n';
+
+// Settings tab card for card payments through Stripe Checkout
+export default function StripeSettings() {
+  const { t } = useI18n();
+  const { data: config, isLoading, error } = useGetStripeConfiguration();
+  const saveConfig = useSaveStripeConfiguration();
+
+  const [secretKey, setSecretKey] = useState('');
+  const [isDirty, setIsDirty] = useState(false);
+
+  useEffect(() => {
+    if (!isDirty) {
+      setSecretKey(config?.secretKey ?? '');
+    }
+  }, [config, isDirty]);
+
+  const handleSave = () => {
+    saveConfig.mutate(
+      // Access is digital, so allowedCountries (shipping address countries) is only kept as it was
+      { secretKey: secretKey.trim(), allowedCountries: config?.allowedCountries ?? [] },
+      { onSuccess: () => setIsDirty(false) }
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('settings.stripe.title')}</CardTitle>
+        <CardDescription>{t('settings.stripe.description')}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+          </div>
+        ) : error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{t('settings.loadFailed')}</AlertDescription>
+          </Alert>
+        ) : (
+          <div className="space-y-4">
+            {!config && (
+              <Alert>
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  {t('settings.stripe.notConfigured')}
+                </AlertDescription>
+              </Alert>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="stripe_secret_key">{t('settings.stripe.secretKey')}</Label>
+              <Input
+                id="stripe_secret_key"
+                type="password"
+                value={secretKey}
+                onChange={(e) => {
+                  setSecretKey(e.target.value);
+                  setIsDirty(true);
+                }}
+                placeholder="sk_live_..."
+              />
+            </div>
+            <Button onClick={handleSave} disabled={saveConfig.isPending || !isDirty} className="w-full">
+              {saveConfig.isPending ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  {t('common.saving')}
+                </>
+              ) : (
+                <>
+                  <Save className="mr-2 h-4 w-4" />
+                  {t('common.save')}
+                </>
+              )}
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
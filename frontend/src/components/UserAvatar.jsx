@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { User } from 'lucide-react';
+import { useI18n } from '../i18n/useI18n';
+
+// Round profile photo from a stored Avatar record, or a placeholder icon when there is none
+export default function UserAvatar({ avatar, className = 'h-10 w-10' }) {
+  const { t } = useI18n();
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!avatar) {
+      setUrl(null);
+      return;
+    }
+    const objectUrl = URL.createObjectURL(new Blob([avatar.image], { type: avatar.contentType }));
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [avatar]);
+
+  return (
+    <div className={`shrink-0 rounded-full bg-muted overflow-hidden flex items-center justify-center ${className}`}>
+      {url ? (
+        <img src={url} alt={t('avatar.alt')} className="h-full w-full object-cover" />
+      ) : (
+        <User className="h-1/2 w-1/2 text-muted-foreground" />
+      )}
+    </div>
+  );
+}
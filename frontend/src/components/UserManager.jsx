@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Users, Search, ShieldCheck, ShieldOff, Ban, CircleCheck } from 'lucide-react';
+import { useInternetIdentity } from '../hooks/useInternetIdentity';
+import { useGetAllUsers, useAssignUserRole, useSetUserBlocked, useGetUserAvatar } from '../hooks/useQueries';
+import { formatTimestamp } from '../lib/utils';
+import { UserRole } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+import UserAvatar from './UserAvatar';
+
+const roleVariants = {
+  [UserRole.admin]: 'default',
+  [UserRole.user]: 'secondary',
+  [UserRole.guest]: 'outline',
+};
+
+// Admins first, then the most recent sign-ups; users registered before sign-up times were kept go last
+const compareUsers = (a, b) => {
+  if ((a.role === UserRole.admin) !== (b.role === UserRole.admin)) {
+    return a.role === UserRole.admin ? -1 : 1;
+  }
+  const aTime = a.registeredAt ?? 0n;
+  const bTime = b.registeredAt ?? 0n;
+  return aTime === bTime ? 0 : aTime > bTime ? -1 : 1;
+};
+
+// Avatars are only fetched for users that have one
+function UserManagerAvatar({ user }) {
+  const { data: avatar } = useGetUserAvatar(user.principal, user.hasAvatar);
+  return <UserAvatar avatar={user.hasAvatar ? avatar : null} className="h-9 w-9" />;
+}
+
+const matchesSearch = (user, term) => {
+  const profile = user.profile;
+  return (
+    user.principal.toString().includes(term) ||
+    (profile != null &&
+      [profile.name, profile.phone, profile.email, profile.companyName ?? '', profile.companyRegisterNo ?? ''].some(
+        (value) => value.toLowerCase().includes(term)
+      ))
+  );
+};
+
+export default function UserManager() {
+  const { t } = useI18n();
+  const { identity } = useInternetIdentity();
+  const { data: users, isLoading, error } = useGetAllUsers();
+  const assignRole = useAssignUserRole();
+  const setBlocked = useSetUserBlocked();
+  const [search, setSearch] = useState('');
+
+  const callerPrincipal = identity?.getPrincipal().toString();
+  const term = search.trim().toLowerCase();
+  const visibleUsers = (users || [])
+    .filter((user) => !term || matchesSearch(user, term))
+    .sort(compareUsers);
+
+  const isUpdating = assignRole.isPending || setBlocked.isPending;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Users className="h-5 w-5" />
+          {t('users.title')}
+        </CardTitle>
+        <CardDescription>{t('users.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="relative max-w-sm">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={t('users.searchPlaceholder')}
+            className="pl-9"
+          />
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+          </div>
+        ) : error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{t('users.loadFailed')}</AlertDescription>
+          </Alert>
+        ) : visibleUsers.length > 0 ? (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t('users.user')}</TableHead>
+                  <TableHead>{t('users.contact')}</TableHead>
+                  <TableHead>{t('users.company')}</TableHead>
+                  <TableHead>{t('users.role')}</TableHead>
+                  <TableHead>{t('users.registered')}</TableHead>
+                  <TableHead>{t('users.invoices')}</TableHead>
+                  <TableHead>{t('users.totalPaid')}</TableHead>
+                  <TableHead>{t('columns.status')}</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {visibleUsers.map((user) => {
+                  const principal = user.principal.toString();
+                  const isSelf = principal === callerPrincipal;
+                  const isAdmin = user.role === UserRole.admin;
+                  const isBlocked = user.blockedAt != null;
+                  const profile = user.profile;
+                  return (
+                    <TableRow key={principal}>
+                      <TableCell className="min-w-[16rem]">
+                        <div className="flex items-center gap-3">
+                          <UserManagerAvatar user={user} />
+                          <div>
+                            <div className="font-medium">
+                              {profile?.name ?? '-'}
+                              {isSelf && <span className="ml-2 text-xs text-muted-foreground">{t('users.you')}</span>}
+                            </div>
+                            <div className="font-mono text-xs text-muted-foreground break-all">{principal}</div>
+                          </div>
+                        </div>
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {profile?.phone || profile?.email ? (
+                          <>
+                            <div>{profile.phone || '-'}</div>
+                            <div className="text-xs text-muted-foreground">{profile.email || '-'}</div>
+                          </>
+                        ) : (
+                          '-'
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {profile?.companyName != null ? (
+                          <>
+                            <div>{profile.companyName}</div>
+                            <div className="text-xs text-muted-foreground">{profile.companyRegisterNo}</div>
+                          </>
+                        ) : (
+                          '-'
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={roleVariants[user.role]}>{t(`roles.${user.role}`)}</Badge>
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {user.registeredAt != null ? formatTimestamp(user.registeredAt) : '-'}
+                      </TableCell>
+                      <TableCell>{user.invoiceCount.toString()}</TableCell>
+                      <TableCell className="font-medium">₮{user.totalPaid.toString()}</TableCell>
+                      <TableCell>
+                        {isBlocked ? (
+                          <Badge variant="destructive" title={t('users.blockedAt', { time: formatTimestamp(user.blockedAt) })}>
+                            {t('users.blocked')}
+                          </Badge>
+                        ) : (
+                          <Badge variant="outline">{t('common.active')}</Badge>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex justify-end gap-2">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={isSelf || isBlocked || isUpdating}
+                            onClick={() =>
+                              assignRole.mutate({
+                                principal: user.principal,
+                                role: isAdmin ? UserRole.user : UserRole.admin,
+                              })
+                            }
+                          >
+                            {isAdmin ? (
+                              <>
+                                <ShieldOff className="mr-2 h-4 w-4" />
+                                {t('users.demote')}
+                              </>
+                            ) : (
+                              <>
+                                <ShieldCheck className="mr-2 h-4 w-4" />
+                                {t('users.promote')}
+                              </>
+                            )}
+                          </Button>
+                          <Button
+                            variant={isBlocked ? 'outline' : 'destructive'}
+                            size="sm"
+                            disabled={isSelf || (isAdmin && !isBlocked) || isUpdating}
+                            title={isAdmin && !isBlocked ? t('users.demoteFirst') : undefined}
+                            onClick={() => setBlocked.mutate({ principal: user.principal, blocked: !isBlocked })}
+                          >
+                            {isBlocked ? (
+                              <>
+                                <CircleCheck className="mr-2 h-4 w-4" />
+                                {t('users.unblock')}
+                              </>
+                            ) : (
+                              <>
+                                <Ban className="mr-2 h-4 w-4" />
+                                {t('users.block')}
+                              </>
+                            )}
+                          </Button>
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        ) : (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            {term ? t('users.noMatches') : t('users.noUsers')}
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,287 @@
+import { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Save, AlertCircle, Film, Pencil, Trash2, X } from 'lucide-react';
+import { useGetAllContentItems, useGetAllVideoAssets, useSaveVideoAsset, useDeleteVideoAsset } from '../hooks/useQueries';
+import { formatTimestamp, formatDuration } from '../lib/utils';
+import { ContentKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+const emptyForm = {
+  title: '',
+  durationSeconds: '',
+  thumbnailUrl: '',
+  assetUrl: '',
+};
+
+const toForm = (asset) => ({
+  title: asset.title,
+  durationSeconds: asset.durationSeconds.toString(),
+  thumbnailUrl: asset.thumbnailUrl,
+  assetUrl: asset.assetUrl,
+});
+
+export default function VideoManager() {
+  const { t } = useI18n();
+  const { data: items, isLoading: itemsLoading } = useGetAllContentItems();
+  const { data: assets, isLoading: assetsLoading, error: assetsError } = useGetAllVideoAssets();
+  const saveVideo = useSaveVideoAsset();
+  const deleteVideo = useDeleteVideoAsset();
+
+  const [contentId, setContentId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const videoItems = (items || []).filter((item) => item.kind === ContentKind.video);
+  const getItemTitle = (id) => videoItems.find((item) => item.id === id)?.title ?? `#${id.toString()}`;
+
+  const handleInputChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const resetForm = () => {
+    setContentId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSelectItem = (value) => {
+    const id = BigInt(value);
+    const existing = assets?.find((asset) => asset.contentId === id);
+    setContentId(id);
+    setForm(existing ? toForm(existing) : { ...emptyForm, title: getItemTitle(id) });
+  };
+
+  const handleEdit = (asset) => {
+    setContentId(asset.contentId);
+    setForm(toForm(asset));
+  };
+
+  // Fill in the duration from the video file itself when the admin has not entered one
+  const handleDetectDuration = (e) => {
+    if (!form.durationSeconds && Number.isFinite(e.target.duration)) {
+      handleInputChange('durationSeconds', Math.round(e.target.duration).toString());
+    }
+  };
+
+  const handleSave = () => {
+    saveVideo.mutate(
+      {
+        contentId,
+        input: {
+          title: form.title.trim(),
+          durationSeconds: BigInt(form.durationSeconds || '0'),
+          thumbnailUrl: form.thumbnailUrl.trim(),
+          assetUrl: form.assetUrl.trim(),
+        },
+      },
+      { onSuccess: resetForm }
+    );
+  };
+
+  const handleDelete = (asset) => {
+    if (!window.confirm(t('videos.confirmDelete', { name: asset.title }))) return;
+    deleteVideo.mutate(asset.contentId, {
+      onSuccess: () => {
+        if (contentId === asset.contentId) resetForm();
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('videos.formTitle')}</CardTitle>
+          <CardDescription>{t('videos.formDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {itemsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : videoItems.length === 0 ? (
+            <div className="text-center py-12">
+              <Film className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">{t('videos.noVideoContent')}</p>
+              <p className="text-sm text-muted-foreground mt-1">{t('videos.noVideoContentHint')}</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label>{t('videos.contentItem')}</Label>
+                <Select value={contentId === null ? '' : contentId.toString()} onValueChange={handleSelectItem}>
+                  <SelectTrigger>
+                    <SelectValue placeholder={t('videos.selectVideo')} />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {videoItems.map((item) => (
+                      <SelectItem key={item.id.toString()} value={item.id.toString()}>
+                        {item.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {contentId !== null && (
+                <>
+                  <div className="space-y-2">
+                    <Label htmlFor="video_title">{t('content.title')}</Label>
+                    <Input
+                      id="video_title"
+                      value={form.title}
+                      onChange={(e) => handleInputChange('title', e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="video_asset_url">{t('videos.videoUrl')}</Label>
+                    <Input
+                      id="video_asset_url"
+                      value={form.assetUrl}
+                      onChange={(e) => handleInputChange('assetUrl', e.target.value)}
+                      placeholder="https://..."
+                    />
+                  </div>
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <div className="space-y-2">
+                      <Label htmlFor="video_duration">{t('videos.duration')}</Label>
+                      <Input
+                        id="video_duration"
+                        type="number"
+                        min="0"
+                        value={form.durationSeconds}
+                        onChange={(e) => handleInputChange('durationSeconds', e.target.value)}
+                        placeholder={t('videos.durationPlaceholder')}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="video_thumbnail">{t('videos.thumbnailUrl')}</Label>
+                      <Input
+                        id="video_thumbnail"
+                        value={form.thumbnailUrl}
+                        onChange={(e) => handleInputChange('thumbnailUrl', e.target.value)}
+                        placeholder="https://..."
+                      />
+                    </div>
+                  </div>
+                  {form.assetUrl.trim() && (
+                    <video
+                      key={form.assetUrl}
+                      src={form.assetUrl.trim()}
+                      poster={form.thumbnailUrl.trim() || undefined}
+                      onLoadedMetadata={handleDetectDuration}
+                      controls
+                      className="w-full rounded-lg bg-black"
+                    />
+                  )}
+                  <div className="flex gap-2">
+                    <Button
+                      onClick={handleSave}
+                      disabled={saveVideo.isPending || !form.title.trim() || !form.assetUrl.trim()}
+                      className="flex-1"
+                    >
+                      {saveVideo.isPending ? (
+                        <>
+                          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          {t('common.saving')}
+                        </>
+                      ) : (
+                        <>
+                          <Save className="mr-2 h-4 w-4" />
+                          {t('common.save')}
+                        </>
+                      )}
+                    </Button>
+                    <Button variant="outline" onClick={resetForm}>
+                      <X className="mr-2 h-4 w-4" />
+                      {t('common.cancel')}
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('videos.listTitle')}</CardTitle>
+          <CardDescription>
+            {t('videos.listDescription')}
+            {assets && assets.length > 0 && (
+              <span className="ml-2 text-sm font-medium">{t('videos.total', { count: assets.length })}</span>
+            )}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {assetsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : assetsError ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('videos.loadFailed')}</AlertDescription>
+            </Alert>
+          ) : assets && assets.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead />
+                    <TableHead>{t('content.title')}</TableHead>
+                    <TableHead>{t('videos.contentItem')}</TableHead>
+                    <TableHead>{t('videos.durationColumn')}</TableHead>
+                    <TableHead>{t('videos.updated')}</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {assets.map((asset) => (
+                    <TableRow key={asset.contentId.toString()}>
+                      <TableCell>
+                        {asset.thumbnailUrl ? (
+                          <img src={asset.thumbnailUrl} alt={asset.title} className="h-10 w-16 object-cover rounded" />
+                        ) : (
+                          <Film className="h-5 w-5 text-muted-foreground" />
+                        )}
+                      </TableCell>
+                      <TableCell className="font-medium">{asset.title}</TableCell>
+                      <TableCell>{getItemTitle(asset.contentId)}</TableCell>
+                      <TableCell>{formatDuration(Number(asset.durationSeconds))}</TableCell>
+                      <TableCell>{formatTimestamp(asset.updatedAt)}</TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button variant="ghost" size="icon" onClick={() => handleEdit(asset)}>
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => handleDelete(asset)}
+                          disabled={deleteVideo.isPending}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Film className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">{t('videos.noVideos')}</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -1,7 +1,21 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { useActor } from './useActor';
 import { toast } from 'sonner';
-import { UserRole } from '../backend';
+import { UserRole, InvoiceStatusFilter, InvoiceSortField, AnalyticsInterval, InvoicePaymentStatus } from '../backend';
+import { downloadReceipt } from '../lib/receipt';
+import { validateProfileForm, toProfileInput, toAvatarImage } from '../lib/profile';
+import { buildInvoiceExportSheets } from '../lib/invoiceExport';
+import { buildCsv, buildXlsx } from '../lib/spreadsheet';
+import {
+  downloadBlob,
+  ULAANBAATAR_TIME_ZONE,
+  formatTimestamp,
+  ulaanbaatarDayStartNs,
+  isFullyPaid,
+  unwrapQPayResult,
+} from '../lib/utils';
+import { translate } from '../i18n/useI18n';
+import { translateError } from '../i18n/errors';
 
 export function useGetCallerUserProfile(registrationComplete = false) {
   const { actor, isFetching: actorFetching } = useActor();
@@ -114,23 +128,101 @@ export function useSaveCallerUserProfile() {
         throw new Error('Actor not available');
       }
       
-      if (!profile.name || !profile.name.trim()) {
-        throw new Error('Name is required');
+      const errors = validateProfileForm(profile);
+      const firstError = Object.values(errors)[0];
+      if (firstError) {
+        throw new Error(firstError);
       }
-      
-      console.log('[useSaveCallerUserProfile] Saving profile:', profile);
-      await actor.saveCallerUserProfile(profile);
+
+      const input = toProfileInput(profile);
+      console.log('[useSaveCallerUserProfile] Saving profile:', input);
+      await actor.saveCallerUserProfile(input);
       console.log('[useSaveCallerUserProfile] Profile saved successfully');
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['currentUserProfile'] });
       queryClient.invalidateQueries({ queryKey: ['currentUserRole'] });
       console.log('[useSaveCallerUserProfile] Queries invalidated, profile will be refetched');
-      toast.success('Profile saved successfully');
+      toast.success(translate('toast.profileSaved'));
     },
     onError: (error) => {
       console.error('[useSaveCallerUserProfile] Error saving user profile:', error);
-      toast.error(`Failed to save profile: ${error.message}`);
+      toast.error(translate('toast.saveProfileFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+export function useGetCallerAvatar(enabled = true) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['callerAvatar'],
+    queryFn: async () => {
+      if (!actor) return null;
+      return actor.getCallerAvatar();
+    },
+    enabled: !!actor && !isFetching && enabled,
+    retry: 1,
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+// Admins load avatars for the user list one at a time, only for users that have one
+export function useGetUserAvatar(user, enabled = true) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['userAvatar', user?.toString()],
+    queryFn: async () => {
+      if (!actor) return null;
+      return actor.getUserAvatar(user);
+    },
+    enabled: !!actor && !isFetching && !!user && enabled,
+    retry: 1,
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+export function useSaveCallerAvatar() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (file) => {
+      if (!actor) throw new Error('Actor not available');
+      const avatar = await toAvatarImage(file);
+      const image = new Uint8Array(await avatar.arrayBuffer());
+      return actor.saveCallerAvatar(avatar.type, image);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['callerAvatar'] });
+      queryClient.invalidateQueries({ queryKey: ['allUsers'] });
+      toast.success(translate('toast.photoUpdated'));
+    },
+    onError: (error) => {
+      console.error('Error saving avatar:', error);
+      toast.error(translate('toast.savePhotoFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+export function useDeleteCallerAvatar() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.deleteCallerAvatar();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['callerAvatar'] });
+      queryClient.invalidateQueries({ queryKey: ['allUsers'] });
+      toast.success(translate('toast.photoRemoved'));
+    },
+    onError: (error) => {
+      console.error('Error removing avatar:', error);
+      toast.error(translate('toast.removePhotoFailed', { error: translateError(error) }));
     },
   });
 }
@@ -155,6 +247,95 @@ export function useIsCallerAdmin() {
   });
 }
 
+export function useGetCallerBlocked(enabled = true) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['callerBlocked'],
+    queryFn: async () => {
+      if (!actor) return false;
+      try {
+        return await actor.isCallerBlocked();
+      } catch (error) {
+        console.error('Error checking blocked status:', error);
+        return false;
+      }
+    },
+    enabled: !!actor && !isFetching && enabled,
+    retry: 1,
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+export function useGetAllUsers() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['allUsers'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getAllUsers();
+      } catch (error) {
+        console.error('Error fetching users:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 60 * 1000,
+  });
+}
+
+export function useAssignUserRole() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ principal, role }) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.assignCallerUserRole(principal, role);
+    },
+    onSuccess: (_, { role }) => {
+      queryClient.invalidateQueries({ queryKey: ['allUsers'] });
+      toast.success(translate(role === UserRole.admin ? 'toast.userPromoted' : 'toast.adminDemoted'));
+    },
+    onError: (error) => {
+      console.error('Error assigning role:', error);
+      toast.error(translate('toast.changeRoleFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+export function useSetUserBlocked() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ principal, blocked }) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.setUserBlocked(principal, blocked);
+    },
+    onSuccess: (_, { blocked }) => {
+      queryClient.invalidateQueries({ queryKey: ['allUsers'] });
+      toast.success(translate(blocked ? 'toast.userBlocked' : 'toast.userUnblocked'));
+    },
+    onError: (error) => {
+      console.error('Error updating blocked status:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Demote the admin')) {
+        toast.error(translate('errors.blockAdmin'));
+      } else {
+        toast.error(translate('toast.updateUserFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
 export function useGetQPayCredentials() {
   const { actor, isFetching } = useActor();
 
@@ -168,7 +349,7 @@ export function useGetQPayCredentials() {
         console.error('Error fetching QPay credentials:', error);
         const errorMessage = error instanceof Error ? error.message : String(error);
         if (errorMessage.includes('Unauthorized')) {
-          toast.error('Please log in again');
+          toast.error(translate('common.loginAgain'));
           return null;
         }
         return null;
@@ -191,15 +372,15 @@ export function useSaveQPayCredentials() {
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['qpayCredentials'] });
-      toast.success('QPay credentials saved successfully');
+      toast.success(translate('toast.credentialsSaved'));
     },
     onError: (error) => {
       console.error('Error saving QPay credentials:', error);
       const errorMessage = error instanceof Error ? error.message : String(error);
       if (errorMessage.includes('Unauthorized')) {
-        toast.error('Please log in again');
+        toast.error(translate('common.loginAgain'));
       } else {
-        toast.error(`Failed to save credentials: ${error.message}`);
+        toast.error(translate('toast.saveCredentialsFailed', { error: translateError(error) }));
       }
     },
   });
@@ -220,7 +401,7 @@ export function useGetQPayInvoiceConfig() {
         console.error('Error fetching QPay invoice config:', error);
         const errorMessage = error instanceof Error ? error.message : String(error);
         if (errorMessage.includes('Unauthorized')) {
-          toast.error('Please log in again');
+          toast.error(translate('common.loginAgain'));
         }
         throw error;
       }
@@ -245,350 +426,1524 @@ export function useSaveQPayInvoiceConfig() {
     onSuccess: () => {
       console.log('[useSaveQPayInvoiceConfig] Config saved, invalidating queries');
       queryClient.invalidateQueries({ queryKey: ['qpayInvoiceConfig'] });
-      queryClient.invalidateQueries({ queryKey: ['userInvoiceConfig'] });
       queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
-      toast.success('Invoice configuration saved successfully');
+      queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+      toast.success(translate('toast.invoiceConfigSaved'));
     },
     onError: (error) => {
       console.error('Error saving QPay invoice config:', error);
       const errorMessage = error instanceof Error ? error.message : String(error);
       if (errorMessage.includes('Unauthorized')) {
-        toast.error('Please log in again');
+        toast.error(translate('common.loginAgain'));
       } else {
-        toast.error(`Failed to save configuration: ${error.message}`);
+        toast.error(translate('toast.saveInvoiceConfigFailed', { error: translateError(error) }));
       }
     },
   });
 }
 
-export function useGetUserPayments() {
+export function useIsStripeConfigured() {
   const { actor, isFetching } = useActor();
 
   return useQuery({
-    queryKey: ['userPayments'],
+    queryKey: ['stripeConfigured'],
     queryFn: async () => {
-      if (!actor) return [];
+      if (!actor) return false;
       try {
-        return await actor.getUserPayments();
+        return await actor.isStripeConfigured();
       } catch (error) {
-        console.error('Error fetching user payments:', error);
+        console.error('Error checking Stripe configuration:', error);
+        return false;
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+export function useGetStripeConfiguration() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['stripeConfiguration'],
+    queryFn: async () => {
+      if (!actor) return null;
+      try {
+        return await actor.getStripeConfiguration();
+      } catch (error) {
+        console.error('Error fetching Stripe configuration:', error);
         const errorMessage = error instanceof Error ? error.message : String(error);
         if (errorMessage.includes('Unauthorized')) {
-          toast.error('Please log in again');
+          toast.error(translate('common.loginAgain'));
         }
-        return [];
+        throw error;
       }
     },
     enabled: !!actor && !isFetching,
     retry: 1,
-    staleTime: 1 * 60 * 1000,
+    staleTime: 2 * 60 * 1000,
   });
 }
 
-export function useGetAllPayments() {
+export function useSaveStripeConfiguration() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (config) => {
+      if (!actor) throw new Error('Actor not available');
+      if (!config.secretKey || !config.secretKey.trim()) {
+        throw new Error(translate('errors.stripeSecretKey'));
+      }
+      return actor.setStripeConfiguration(config);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stripeConfiguration'] });
+      queryClient.invalidateQueries({ queryKey: ['stripeConfigured'] });
+      toast.success(translate('toast.stripeSaved'));
+    },
+    onError: (error) => {
+      console.error('Error saving Stripe configuration:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else {
+        toast.error(translate('toast.saveStripeFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useGetQPayRelayUrl() {
   const { actor, isFetching } = useActor();
 
   return useQuery({
-    queryKey: ['allPayments'],
+    queryKey: ['qpayRelayUrl'],
     queryFn: async () => {
-      if (!actor) return [];
+      if (!actor) return null;
       try {
-        return await actor.getAllPayments();
+        return await actor.getQPayRelayUrl();
       } catch (error) {
-        console.error('Error fetching all payments:', error);
+        console.error('Error fetching QPay relay URL:', error);
         const errorMessage = error instanceof Error ? error.message : String(error);
         if (errorMessage.includes('Unauthorized')) {
-          toast.error('Please log in again');
+          toast.error(translate('common.loginAgain'));
         }
-        return [];
+        throw error;
       }
     },
     enabled: !!actor && !isFetching,
     retry: 1,
-    staleTime: 1 * 60 * 1000,
+    staleTime: 2 * 60 * 1000,
   });
 }
 
-export function useGetAllInvoices() {
+export function useSaveQPayRelayUrl() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (url) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.saveQPayRelayUrl(url);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['qpayRelayUrl'] });
+      toast.success(translate('toast.relaySaved'));
+    },
+    onError: (error) => {
+      console.error('Error saving QPay relay URL:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else {
+        toast.error(translate('toast.saveRelayFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useGetReconciliationStatus() {
   const { actor, isFetching } = useActor();
 
   return useQuery({
-    queryKey: ['allInvoices'],
+    queryKey: ['reconciliationStatus'],
     queryFn: async () => {
-      if (!actor) return [];
+      if (!actor) throw new Error('Actor not available');
       try {
-        const result = await actor.getAllInvoices();
-        console.log('[useGetAllInvoices] Fetched invoices from backend:', result.length, 'invoices');
-        result.forEach(([id, inv]) => {
-          console.log(`[useGetAllInvoices] Invoice ${id}: amount = ${inv.amount.toString()}`);
-        });
-        return result;
+        return await actor.getReconciliationStatus();
       } catch (error) {
-        console.error('Error fetching all invoices:', error);
+        console.error('Error fetching reconciliation status:', error);
         const errorMessage = error instanceof Error ? error.message : String(error);
         if (errorMessage.includes('Unauthorized')) {
-          toast.error('Please log in again');
+          toast.error(translate('common.loginAgain'));
         }
-        return [];
+        throw error;
       }
     },
     enabled: !!actor && !isFetching,
     retry: 1,
-    staleTime: 0,
-    refetchOnMount: 'always',
+    staleTime: 60 * 1000,
   });
 }
 
-export function useRecordPayment() {
+export function useSaveReconciliationSettings() {
   const { actor } = useActor();
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ amount, status }) => {
+    mutationFn: async (settings) => {
       if (!actor) throw new Error('Actor not available');
-      return actor.recordPayment(amount, status);
+      return actor.saveReconciliationSettings(settings);
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['userPayments'] });
-      queryClient.invalidateQueries({ queryKey: ['allPayments'] });
+      queryClient.invalidateQueries({ queryKey: ['reconciliationStatus'] });
+      toast.success(translate('toast.reconciliationSaved'));
     },
     onError: (error) => {
-      console.error('Error recording payment:', error);
+      console.error('Error saving reconciliation settings:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else {
+        toast.error(translate('toast.saveReconciliationFailed', { error: translateError(error) }));
+      }
     },
   });
 }
 
-export function useGetInvoiceConfigForUser() {
+export function useGetReconciliationLog() {
   const { actor, isFetching } = useActor();
 
   return useQuery({
-    queryKey: ['userInvoiceConfig'],
+    queryKey: ['reconciliationLog'],
     queryFn: async () => {
-      if (!actor) {
-        return {
-          sender_invoice_no: '12345678',
-          invoice_receiver_code: 'terminal',
-          invoice_description: 'Railway subscription 12 months',
-          amount: BigInt(10),
-        };
-      }
+      if (!actor) return [];
       try {
-        const config = await actor.getQPayInvoiceConfig();
-        console.log('[useGetInvoiceConfigForUser] Fetched config for user:', config);
-        return config;
+        return await actor.getReconciliationLog();
       } catch (error) {
-        console.error('Error fetching invoice config for user:', error);
-        return {
-          sender_invoice_no: '12345678',
-          invoice_receiver_code: 'terminal',
-          invoice_description: 'Railway subscription 12 months',
-          amount: BigInt(10),
-        };
+        console.error('Error fetching reconciliation log:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
       }
     },
     enabled: !!actor && !isFetching,
     retry: 1,
-    staleTime: 0,
-    refetchOnMount: 'always',
+    staleTime: 60 * 1000,
   });
 }
 
-export function useGetUserInvoice() {
+export function useGetEbarimtMode() {
   const { actor, isFetching } = useActor();
 
   return useQuery({
-    queryKey: ['userInvoice'],
+    queryKey: ['ebarimtMode'],
     queryFn: async () => {
       if (!actor) return null;
       try {
-        return await actor.getUserInvoice();
+        return await actor.getEbarimtMode();
       } catch (error) {
-        console.error('Error fetching user invoice:', error);
-        return null;
+        console.error('Error fetching e-barimt mode:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
       }
     },
     enabled: !!actor && !isFetching,
     retry: 1,
-    staleTime: 0,
+    staleTime: 2 * 60 * 1000,
   });
 }
 
-export function useMakeQPayPayment() {
+export function useSaveEbarimtMode() {
   const { actor } = useActor();
-  const recordPayment = useRecordPayment();
-  const storeInvoice = useStoreUserInvoice();
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async () => {
+    mutationFn: async (mode) => {
       if (!actor) throw new Error('Actor not available');
+      return actor.saveEbarimtMode(mode);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['ebarimtMode'] });
+      toast.success(translate('toast.ebarimtSaved'));
+    },
+    onError: (error) => {
+      console.error('Error saving e-barimt mode:', error);
+      toast.error(translate('toast.saveEbarimtFailed', { error: translateError(error) }));
+    },
+  });
+}
 
-      console.log('[Payment Flow] Step 0: Starting optimized payment flow...');
-
-      console.log('[Payment Flow] Step 1: Checking for existing valid invoice...');
-      toast.info('Checking invoice...');
-      
-      const invoiceCheck = await actor.checkForValidInvoice();
-      console.log('[Payment Flow] Invoice check result:', {
-        hasValidInvoice: invoiceCheck.hasValidInvoice,
-        hasData: !!invoiceCheck.invoiceData,
-        amount: invoiceCheck.amount?.toString()
-      });
-
-      let invoiceResponse;
-      let token = null;
+export function useGetUserPayments() {
+  const { actor, isFetching } = useActor();
 
-      if (invoiceCheck.hasValidInvoice && invoiceCheck.invoiceData && invoiceCheck.amount !== undefined) {
-        console.log('[Payment Flow] ♻️ EXISTING invoice found - reusing without token request');
-        console.log('[Payment Flow] Token not requested for reused invoice.');
-        
-        invoiceResponse = {
-          invoiceData: invoiceCheck.invoiceData,
-          isNewInvoice: false,
-          amount: invoiceCheck.amount
-        };
-        
-        console.log('[Payment Flow] Reusing invoice with stored amount:', invoiceCheck.amount.toString());
-        
-        console.log('[Payment Flow] Requesting token for payment status checking...');
-        const tokenResponse = await actor.makeQPayTokenRequest();
-        try {
-          const tokenData = JSON.parse(tokenResponse);
-          token = tokenData.access_token;
-          console.log('[Payment Flow] Token obtained for status checking');
-        } catch (e) {
-          console.error('[Payment Flow] Error parsing token for status check:', e);
-        }
+  return useQuery({
+    queryKey: ['userPayments'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getUserPayments();
+      } catch (error) {
+        console.error('Error fetching user payments:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 1 * 60 * 1000,
+  });
+}
+
+export function useGetAllPayments() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['allPayments'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getAllPayments();
+      } catch (error) {
+        console.error('Error fetching all payments:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 1 * 60 * 1000,
+  });
+}
+
+export function useGetInvoicePayments(invoiceId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['invoicePayments', invoiceId],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getInvoicePayments(invoiceId);
+      } catch (error) {
+        console.error('Error fetching invoice payments:', error);
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching && !!invoiceId,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useGetInvoiceRefunds(invoiceId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['invoiceRefunds', invoiceId],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getInvoiceRefunds(invoiceId);
+      } catch (error) {
+        console.error('Error fetching invoice refunds:', error);
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching && !!invoiceId,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+// Refunds a payment through its provider, QPay through the relay or Stripe, and then records the refund
+export function useRefundPayment() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ paymentId, amount, reason }) => {
+      if (!actor) throw new Error('Actor not available');
+      if (!reason || !reason.trim()) {
+        throw new Error(translate('errors.refundReason'));
+      }
+      return actor.refundPayment(paymentId, amount, reason);
+    },
+    onSuccess: (refund) => {
+      queryClient.invalidateQueries({ queryKey: ['invoicePayments', refund.invoiceId] });
+      queryClient.invalidateQueries({ queryKey: ['invoiceRefunds', refund.invoiceId] });
+      queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
+      queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+      queryClient.invalidateQueries({ queryKey: ['allPayments'] });
+      queryClient.invalidateQueries({ queryKey: ['allUsers'] });
+      toast.success(translate('toast.refundRecorded'));
+    },
+    onError: (error) => {
+      console.error('Error recording refund:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else {
+        toast.error(translate('toast.refundFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+// Requests the e-barimts a paid invoice is still missing; the invoice keeps the error when QPay fails again
+export function useRetryEbarimt() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (invoiceId) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.retryEbarimt(invoiceId);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
+      queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+    },
+    onError: (error) => {
+      console.error('Error requesting e-barimt:', error);
+      toast.error(translate('toast.ebarimtFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+// from and to are YYYY-MM-DD days in Ulaanbaatar time; both days are included
+export function useGetRevenueAnalytics({ from, to, interval }) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['revenueAnalytics', from, to, interval],
+    queryFn: async () => {
+      if (!actor) throw new Error('Actor not available');
+      try {
+        return await actor.getRevenueAnalytics({
+          from: ulaanbaatarDayStartNs(from),
+          to: ulaanbaatarDayStartNs(to) + 86_400_000_000_000n,
+          interval: AnalyticsInterval[interval],
+        });
+      } catch (error) {
+        console.error('Error fetching analytics:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching && !!from && !!to && from <= to,
+    placeholderData: keepPreviousData,
+    retry: false,
+    staleTime: 60 * 1000,
+  });
+}
+
+// Payments have no server-side filter; the invoice filter is applied to them here
+const matchesPaymentFilter = (payment, filter) => {
+  if (filter.createdFrom != null && payment.timestamp < filter.createdFrom) return false;
+  if (filter.createdTo != null && payment.timestamp > filter.createdTo) return false;
+  if (filter.minAmount != null && payment.amount < filter.minAmount) return false;
+  if (filter.maxAmount != null && payment.amount > filter.maxAmount) return false;
+  if (filter.search != null && !payment.user.toString().includes(filter.search.toLowerCase())) return false;
+  return true;
+};
+
+// Downloads every invoice matching the table filters, in the table's sort order, with the payments
+// of the same range and per-period totals
+export function useExportInvoices() {
+  const { actor } = useActor();
+
+  return useMutation({
+    mutationFn: async ({ params, format, period }) => {
+      if (!actor) throw new Error('Actor not available');
+      const pageSize = 100;
+      const invoices = [];
+      for (let page = 0; ; page++) {
+        const result = await actor.getInvoicesPage(toInvoicePageRequest({ ...params, page, pageSize }));
+        invoices.push(...result.items);
+        if (result.items.length < pageSize || BigInt(invoices.length) >= result.total) break;
+      }
+
+      const { filter } = toInvoicePageRequest(params);
+      const [payments, profiles] = await Promise.all([actor.getAllPayments(), actor.getAllUserProfiles()]);
+      const sheets = buildInvoiceExportSheets({
+        invoices,
+        payments: payments
+          .filter((payment) => matchesPaymentFilter(payment, filter))
+          .sort((a, b) => Number(a.timestamp - b.timestamp)),
+        profiles: new Map(profiles.map(([principal, profile]) => [principal.toString(), profile.name])),
+        period,
+      });
+
+      const date = formatTimestamp(BigInt(Date.now()) * 1_000_000n, ULAANBAATAR_TIME_ZONE).slice(0, 10);
+      if (format === 'xlsx') {
+        downloadBlob(buildXlsx(sheets), `invoices-${date}.xlsx`);
+      } else {
+        downloadBlob(buildCsv(sheets), `invoices-${date}.csv`);
+      }
+      return invoices.length;
+    },
+    onSuccess: (count) => {
+      toast.success(translate('toast.exported', { count }));
+    },
+    onError: (error) => {
+      console.error('Error exporting invoices:', error);
+      toast.error(translate('toast.exportFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+export function useGetAllInvoices() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['allInvoices'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        const result = await actor.getAllInvoices();
+        console.log('[useGetAllInvoices] Fetched invoices from backend:', result.length, 'invoices');
+        result.forEach(([id, inv]) => {
+          console.log(`[useGetAllInvoices] Invoice ${id}: amount = ${inv.amount.toString()}`);
+        });
+        return result;
+      } catch (error) {
+        console.error('Error fetching all invoices:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
+    refetchOnMount: 'always',
+  });
+}
+
+// Date inputs give local calendar days; the range covers both days completely
+const dayStartNs = (day) => BigInt(new Date(`${day}T00:00:00`).getTime()) * 1_000_000n;
+const dayEndNs = (day) => dayStartNs(day) + 86_400_000_000_000n - 1n;
+const toAmount = (value) => BigInt(Math.max(0, Math.floor(Number(value) || 0)));
+
+// The table state is kept as plain strings and numbers so it can be part of the query key
+function toInvoicePageRequest({
+  status = 'all',
+  search = '',
+  createdFrom = '',
+  createdTo = '',
+  minAmount = '',
+  maxAmount = '',
+  sortBy = 'createdAt',
+  descending = true,
+  page = 0,
+  pageSize = 20,
+}) {
+  return {
+    filter: {
+      status: InvoiceStatusFilter[status],
+      search: search.trim() ? search.trim() : null,
+      createdFrom: createdFrom ? dayStartNs(createdFrom) : null,
+      createdTo: createdTo ? dayEndNs(createdTo) : null,
+      minAmount: minAmount !== '' ? toAmount(minAmount) : null,
+      maxAmount: maxAmount !== '' ? toAmount(maxAmount) : null,
+    },
+    sortBy: InvoiceSortField[sortBy],
+    descending,
+    offset: BigInt(page * pageSize),
+    limit: BigInt(pageSize),
+  };
+}
+
+export function useGetInvoicesPage(params) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['invoicesPage', params],
+    queryFn: async () => {
+      if (!actor) throw new Error('Actor not available');
+      try {
+        const result = await actor.getInvoicesPage(toInvoicePageRequest(params));
+        console.log('[useGetInvoicesPage] Fetched', result.items.length, 'of', result.total.toString(), 'invoices');
+        return result;
+      } catch (error) {
+        console.error('Error fetching invoices page:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching,
+    placeholderData: keepPreviousData,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useGetActivePlans() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['activePlans'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        const plans = await actor.getActivePlans();
+        console.log('[useGetActivePlans] Fetched plans:', plans.length);
+        return plans;
+      } catch (error) {
+        console.error('Error fetching active plans:', error);
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
+    refetchOnMount: 'always',
+  });
+}
+
+export function useGetAllPlans() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['allPlans'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getAllPlans();
+      } catch (error) {
+        console.error('Error fetching plans:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useSavePlan() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id = null, input }) => {
+      if (!actor) throw new Error('Actor not available');
+      if (!input.description || !input.description.trim()) {
+        throw new Error(translate('errors.planDescription'));
+      }
+      console.log('[useSavePlan] Saving plan:', id?.toString() ?? 'new', input);
+      if (id === null) {
+        return actor.createPlan(input);
+      }
+      return actor.updatePlan(id, input);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['allPlans'] });
+      queryClient.invalidateQueries({ queryKey: ['activePlans'] });
+      toast.success(translate('toast.planSaved'));
+    },
+    onError: (error) => {
+      console.error('Error saving plan:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else {
+        toast.error(translate('toast.savePlanFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useDeletePlan() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (id) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.deletePlan(id);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['allPlans'] });
+      queryClient.invalidateQueries({ queryKey: ['activePlans'] });
+      toast.success(translate('toast.planDeleted'));
+    },
+    onError: (error) => {
+      console.error('Error deleting plan:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('has invoices')) {
+        toast.error(translate('errors.planHasInvoices'));
+      } else {
+        toast.error(translate('toast.deletePlanFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useGetUserInvoice() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['userInvoice'],
+    queryFn: async () => {
+      if (!actor) return null;
+      try {
+        return await actor.getUserInvoice();
+      } catch (error) {
+        console.error('Error fetching user invoice:', error);
+        return null;
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useGetCallerInvoices() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['callerInvoices'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getCallerInvoices();
+      } catch (error) {
+        console.error('Error fetching invoices:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useGetCallerInvoice(invoiceId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['callerInvoice', invoiceId],
+    queryFn: async () => {
+      if (!actor) return null;
+      try {
+        return await actor.getCallerInvoice(invoiceId);
+      } catch (error) {
+        console.error('Error fetching invoice:', error);
+        return null;
+      }
+    },
+    enabled: !!actor && !isFetching && !!invoiceId,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+// Receipts are only issued for paid invoices; the payer details come from the invoice owner's profile
+export function useDownloadReceipt() {
+  const { actor } = useActor();
+
+  return useMutation({
+    mutationFn: async (invoice) => {
+      if (!actor) throw new Error('Actor not available');
+      if (!invoice.isPaid) throw new Error(translate('toast.invoiceNotPaid'));
+      const profile = await actor.getUserProfile(invoice.user);
+      downloadReceipt(invoice, profile);
+    },
+    onError: (error) => {
+      console.error('Error creating receipt:', error);
+      toast.error(translate('toast.receiptFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+export function useMakeQPayPayment() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ planId = null, contentId = null } = {}) => {
+      if (!actor) throw new Error('Actor not available');
+
+      console.log('[Payment Flow] Step 0: Starting optimized payment flow...', {
+        planId: planId?.toString() ?? null,
+        contentId: contentId?.toString() ?? null,
+      });
+
+      console.log('[Payment Flow] Step 1: Checking for existing valid invoice...');
+      toast.info(translate('toast.checkingInvoice'));
+      
+      const invoiceCheck = await actor.checkForValidInvoice(planId, contentId);
+      console.log('[Payment Flow] Invoice check result:', {
+        hasValidInvoice: invoiceCheck.hasValidInvoice,
+        hasInvoice: invoiceCheck.qpayInvoice != null,
+        amount: invoiceCheck.amount?.toString()
+      });
+
+      let invoiceResponse;
+
+      if (invoiceCheck.hasValidInvoice && invoiceCheck.qpayInvoice != null && invoiceCheck.amount != null) {
+        console.log('[Payment Flow] ♻️ EXISTING invoice found - reusing it');
+        
+        invoiceResponse = {
+          qpayInvoice: invoiceCheck.qpayInvoice,
+          isNewInvoice: false,
+          amount: invoiceCheck.amount
+        };
+        
+        console.log('[Payment Flow] Reusing invoice with stored amount:', invoiceCheck.amount.toString());
+      } else {
+        console.log('[Payment Flow] No valid invoice found - creating new invoice');
+        console.log('[Payment Flow] Step 2: Creating new invoice...');
+        toast.info(translate('toast.creatingInvoice'));
+        invoiceResponse = unwrapQPayResult(await actor.getValidOrCreateInvoice(planId, contentId));
+        console.log('[Payment Flow] New invoice created:', {
+          isNewInvoice: invoiceResponse.isNewInvoice,
+          amount: invoiceResponse.amount.toString()
+        });
+      }
+
+      const { qpayInvoice } = invoiceResponse;
+      
+      if (invoiceResponse.isNewInvoice) {
+        console.log('[Payment Flow] ✅ NEW invoice created and stored by the backend');
+        console.log('[Payment Flow] Invoice ID:', qpayInvoice.invoiceId);
+        queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
+        queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+        queryClient.invalidateQueries({ queryKey: ['userInvoice'] });
+        queryClient.invalidateQueries({ queryKey: ['callerInvoices'] });
+      } else {
+        console.log('[Payment Flow] ♻️ EXISTING invoice reused');
+        console.log('[Payment Flow] Existing invoice has stored amount:', invoiceResponse.amount.toString());
+      }
+
+      console.log('[Payment Flow] ✅ Payment flow completed successfully');
+      return {
+        qpayInvoice,
+        invoiceId: qpayInvoice.invoiceId,
+        amount: invoiceResponse.amount,
+        planId,
+        contentId,
+      };
+    },
+    onSuccess: () => {
+      console.log('[Payment Flow] Success callback - response received');
+      toast.success(translate('toast.paymentRequestCreated'));
+    },
+    onError: (error) => {
+      console.error('[Payment Flow] ❌ Error in payment flow:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else if (errorMessage.includes('QPay credentials not found')) {
+        toast.error(translate('errors.qpayCredentials'));
+      } else {
+        toast.error(translate('toast.paymentFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useCheckPaymentStatus() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ invoiceId }) => {
+      if (!actor) throw new Error('Actor not available');
+      console.log('[Payment Status] Checking payment status for invoice:', invoiceId);
+      const verification = unwrapQPayResult(await actor.checkPaymentStatus(invoiceId));
+      console.log('[Payment Status] Payment status:', verification.status, {
+        paidAmount: verification.paidAmount.toString(),
+        amount: verification.amount.toString(),
+      });
+      return { ...verification, isPaid: isFullyPaid(verification.status) };
+    },
+    onSuccess: ({ status, isPaid, paidAmount, amount }) => {
+      // Partial payments are stored and recorded too, so the lists refresh for them as well
+      if (status !== InvoicePaymentStatus.unpaid) {
+        console.log('[Payment Status] Payment received! Invalidating queries...');
+        queryClient.invalidateQueries({ queryKey: ['userInvoice'] });
+        queryClient.invalidateQueries({ queryKey: ['callerInvoices'] });
+        queryClient.invalidateQueries({ queryKey: ['callerInvoice'] });
+        queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
+        queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+        queryClient.invalidateQueries({ queryKey: ['userPayments'] });
+        queryClient.invalidateQueries({ queryKey: ['allPayments'] });
+        queryClient.invalidateQueries({ queryKey: ['contentCatalog'] });
+        queryClient.invalidateQueries({ queryKey: ['entitlements'] });
+      }
+      if (isPaid) {
+        toast.success(translate('toast.paymentSuccessful'));
+      } else if (status === InvoicePaymentStatus.partiallyPaid) {
+        toast.warning(translate('toast.partialPayment', { paid: paidAmount.toString(), amount: amount.toString() }), {
+          id: 'partial-payment',
+        });
+      }
+    },
+    onError: (error) => {
+      console.error('[Payment Status] Error checking payment status:', error);
+    },
+  });
+}
+
+// Creates the Stripe Checkout Session and invoice; the caller redirects to the returned url
+export function useCreateStripeCheckout() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ planId = null, contentId = null }) => {
+      if (!actor) throw new Error('Actor not available');
+      const returnUrl = `${window.location.origin}/checkout/return`;
+      return actor.createStripeCheckout(
+        planId,
+        contentId,
+        `${returnUrl}?session_id={CHECKOUT_SESSION_ID}`,
+        `${returnUrl}?cancelled=1`
+      );
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['callerInvoices'] });
+      queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
+      queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+    },
+    onError: (error) => {
+      console.error('Error creating Stripe checkout:', error);
+    },
+  });
+}
+
+export function useConfirmStripeCheckout() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ sessionId }) => {
+      if (!actor) throw new Error('Actor not available');
+      const verification = await actor.confirmStripeCheckout(sessionId);
+      return { ...verification, isPaid: isFullyPaid(verification.status) };
+    },
+    onSuccess: (result) => {
+      if (result.isPaid) {
+        queryClient.invalidateQueries({ queryKey: ['callerInvoices'] });
+        queryClient.invalidateQueries({ queryKey: ['callerInvoice'] });
+        queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
+        queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+        queryClient.invalidateQueries({ queryKey: ['userPayments'] });
+        queryClient.invalidateQueries({ queryKey: ['allPayments'] });
+        queryClient.invalidateQueries({ queryKey: ['contentCatalog'] });
+        queryClient.invalidateQueries({ queryKey: ['entitlements'] });
+      }
+    },
+    onError: (error) => {
+      console.error('Error confirming Stripe checkout:', error);
+    },
+  });
+}
+
+// Resolves to the invoice state afterwards: cancelled, or paid/created when a payment had already arrived
+export function useCancelInvoice() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ invoiceId }) => {
+      if (!actor) throw new Error('Actor not available');
+      return unwrapQPayResult(await actor.cancelInvoice(invoiceId));
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['userInvoice'] });
+      queryClient.invalidateQueries({ queryKey: ['callerInvoices'] });
+      queryClient.invalidateQueries({ queryKey: ['callerInvoice'] });
+      queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
+      queryClient.invalidateQueries({ queryKey: ['invoicesPage'] });
+    },
+    onError: (error) => {
+      console.error('Error cancelling invoice:', error);
+      toast.error(translate('toast.cancelInvoiceFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+export function useGetContentCatalog() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['contentCatalog'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        const catalog = await actor.getContentCatalog();
+        console.log('[useGetContentCatalog] Fetched catalog:', catalog.length, 'items');
+        return catalog;
+      } catch (error) {
+        console.error('Error fetching content catalog:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useGetAllContentItems() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['allContentItems'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getAllContentItems();
+      } catch (error) {
+        console.error('Error fetching content items:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useSaveContentItem() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id = null, input }) => {
+      if (!actor) throw new Error('Actor not available');
+      if (!input.title || !input.title.trim()) {
+        throw new Error(translate('errors.contentTitle'));
+      }
+      console.log('[useSaveContentItem] Saving content item:', id?.toString() ?? 'new', input);
+      if (id === null) {
+        return actor.createContentItem(input);
+      }
+      return actor.updateContentItem(id, input);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['allContentItems'] });
+      queryClient.invalidateQueries({ queryKey: ['contentCatalog'] });
+      toast.success(translate('toast.contentSaved'));
+    },
+    onError: (error) => {
+      console.error('Error saving content item:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else {
+        toast.error(translate('toast.saveContentFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useDeleteContentItem() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (id) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.deleteContentItem(id);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['allContentItems'] });
+      queryClient.invalidateQueries({ queryKey: ['contentCatalog'] });
+      toast.success(translate('toast.contentDeleted'));
+    },
+    onError: (error) => {
+      console.error('Error deleting content item:', error);
+      toast.error(translate('toast.deleteContentFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+export function useGetEntitlements(enabled = true) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['entitlements'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        const entitlements = await actor.getCallerEntitlements();
+        console.log('[useGetEntitlements] Fetched entitlements:', entitlements.length);
+        return entitlements;
+      } catch (error) {
+        console.error('Error fetching entitlements:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        return [];
+      }
+    },
+    enabled: !!actor && !isFetching && enabled,
+    retry: 1,
+    staleTime: 1 * 60 * 1000,
+  });
+}
+
+// Passes are valid for five minutes; fetching a new one every four keeps the shown QR code valid
+const ACCESS_PASS_REFRESH_MS = 4 * 60 * 1000;
+
+export function useGetCallerAccessPass(enabled = true) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['accessPass'],
+    queryFn: async () => {
+      if (!actor) throw new Error('Actor not available');
+      try {
+        return await actor.getCallerAccessPass();
+      } catch (error) {
+        console.error('Error fetching access pass:', error);
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching && enabled,
+    retry: 1,
+    staleTime: ACCESS_PASS_REFRESH_MS,
+    refetchInterval: ACCESS_PASS_REFRESH_MS,
+  });
+}
+
+export function useCheckInAccessPass() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (token) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.checkInAccessPass(token);
+    },
+    onSuccess: (result) => {
+      if (result.checkIn) {
+        queryClient.invalidateQueries({ queryKey: ['recentCheckIns'] });
+      }
+    },
+    onError: (error) => {
+      console.error('Error checking in access pass:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
       } else {
-        console.log('[Payment Flow] No valid invoice found - creating new invoice');
-        console.log('[Payment Flow] Step 2: Requesting QPay token...');
-        toast.info('Requesting QPay token...');
-        
-        const tokenResponse = await actor.makeQPayTokenRequest();
-        console.log('[Payment Flow] Token response received');
-
-        try {
-          const tokenData = JSON.parse(tokenResponse);
-          token = tokenData.access_token;
-          if (!token) throw new Error('Token not found');
-          console.log('[Payment Flow] Token extracted successfully');
-        } catch (e) {
-          console.error('[Payment Flow] Error parsing token response:', e);
-          throw new Error('Failed to parse token');
+        toast.error(translate('toast.checkInFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+// Recent check-ins with the names from user profiles
+export function useGetRecentCheckIns() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['recentCheckIns'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        const [checkIns, profiles] = await Promise.all([actor.getRecentCheckIns(), actor.getAllUserProfiles()]);
+        const names = new Map(profiles.map(([principal, profile]) => [principal.toString(), profile.name]));
+        return checkIns.map((checkIn) => ({ ...checkIn, userName: names.get(checkIn.user.toString()) ?? null }));
+      } catch (error) {
+        console.error('Error fetching check-ins:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
         }
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 60 * 1000,
+  });
+}
 
-        console.log('[Payment Flow] Step 3: Creating new invoice with token...');
-        toast.info('Creating new invoice...');
-        invoiceResponse = await actor.getValidOrCreateInvoice(token);
-        console.log('[Payment Flow] New invoice created:', {
-          isNewInvoice: invoiceResponse.isNewInvoice,
-          amount: invoiceResponse.amount.toString()
-        });
+export function useGetQuizForAdmin(contentId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['adminQuiz', contentId?.toString()],
+    queryFn: async () => {
+      if (!actor) return null;
+      try {
+        return await actor.getQuizForAdmin(contentId);
+      } catch (error) {
+        console.error('Error fetching quiz:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
       }
+    },
+    enabled: !!actor && !isFetching && contentId !== null && contentId !== undefined,
+    retry: 1,
+    staleTime: 0,
+  });
+}
 
-      const invoiceData = JSON.parse(invoiceResponse.invoiceData);
-      console.log('[Payment Flow] Parsed invoice data:', {
-        invoice_id: invoiceData.invoice_id,
-        amount: invoiceData.amount
-      });
-      
-      if (invoiceResponse.isNewInvoice && invoiceData.invoice_id) {
-        console.log('[Payment Flow] ✅ NEW invoice created - storing in backend');
-        console.log('[Payment Flow] Invoice ID:', invoiceData.invoice_id);
-        console.log('[Payment Flow] Storing with amount:', invoiceResponse.amount.toString());
-        await storeInvoice.mutateAsync({
-          invoiceId: invoiceData.invoice_id,
-          invoiceData: invoiceResponse.invoiceData,
-          amount: invoiceResponse.amount,
-        });
-        console.log('[Payment Flow] ✅ Invoice stored successfully with historical amount');
-        queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
-        queryClient.invalidateQueries({ queryKey: ['userInvoice'] });
+export function useSaveQuiz() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ contentId, input }) => {
+      if (!actor) throw new Error('Actor not available');
+      console.log('[useSaveQuiz] Saving quiz for content:', contentId.toString(), 'questions:', input.questions.length);
+      return actor.saveQuiz(contentId, input);
+    },
+    onSuccess: (_, { contentId }) => {
+      queryClient.invalidateQueries({ queryKey: ['adminQuiz', contentId.toString()] });
+      queryClient.invalidateQueries({ queryKey: ['quizProctored', contentId.toString()] });
+      toast.success(translate('toast.quizSaved'));
+    },
+    onError: (error) => {
+      console.error('Error saving quiz:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
       } else {
-        console.log('[Payment Flow] ♻️ EXISTING invoice reused - NOT storing again');
-        console.log('[Payment Flow] Existing invoice has stored amount:', invoiceResponse.amount.toString());
-        console.log('[Payment Flow] This prevents duplicate entries in admin invoice list');
+        toast.error(translate('toast.saveQuizFailed', { error: translateError(error) }));
       }
+    },
+  });
+}
+
+export function useGetQuizAttempts(contentId) {
+  const { actor, isFetching } = useActor();
 
+  return useQuery({
+    queryKey: ['quizAttempts', contentId?.toString()],
+    queryFn: async () => {
+      if (!actor) return [];
       try {
-        console.log('[Payment Flow] Recording payment with amount:', invoiceResponse.amount.toString());
-        recordPayment.mutate({ amount: invoiceResponse.amount, status: 'pending' });
+        return await actor.getQuizAttempts(contentId);
       } catch (error) {
-        console.error('[Payment Flow] Error recording payment:', error);
-        recordPayment.mutate({ amount: BigInt(10), status: 'pending' });
+        console.error('Error fetching quiz attempts:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
       }
+    },
+    enabled: !!actor && !isFetching && contentId !== null && contentId !== undefined,
+    retry: 1,
+    staleTime: 0,
+  });
+}
 
-      console.log('[Payment Flow] ✅ Payment flow completed successfully');
-      return {
-        invoiceData: invoiceResponse.invoiceData,
-        token: token,
-        invoiceId: invoiceData.invoice_id
-      };
+export function useGetCallerQuizAttempts(contentId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['callerQuizAttempts', contentId?.toString()],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getCallerQuizAttempts(contentId);
+      } catch (error) {
+        console.error('Error fetching quiz attempts:', error);
+        return [];
+      }
     },
-    onSuccess: () => {
-      console.log('[Payment Flow] Success callback - response received');
-      toast.success('Payment request created successfully!');
-      queryClient.invalidateQueries({ queryKey: ['userInvoiceConfig'] });
+    enabled: !!actor && !isFetching && contentId !== null && contentId !== undefined,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+export function useStartQuizAttempt() {
+  const { actor } = useActor();
+
+  return useMutation({
+    mutationFn: async (contentId) => {
+      if (!actor) throw new Error('Actor not available');
+      console.log('[useStartQuizAttempt] Starting attempt for content:', contentId.toString());
+      return actor.startQuizAttempt(contentId);
     },
     onError: (error) => {
-      console.error('[Payment Flow] ❌ Error in payment flow:', error);
+      console.error('Error starting quiz:', error);
       const errorMessage = error instanceof Error ? error.message : String(error);
       if (errorMessage.includes('Unauthorized')) {
-        toast.error('Please log in again');
-      } else if (errorMessage.includes('QPay credentials not found')) {
-        toast.error('QPay credentials not found. Please contact administrator.');
+        toast.error(translate('common.loginAgain'));
+      } else if (errorMessage.includes('payment required')) {
+        toast.error(translate('toast.unlockFirst'));
+      } else {
+        toast.error(translate('toast.startFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useSubmitQuizAttempt() {
+  const { actor } = useActor();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ attemptId, answers }) => {
+      if (!actor) throw new Error('Actor not available');
+      console.log('[useSubmitQuizAttempt] Submitting attempt:', attemptId.toString(), 'answers:', answers.length);
+      return actor.submitQuizAttempt(attemptId, answers);
+    },
+    onSuccess: (attempt) => {
+      queryClient.invalidateQueries({ queryKey: ['callerQuizAttempts', attempt.contentId.toString()] });
+      queryClient.invalidateQueries({ queryKey: ['quizAttempts', attempt.contentId.toString()] });
+      queryClient.invalidateQueries({ queryKey: ['proctoringSummaries', attempt.contentId.toString()] });
+    },
+    onError: (error) => {
+      console.error('Error submitting quiz:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
       } else {
-        toast.error(`Payment failed: ${error.message}`);
+        toast.error(translate('toast.submitFailed', { error: translateError(error) }));
+      }
+    },
+  });
+}
+
+export function useIsQuizProctored(contentId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['quizProctored', contentId?.toString()],
+    queryFn: async () => {
+      if (!actor) return false;
+      return actor.isQuizProctored(contentId);
+    },
+    enabled: !!actor && !isFetching && contentId !== null && contentId !== undefined,
+    retry: 1,
+    staleTime: 60 * 1000,
+  });
+}
+
+// Snapshots and events are sent in the background during an attempt; a failed one is only logged
+export function useRecordProctoringSnapshot() {
+  const { actor } = useActor();
+
+  return useMutation({
+    mutationFn: async ({ attemptId, file, faceDetected }) => {
+      if (!actor) throw new Error('Actor not available');
+      const image = new Uint8Array(await file.arrayBuffer());
+      return actor.recordProctoringSnapshot(attemptId, file.type, image, faceDetected);
+    },
+    onError: (error) => {
+      console.error('Error sending proctoring snapshot:', error);
+    },
+  });
+}
+
+export function useRecordProctoringEvent() {
+  const { actor } = useActor();
+
+  return useMutation({
+    mutationFn: async ({ attemptId, kind }) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.recordProctoringEvent(attemptId, kind);
+    },
+    onError: (error) => {
+      console.error('Error sending proctoring event:', error);
+    },
+  });
+}
+
+export function useGetProctoringSummaries(contentId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['proctoringSummaries', contentId?.toString()],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getProctoringSummaries(contentId);
+      } catch (error) {
+        console.error('Error fetching proctoring summaries:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
+      }
+    },
+    enabled: !!actor && !isFetching && contentId !== null && contentId !== undefined,
+    retry: 1,
+    staleTime: 0,
+  });
+}
+
+// Snapshots never change once taken, so each image is fetched once
+export function useGetProctoringSnapshot(attemptId, index) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['proctoringSnapshot', attemptId?.toString(), index?.toString()],
+    queryFn: async () => {
+      if (!actor) return null;
+      return actor.getProctoringSnapshot(attemptId, index);
+    },
+    enabled: !!actor && !isFetching && attemptId != null && index != null,
+    retry: 1,
+    staleTime: Infinity,
+  });
+}
+
+export function useGetAllVideoAssets() {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['allVideoAssets'],
+    queryFn: async () => {
+      if (!actor) return [];
+      try {
+        return await actor.getAllVideoAssets();
+      } catch (error) {
+        console.error('Error fetching video assets:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
       }
     },
+    enabled: !!actor && !isFetching,
+    retry: 1,
+    staleTime: 0,
   });
 }
 
-export function useStoreUserInvoice() {
+export function useSaveVideoAsset() {
   const { actor } = useActor();
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ invoiceId, invoiceData, amount }) => {
+    mutationFn: async ({ contentId, input }) => {
       if (!actor) throw new Error('Actor not available');
-      console.log('[Store Invoice] Storing invoice:', invoiceId, 'with amount:', amount.toString());
-      return actor.storeUserInvoice(invoiceId, invoiceData, amount);
+      if (!input.assetUrl || !input.assetUrl.trim()) {
+        throw new Error(translate('errors.videoUrl'));
+      }
+      console.log('[useSaveVideoAsset] Saving video for content:', contentId.toString());
+      return actor.saveVideoAsset(contentId, input);
     },
     onSuccess: () => {
-      console.log('[Store Invoice] ✅ Invoice stored successfully with historical amount');
-      queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
-      queryClient.invalidateQueries({ queryKey: ['userInvoice'] });
+      queryClient.invalidateQueries({ queryKey: ['allVideoAssets'] });
+      toast.success(translate('toast.videoSaved'));
     },
     onError: (error) => {
-      console.error('[Store Invoice] ❌ Error storing invoice:', error);
+      console.error('Error saving video:', error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      if (errorMessage.includes('Unauthorized')) {
+        toast.error(translate('common.loginAgain'));
+      } else {
+        toast.error(translate('toast.saveVideoFailed', { error: translateError(error) }));
+      }
     },
   });
 }
 
-export function useCheckPaymentStatus() {
+export function useDeleteVideoAsset() {
   const { actor } = useActor();
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ token, invoiceId }) => {
+    mutationFn: async (contentId) => {
       if (!actor) throw new Error('Actor not available');
-      console.log('[Payment Status] Checking payment status for invoice:', invoiceId);
-      const isPaid = await actor.checkPaymentStatus(token, invoiceId);
-      console.log('[Payment Status] Payment status:', isPaid ? 'PAID' : 'PENDING');
-      return isPaid;
+      return actor.deleteVideoAsset(contentId);
     },
-    onSuccess: (isPaid) => {
-      if (isPaid) {
-        console.log('[Payment Status] Payment confirmed! Invalidating queries...');
-        queryClient.invalidateQueries({ queryKey: ['userInvoice'] });
-        queryClient.invalidateQueries({ queryKey: ['allInvoices'] });
-        queryClient.invalidateQueries({ queryKey: ['userPayments'] });
-        queryClient.invalidateQueries({ queryKey: ['allPayments'] });
-        toast.success('Payment successful!');
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['allVideoAssets'] });
+      toast.success(translate('toast.videoDeleted'));
+    },
+    onError: (error) => {
+      console.error('Error deleting video:', error);
+      toast.error(translate('toast.deleteVideoFailed', { error: translateError(error) }));
+    },
+  });
+}
+
+// The asset URL is only held in memory while the watch page is open
+export function useGetVideoPlayback(contentId) {
+  const { actor, isFetching } = useActor();
+
+  return useQuery({
+    queryKey: ['videoPlayback', contentId?.toString()],
+    queryFn: async () => {
+      if (!actor) throw new Error('Actor not available');
+      try {
+        return await actor.getVideoPlayback(contentId);
+      } catch (error) {
+        console.error('Error fetching video playback:', error);
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (errorMessage.includes('Unauthorized')) {
+          toast.error(translate('common.loginAgain'));
+        }
+        throw error;
       }
     },
+    enabled: !!actor && !isFetching && contentId !== null && contentId !== undefined,
+    retry: 1,
+    staleTime: 0,
+    gcTime: 0,
+    refetchOnWindowFocus: false,
+  });
+}
+
+export function useSaveVideoProgress() {
+  const { actor } = useActor();
+
+  return useMutation({
+    mutationFn: async ({ contentId, positionSeconds }) => {
+      if (!actor) throw new Error('Actor not available');
+      return actor.saveVideoProgress(contentId, BigInt(Math.floor(positionSeconds)));
+    },
     onError: (error) => {
-      console.error('[Payment Status] Error checking payment status:', error);
+      console.error('Error saving video progress:', error);
     },
   });
 }
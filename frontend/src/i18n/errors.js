@@ -0,0 +1,102 @@
+import { translate } from './useI18n';
+
+// Backend traps reach the frontend wrapped in the agent's reject message; keep only the trap text
+function getRejectText(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  const trapped = message.match(/trapped explicitly: ([^\n]*)/) ?? message.match(/with message: '([^']*)'/);
+  if (trapped) return trapped[1].trim();
+  const rejected = message.match(/Reject text: ([^\n]*)/);
+  return rejected ? rejected[1].trim() : message;
+}
+
+// Backend error texts mapped to catalog keys under `errors`; captured groups become the message parameters
+const errorPatterns = [
+  [/^Unauthorized: Can(?:not| only)/, 'notOwner'],
+  [/^Unauthorized/, 'unauthorized'],
+  [/^Blocked/, 'blocked'],
+  [/^Actor not available$/, 'actorUnavailable'],
+  [/^User is not registered$/, 'notRegistered'],
+  [/^User not found$/, 'userNotFound'],
+  [/^Name is required and must be at most (?<max>\d+) characters$/, 'nameRequired'],
+  [/^Invalid phone number$/, 'invalidPhone'],
+  [/^Invalid email address$/, 'invalidEmail'],
+  [/^Company name must be 1 to (?<max>\d+) characters$/, 'companyNameLength'],
+  [/^Company registration number must have 7 digits$/, 'companyRegisterNo'],
+  [/^Company name and registration number must be given together$/, 'companyTogether'],
+  [/^Unsupported image type/, 'imageType'],
+  [/^Avatar must be between 1 and (?<max>\d+) bytes$/, 'avatarSize'],
+  [/^Admins cannot change their own role$/, 'ownRole'],
+  [/^Admins cannot block themselves$/, 'blockSelf'],
+  [/^Demote the admin before blocking$/, 'blockAdmin'],
+  [/^Unblock the user before promoting$/, 'promoteBlocked'],
+  [/^QPay credentials not found$/, 'qpayCredentials'],
+  [/^Stripe needs to be first configured$/, 'stripeNotConfigured'],
+  [/^Stripe secret key is required$/, 'stripeSecretKey'],
+  [/^The QPay relay URL must start with https:\/\/$/, 'relayUrl'],
+  [/^Failed to create checkout session/, 'checkoutSession'],
+  [/^Stripe session check failed|^Unexpected Stripe response/, 'stripeCheck'],
+  [/^Invoice validity must be between 1 and (?<max>\d+) hours$/, 'invoiceValidity'],
+  [/^No invoice found with ID/, 'invoiceNotFound'],
+  [/^Invoice is no longer open$/, 'invoiceClosed'],
+  [/^A payment was already received for this invoice$/, 'alreadyPaid'],
+  [/^Plan not found/, 'planNotFound'],
+  [/^Plan is not available for purchase$/, 'planUnavailable'],
+  [/^Plan has invoices and cannot be deleted/, 'planHasInvoices'],
+  [/^Plan description is required$/, 'planDescription'],
+  [/^Plan amount must be greater than zero$/, 'planAmount'],
+  [/^Plan duration must be at least one day$/, 'planDuration'],
+  [/^Either a plan or a content item must be selected$/, 'noPurchase'],
+  [/^Content item not found|^Content item is not available$/, 'contentNotFound'],
+  [/^Content item is not available for purchase$/, 'contentUnavailable'],
+  [/^Content is locked, payment required$/, 'contentLocked'],
+  [/^Content title is required$/, 'contentTitle'],
+  [/^Content price must be greater than zero$/, 'contentPrice'],
+  [/^Content item is not a video$/, 'notVideo'],
+  [/^Content item is not a quiz or test$/, 'notQuiz'],
+  [/^Video title is required$/, 'videoTitle'],
+  [/^Video asset URL is required$/, 'videoUrl'],
+  [/^This video is not available yet$/, 'videoUnavailable'],
+  [/^This quiz has no questions yet$|^A quiz needs at least one question$/, 'quizEmpty'],
+  [/^Question prompt is required$/, 'questionPrompt'],
+  [/^Question points must be greater than zero$/, 'questionPoints'],
+  [/^Choice questions need at least two options$/, 'choiceOptions'],
+  [/^Choice questions need at least one correct option$/, 'choiceCorrect'],
+  [/^Single-choice questions need exactly one correct option$/, 'singleChoiceCorrect'],
+  [/^Short-answer questions need at least one accepted answer$/, 'shortAnswer'],
+  [/^Correct option is out of range$/, 'correctOutOfRange'],
+  [/^Correct options must not repeat$/, 'correctRepeated'],
+  [/^Quiz attempt not found|^Quiz not found/, 'attemptNotFound'],
+  [/^Quiz attempt already submitted$/, 'attemptSubmitted'],
+  [/^Quiz attempt is not proctored$/, 'notProctored'],
+  [/^Snapshot limit reached|^Event limit reached/, 'proctoringLimit'],
+  [/^Proctoring storage is full$/, 'proctoringFull'],
+  [/^Unsupported snapshot type/, 'snapshotType'],
+  [/^Snapshot must be between 1 and (?<max>\d+) bytes$/, 'snapshotSize'],
+  [/^No active access pass$/, 'noAccessPass'],
+  [/^No payment found with ID/, 'paymentNotFound'],
+  [/^Only QPay and Stripe payments can be refunded$/, 'refundProviderOnly'],
+  [/^QPay payments can only be refunded in full$/, 'refundQPayFull'],
+  [/^A refund of this payment is already under way$/, 'refundInFlight'],
+  [/^The refund failed: (?<reason>.*)$/, 'refundProvider'],
+  [/^Refund amount must be greater than zero$/, 'refundAmount'],
+  [/^At most (?<max>\d+) can be refunded from this payment$/, 'refundTooLarge'],
+  [/^A refund reason is required$/, 'refundReason'],
+  [/^E-barimt issuance is disabled$/, 'ebarimtDisabled'],
+  [/^E-barimts are only issued for paid QPay invoices$/, 'ebarimtNotPaid'],
+  [/^An e-barimt request for this invoice is already running$/, 'ebarimtRunning'],
+  [/^Interval must be at least (?<min>\d+) seconds$/, 'reconciliationInterval'],
+  [/^Batch size must be between 1 and (?<max>\d+)$/, 'reconciliationBatch'],
+  [/^Invalid range: end must be after start$/, 'invalidRange'],
+  [/^Range too large: at most (?<max>\d+) buckets$/, 'rangeTooLarge'],
+  [/^Failed to load the QR code generator$/, 'qrGenerator'],
+];
+
+// Translated text for an error thrown by a backend call; unknown errors keep their original text
+export function translateError(error) {
+  const text = getRejectText(error);
+  for (const [pattern, key] of errorPatterns) {
+    const match = text.match(pattern);
+    if (match) return translate(`errors.${key}`, match.groups);
+  }
+  return text;
+}
@@ -0,0 +1,842 @@
+// English messages; keys must match messages/mn.js
+export default {
+  common: {
+    loading: 'Loading...',
+    saving: 'Saving...',
+    save: 'Save',
+    cancel: 'Cancel',
+    back: 'Back',
+    retry: 'Retry',
+    active: 'Active',
+    inactive: 'Inactive',
+    loginAgain: 'Please log in again',
+    refresh: 'Refresh',
+    confirmDelete: 'Delete "{name}"?',
+  },
+
+  roles: {
+    admin: 'Admin',
+    user: 'User',
+    guest: 'Guest',
+  },
+
+  app: {
+    errorTitle: 'Application Error',
+    unexpectedError: 'An unexpected error occurred',
+    reload: 'Reload Application',
+    rootNotFound: 'Root element not found. Please refresh the page.',
+    renderingErrorTitle: 'Rendering Error',
+    renderingError: 'Failed to render application',
+    fatalErrorTitle: 'Fatal Error',
+    fatalError: 'Application failed to initialize. Please refresh the page.',
+    initializing: 'Initializing application...',
+    connecting: 'Connecting to backend...',
+    loadingUserData: 'Loading user data...',
+    pleaseWait: 'Please wait',
+    connectionErrorTitle: 'Backend Connection Error',
+    connectionError: 'Unable to connect to the backend. Please refresh the page.',
+    refresh: 'Refresh Page',
+    blockedTitle: 'Account Blocked',
+    blocked: 'This account has been blocked. Please contact the administrator.',
+    accessPendingTitle: 'Access Pending',
+    accessPending: 'Your access level is not determined. Please contact the administrator.',
+  },
+
+  header: {
+    title: 'QPay Payment',
+    greeting: 'Hello, {name}',
+    language: 'Language',
+    loggingIn: 'Logging in...',
+    login: 'Login',
+    logout: 'Logout',
+  },
+
+  footer: {
+    builtWith: 'Built with',
+    using: 'using',
+  },
+
+  landing: {
+    title: 'QPay Payment System',
+    subtitle: 'Easy, fast, and reliable payment solution',
+    getStarted: 'Get Started',
+    features: 'Features',
+    fastTitle: 'Fast Payment',
+    fastDescription: 'Complete your payment in seconds',
+    fastDetails: 'Quick and seamless payment processing with QPay integration',
+    secureTitle: 'Secure',
+    secureDescription: 'Your data is safely stored',
+    secureDetails: 'Built on Internet Computer blockchain for maximum security',
+    banksTitle: 'Multiple Banks',
+    banksDescription: 'Choose your preferred bank',
+    banksDetails: 'Connected with all major banks in Mongolia',
+    howItWorks: 'How It Works',
+    step1Title: 'Login',
+    step1: 'Securely login using Internet Identity',
+    step2Title: 'Make Payment',
+    step2: 'Click the payment button and pay with QPay',
+    step3Title: 'Select Bank',
+    step3: 'Choose your bank and confirm the payment',
+  },
+
+  notFound: {
+    title: 'Page Not Found',
+    description: 'The page you are looking for does not exist.',
+    home: 'Go to homepage',
+  },
+
+  errors: {
+    unauthorized: 'You are not allowed to do this. Please log in again.',
+    notOwner: 'This item belongs to another user',
+    blocked: 'This account has been blocked',
+    actorUnavailable: 'Not connected to the backend yet. Please try again.',
+    notRegistered: 'Your account is not registered yet',
+    userNotFound: 'User not found',
+    nameRequired: 'Name is required and must be at most {max} characters',
+    invalidPhone: 'Invalid phone number',
+    invalidEmail: 'Invalid email address',
+    companyNameLength: 'Company name must be 1 to {max} characters',
+    companyRegisterNo: 'Company registration number must have 7 digits',
+    companyTogether: 'Company name and registration number must be given together',
+    imageType: 'Only JPEG, PNG and WebP images are supported',
+    avatarSize: 'The photo must be at most {max} bytes',
+    ownRole: 'Admins cannot change their own role',
+    blockSelf: 'Admins cannot block themselves',
+    blockAdmin: 'Admins cannot be blocked. Demote the admin first.',
+    promoteBlocked: 'Unblock the user before promoting',
+    qpayCredentials: 'QPay credentials not found. Please contact administrator.',
+    stripeNotConfigured: 'Card payments are not configured yet',
+    stripeSecretKey: 'Secret key is required',
+    relayUrl: 'The relay URL must start with https://',
+    checkoutSession: 'Failed to open the card payment page',
+    stripeCheck: 'Failed to check the card payment',
+    invoiceValidity: 'Invoice validity must be between 1 and {max} hours',
+    invoiceNotFound: 'Invoice not found',
+    invoiceClosed: 'This invoice is no longer open',
+    alreadyPaid: 'A payment was already received for this invoice',
+    planNotFound: 'Plan not found',
+    planUnavailable: 'This plan is not available for purchase',
+    planHasInvoices: 'This plan already has invoices. Deactivate it instead.',
+    planDescription: 'Description is required',
+    planAmount: 'Amount must be greater than zero',
+    planDuration: 'Duration must be at least one day',
+    noPurchase: 'Select a plan or a content item',
+    contentNotFound: 'Content not found',
+    contentUnavailable: 'This item is not available for purchase',
+    contentLocked: 'Unlock this item before opening it',
+    contentTitle: 'Title is required',
+    contentPrice: 'Price must be greater than zero',
+    notVideo: 'This item is not a video',
+    notQuiz: 'This item is not a quiz or test',
+    videoTitle: 'Video title is required',
+    videoUrl: 'Video URL is required',
+    videoUnavailable: 'This video is not available yet',
+    quizEmpty: 'A quiz needs at least one question',
+    questionPrompt: 'Question prompt is required',
+    questionPoints: 'Question points must be greater than zero',
+    choiceOptions: 'Choice questions need at least two options',
+    choiceCorrect: 'Choice questions need at least one correct option',
+    singleChoiceCorrect: 'Single-choice questions need exactly one correct option',
+    shortAnswer: 'Short-answer questions need at least one accepted answer',
+    correctOutOfRange: 'Correct option is out of range',
+    correctRepeated: 'Correct options must not repeat',
+    attemptNotFound: 'Attempt not found',
+    attemptSubmitted: 'This attempt was already submitted',
+    notProctored: 'This attempt is not proctored',
+    proctoringLimit: 'The proctoring limit for this attempt was reached',
+    proctoringFull: 'The storage for proctoring snapshots is full',
+    snapshotType: 'Only JPEG, PNG and WebP snapshots are supported',
+    snapshotSize: 'A snapshot must be at most {max} bytes',
+    noAccessPass: 'No active access pass',
+    paymentNotFound: 'Payment not found',
+    refundProviderOnly: 'Only QPay and Stripe payments can be refunded',
+    refundQPayFull: 'QPay payments can only be refunded in full',
+    refundInFlight: 'A refund of this payment is already under way',
+    refundProvider: 'The refund failed: {reason}',
+    refundAmount: 'Refund amount must be greater than zero',
+    refundTooLarge: 'At most ₮{max} can be refunded from this payment',
+    refundReason: 'Reason is required',
+    ebarimtDisabled: 'E-barimt issuance is disabled',
+    ebarimtNotPaid: 'E-barimts are only issued for paid QPay invoices',
+    ebarimtRunning: 'An e-barimt request for this invoice is already running',
+    reconciliationInterval: 'Interval must be at least {min} seconds',
+    reconciliationBatch: 'Batch size must be between 1 and {max}',
+    invalidRange: 'The end must be after the start',
+    rangeTooLarge: 'Range too large: at most {max} points',
+    qrGenerator: 'Failed to load the QR code generator',
+  },
+
+  time: {
+    invalidDate: 'Invalid date',
+    underMinute: '< 1 min',
+    days: '{count} d',
+    hours: '{count} h',
+    minutes: '{count} min',
+  },
+
+  status: {
+    pending: 'Pending',
+    paid: 'Paid',
+    partiallyPaid: 'Partially Paid',
+    overpaid: 'Overpaid',
+    expired: 'Expired',
+    cancelled: 'Cancelled',
+    refunded: 'Refunded',
+    partiallyRefunded: 'Partially Refunded',
+  },
+
+  ebarimt: {
+    notIssued: 'Not issued yet',
+    company: 'Company {receiver}',
+    title: 'E-barimt',
+    qrAlt: 'E-barimt QR code',
+    registered: 'VAT receipt registered for this payment',
+    pending: 'The VAT receipt has not been issued yet. It is requested again at the next payment check.',
+    companyRegisterNo: 'Company registration number:',
+    lottery: 'Lottery number:',
+    vat: 'VAT:',
+    issued: 'Issued {date}',
+    testReceipt: 'Test receipt',
+  },
+
+  qpay: {
+    apiError: 'QPay error {code}',
+    apiErrorMessage: 'QPay error {code}: {message}',
+    malformedResponse: 'Unexpected response from QPay ({details})',
+    unknownError: 'Unknown QPay error',
+  },
+
+  profile: {
+    setupTitle: 'Profile Setup',
+    setupDescription: 'Please enter your contact details to continue. We use them for receipts and payment issues.',
+    saved: 'Successfully saved!',
+    photoTitle: 'Profile Photo',
+    photoDescription: 'Shown to administrators, for example at check-in',
+    contactTitle: 'Contact Details',
+    contactDescription: 'Used on receipts and to contact you about payments. Add a company to have receipts issued to it.',
+    saveChanges: 'Save Changes',
+    fields: {
+      name: 'Name',
+      phone: 'Phone',
+      email: 'Email',
+      companyName: 'Company name (optional)',
+      companyRegisterNo: 'Company registration number',
+    },
+    placeholders: {
+      name: 'Your name',
+      companyName: 'For receipts issued to a company',
+    },
+    errors: {
+      nameRequired: 'Name is required',
+      nameTooLong: 'Name must be at most {max} characters',
+      phone: 'Enter a phone number with 8 to 15 digits, e.g. 99112233 or +976 99112233',
+      email: 'Enter a valid email address',
+      companyNameRequired: 'Enter the company name for this registration number',
+      companyNameTooLong: 'Company name must be at most {max} characters',
+      companyRegisterNo: 'Company registration numbers have 7 digits',
+      imageProcessing: 'Could not process the image',
+    },
+  },
+
+  avatar: {
+    alt: 'Profile photo',
+    capture: 'Capture',
+    takePhoto: 'Take Photo',
+    upload: 'Upload',
+    remove: 'Remove',
+    uploadInstead: 'You can upload a photo instead.',
+  },
+
+  camera: {
+    permission: 'Camera permission denied',
+    'not-found': 'No camera device found',
+    'not-supported': 'Camera is not supported',
+    unknown: 'Failed to access camera',
+  },
+
+  toast: {
+    profileSaved: 'Profile saved successfully',
+    saveProfileFailed: 'Failed to save profile: {error}',
+    photoUpdated: 'Photo updated',
+    savePhotoFailed: 'Failed to save photo: {error}',
+    photoRemoved: 'Photo removed',
+    removePhotoFailed: 'Failed to remove photo: {error}',
+    userPromoted: 'User promoted to admin',
+    adminDemoted: 'Admin demoted to user',
+    changeRoleFailed: 'Failed to change role: {error}',
+    userBlocked: 'User blocked',
+    userUnblocked: 'User unblocked',
+    updateUserFailed: 'Failed to update user: {error}',
+    credentialsSaved: 'QPay credentials saved successfully',
+    saveCredentialsFailed: 'Failed to save credentials: {error}',
+    invoiceConfigSaved: 'Invoice configuration saved successfully',
+    saveInvoiceConfigFailed: 'Failed to save configuration: {error}',
+    stripeSaved: 'Stripe configuration saved successfully',
+    saveStripeFailed: 'Failed to save Stripe configuration: {error}',
+    relaySaved: 'QPay relay saved',
+    saveRelayFailed: 'Failed to save the QPay relay: {error}',
+    reconciliationSaved: 'Reconciliation settings saved',
+    saveReconciliationFailed: 'Failed to save settings: {error}',
+    ebarimtSaved: 'E-barimt settings saved successfully',
+    saveEbarimtFailed: 'Failed to save e-barimt settings: {error}',
+    refundRecorded: 'Payment refunded',
+    refundFailed: 'Failed to refund the payment: {error}',
+    ebarimtFailed: 'Failed to request e-barimt: {error}',
+    exported: {
+      one: 'Exported {count} invoice',
+      other: 'Exported {count} invoices',
+    },
+    exportFailed: 'Failed to export invoices: {error}',
+    planSaved: 'Plan saved successfully',
+    savePlanFailed: 'Failed to save plan: {error}',
+    planDeleted: 'Plan deleted',
+    deletePlanFailed: 'Failed to delete plan: {error}',
+    invoiceNotPaid: 'Invoice is not paid',
+    receiptFailed: 'Failed to create receipt: {error}',
+    checkingInvoice: 'Checking invoice...',
+    creatingInvoice: 'Creating new invoice...',
+    paymentRequestCreated: 'Payment request created successfully!',
+    paymentFailed: 'Payment failed: {error}',
+    paymentSuccessful: 'Payment successful!',
+    partialPayment: 'Received ₮{paid} of ₮{amount}',
+    cancelInvoiceFailed: 'Failed to cancel invoice: {error}',
+    contentSaved: 'Content saved successfully',
+    saveContentFailed: 'Failed to save content: {error}',
+    contentDeleted: 'Content deleted',
+    deleteContentFailed: 'Failed to delete content: {error}',
+    checkInFailed: 'Failed to check in: {error}',
+    quizSaved: 'Quiz saved successfully',
+    saveQuizFailed: 'Failed to save quiz: {error}',
+    unlockFirst: 'Unlock this item before taking it',
+    startFailed: 'Failed to start: {error}',
+    submitFailed: 'Failed to submit: {error}',
+    videoSaved: 'Video saved successfully',
+    saveVideoFailed: 'Failed to save video: {error}',
+    videoDeleted: 'Video deleted',
+    deleteVideoFailed: 'Failed to delete video: {error}',
+  },
+
+  dashboard: {
+    title: 'User Dashboard',
+    subtitle: 'Make a payment or unlock content',
+    payWith: 'Pay with',
+    cardStripe: 'Card (Stripe)',
+    tabs: {
+      payment: 'Payment',
+      catalog: 'Catalog',
+      history: 'History',
+    },
+    makePayment: 'Make Payment',
+    payByCard: 'Pay by card through Stripe',
+    payWithQPay: 'Pay with QPay',
+    passActive: 'Access pass active',
+    daysRemaining: {
+      one: '{count} day remaining',
+      other: '{count} days remaining',
+    },
+    validUntil: 'Valid until {date}',
+    expiresSoon: 'Your pass expires soon. Renew now and the new period starts when the current one ends.',
+    accessFor: {
+      one: 'Access for {count} day',
+      other: 'Access for {count} days',
+    },
+    noPlans: 'No plans are available right now',
+    renew: 'Renew',
+    pay: 'Pay',
+  },
+
+  payment: {
+    confirmStartOver: 'Cancel this invoice and create a new one?',
+    cannotCancel: 'A payment was already received for this invoice, so it cannot be cancelled',
+    successRedirect: 'Payment successful! Opening your receipt...',
+    expired: 'This invoice has expired. Start a new payment to get a new invoice.',
+    cancelled: 'This invoice was cancelled. Start a new payment to get a new invoice.',
+    checking: 'Checking payment status...',
+    checkFailed: 'Could not check the payment status: {error}',
+    partial: 'Received ₮{paid} of ₮{amount}. Pay the remaining ₮{remaining} or contact support.',
+    pending: 'Payment pending. Status will be checked automatically after payment.',
+    description: 'Description:',
+    amount: 'Payment Amount',
+    status: 'Status:',
+    statusChecking: 'Checking',
+    noChannels: 'No payment channels found',
+    startOver: 'Cancel and start over',
+    qrCode: 'QR Code',
+    qrAlt: 'Payment QR Code',
+  },
+
+  columns: {
+    description: 'Description',
+    amount: 'Amount',
+    status: 'Status',
+    created: 'Created',
+    paid: 'Paid',
+    ebarimt: 'E-barimt',
+    time: 'Time',
+    date: 'Date',
+    paymentId: 'Payment ID',
+    wallet: 'Wallet',
+  },
+
+  history: {
+    invoicesTitle: 'Invoices',
+    invoicesDescription: 'Every invoice you have created, newest first',
+    total: 'Total: {count}',
+    loadFailed: 'Failed to load invoices. Please log in again.',
+    downloadReceipt: 'Download receipt',
+    noInvoices: 'No invoices yet',
+    paymentsTitle: 'Payments',
+    paymentsDescription: 'Recorded payments',
+    noPayments: 'No payments recorded yet',
+  },
+
+  checkout: {
+    cancelled: 'Card payment cancelled. Nothing was charged.',
+    noSession: 'No card payment to confirm.',
+    confirming: 'Confirming payment...',
+    confirmFailed: 'Could not confirm the payment: {error}',
+    notConfirmed: 'Stripe has not confirmed the payment yet. It will show in your history once it does.',
+    checkAgain: 'Check Again',
+    viewInvoice: 'View Invoice',
+  },
+
+  invoice: {
+    title: 'Invoice',
+    backToHistory: 'Back to History',
+    received: 'Received',
+    downloadReceipt: 'Download Receipt',
+    payByCard: 'Pay by Card',
+    stripeTitle: 'Stripe Card Payment',
+    checkoutSession: 'Checkout Session',
+    qpayTitle: 'QPay Invoice',
+    qpayInvoiceId: 'Invoice ID',
+    shortLink: 'Short Link',
+    bankApps: 'Bank Apps',
+    qrText: 'QR Text',
+    qpayPayments: 'QPay Payments',
+    noPaymentCheck: 'No payment check has confirmed this invoice yet',
+    paymentCheckSummary: {
+      one: '{count} payment, ₮{paid} paid',
+      other: '{count} payments, ₮{paid} paid',
+    },
+  },
+
+  contentKinds: {
+    video: 'Video',
+    quiz: 'Quiz',
+    test: 'Test',
+  },
+
+  questionKinds: {
+    singleChoice: 'Multiple choice',
+    multiSelect: 'Multi-select',
+    shortAnswer: 'Short answer',
+  },
+
+  catalog: {
+    empty: 'No content available yet',
+    unlocked: 'Unlocked',
+    watch: 'Watch',
+    start: 'Start',
+    unlock: 'Unlock',
+    locked: '"{title}" is locked. Unlock it from the catalog first.',
+    backToCatalog: 'Back to Catalog',
+  },
+
+  accessPass: {
+    title: 'Access Pass',
+    description: 'Show this code at the entrance to check in',
+    loadFailed: 'Could not load the access pass: {error}',
+    qrAlt: 'Access pass QR code',
+    validUntil: 'Code renews automatically · access valid until {date}',
+  },
+
+  watch: {
+    locked: 'This video is locked. Unlock it from the catalog to watch.',
+    loadFailed: 'The video could not be loaded. Please try again later.',
+    length: 'Length {duration}',
+  },
+
+  quiz: {
+    submitted: 'Submitted {date}',
+    yourScore: 'Your score',
+    late: 'Answers arrived after the time limit and were not scored.',
+    points: {
+      one: '{count} pt',
+      other: '{count} pts',
+    },
+    answerPlaceholder: 'Your answer',
+    submitting: 'Submitting...',
+    submit: 'Submit Answers',
+    proctoredNotice:
+      'This attempt is proctored: your camera takes a photo every 30 seconds and leaving the page is recorded for review. Your browser will ask for camera access when you start.',
+    previousAttempts: 'Previous attempts',
+    noAttempts: 'No attempts yet',
+    proctoredTitle: 'Proctored attempt',
+    proctoredDescription: 'Your camera takes a photo every 30 seconds and leaving this page is recorded.',
+    cameraFlagged: 'The attempt continues, but it will be flagged for review.',
+  },
+
+  admin: {
+    title: 'Admin Dashboard',
+    subtitle: 'System configuration and payment information',
+    tabs: {
+      settings: 'QPay Settings',
+      invoices: 'Payments',
+      analytics: 'Analytics',
+      users: 'Users',
+      plans: 'Plans',
+      content: 'Content',
+      quizzes: 'Quizzes',
+      videos: 'Videos',
+      checkin: 'Check-in',
+    },
+  },
+
+  settings: {
+    loadFailed: 'Failed to load settings. Please log in again.',
+    qpay: {
+      title: 'QPay Connection Details',
+      description: 'Enter your QPay connection credentials',
+      notConfigured: 'QPay is not configured. Please enter the details below.',
+      username: 'Username',
+      password: 'Password',
+      invoiceCode: 'Invoice Code',
+      enterField: 'Enter {field}',
+    },
+    invoiceConfig: {
+      title: 'Invoice Configuration',
+      description: 'Receiver code, the sender invoice prefix used for content purchases and how long invoices stay open',
+      senderInvoiceNo: 'Content Invoice Prefix',
+      receiverCode: 'Receiver Code',
+      validityHours: 'Invoice Validity (hours)',
+      validityHint: 'Unpaid invoices are reused for this long, then they expire and the next payment creates a new one',
+    },
+    qpayRelay: {
+      title: 'QPay Relay',
+      description: 'Forwards requests QPay only accepts as DELETE, such as cancelling an invoice or refunding a payment, since the canister can only send GET and POST',
+      notConfigured: 'No relay is configured, so expired and superseded invoices stay payable at QPay. They are cancelled once a relay is saved. QPay payments cannot be refunded without one.',
+      url: 'Relay URL',
+      hint: 'Requests are POSTed to this URL followed by the QPay path, with the header X-HTTP-Method-Override: DELETE. Leave empty to remove the relay.',
+    },
+    stripe: {
+      title: 'Stripe Card Payments',
+      description: 'Lets users pay with foreign cards through Stripe Checkout, charged in tögrög',
+      notConfigured: 'Stripe is not configured, so users can only pay with QPay. Enter a secret key to offer card payments.',
+      secretKey: 'Secret Key',
+    },
+    ebarimt: {
+      title: 'E-barimt',
+      description: "VAT receipts for QPay payments, issued to the payer's company when their profile has a registration number",
+      mode: 'Mode',
+      modes: {
+        disabled: 'Disabled',
+        live: 'Live',
+        mock: 'Mock',
+      },
+      modeDescriptions: {
+        disabled: 'Disabled: no e-barimt is requested',
+        live: 'Live: requested from QPay for every paid QPay payment',
+        mock: 'Mock: answered by the canister itself with test receipts, for testing',
+      },
+    },
+    reconciliation: {
+      title: 'Payment Reconciliation',
+      description: 'Periodically checks unpaid invoices with QPay and marks the paid ones, even if the user left the payment page',
+      lastRun: 'Last run: {time} · Open invoices: {count}',
+      pendingCancellations: 'Closed invoices waiting to be cancelled with QPay or Stripe: {count}',
+      never: 'never',
+      enabled: 'Enabled',
+      interval: 'Interval (seconds, at least 60)',
+      batchSize: 'Invoices per run (1 to 50)',
+      logTitle: 'Reconciliation Log',
+      logDescription: 'Invoices whose status changed and failed checks, newest first',
+      invoice: 'Invoice',
+      user: 'User',
+      change: 'Change',
+      received: 'Received',
+      checkFailed: 'Check failed',
+      noChanges: 'No changes recorded yet',
+    },
+  },
+
+  export: {
+    periods: {
+      day: 'Day',
+      month: 'Month',
+    },
+    invoices: 'Invoices',
+    invoicedAmount: 'Invoiced Amount (₮)',
+    paidInvoices: 'Paid Invoices',
+    paidAmount: 'Paid Amount (₮)',
+    payments: 'Payments',
+    paymentAmount: 'Payment Amount (₮)',
+    total: 'Total',
+    totals: 'Totals',
+    provider: 'Provider',
+    invoiceId: 'Invoice ID',
+    userPrincipal: 'User Principal',
+    profileName: 'Profile Name',
+    description: 'Description',
+    amount: 'Amount (₮)',
+    received: 'Received (₮)',
+    refunded: 'Refunded (₮)',
+    status: 'Status',
+    created: 'Created',
+    paid: 'Paid',
+    qpayPaymentId: 'QPay Payment ID',
+    stripePaymentId: 'Stripe Payment ID',
+    time: 'Time',
+  },
+
+  invoiceTable: {
+    title: 'All Payments',
+    description: 'User payment history',
+    total: '(Total: {count})',
+    exportPer: 'Export with totals per',
+    search: 'Search',
+    searchPlaceholder: 'Principal, invoice id or description',
+    all: 'All',
+    clearFilters: 'Clear Filters',
+    createdFrom: 'Created From',
+    createdTo: 'Created To',
+    minAmount: 'Min Amount (₮)',
+    maxAmount: 'Max Amount (₮)',
+    loadFailed: 'Failed to load payment information. Please log in again.',
+    user: 'User',
+    item: 'Item',
+    plan: 'Plan #{id}',
+    content: 'Content',
+    card: 'Card',
+    received: 'Received ₮{amount}',
+    refunded: 'Refunded ₮{amount}',
+    ebarimtFailed: 'Failed',
+    retryEbarimt: 'Request e-barimt again',
+    refund: 'Refund',
+    downloadReceipt: 'Download receipt',
+    rowsPerPage: 'Rows per page',
+    pageOf: 'Page {page} of {count}',
+    noMatches: 'No payments match the filters',
+    noPayments: 'No payments found',
+    noPaymentsHint: 'Payments will appear here after users make payments',
+  },
+
+  refund: {
+    title: 'Refund',
+    notice:
+      'The money is returned to the payer through QPay or Stripe, then the refund is recorded. QPay payments can only be refunded in full. Unless the amount kept still covers the invoice, the invoice becomes refunded and the access it granted is revoked.',
+    nothingLeft: 'No payments left to refund',
+    payment: 'Payment',
+    amount: 'Amount (₮, at most {max})',
+    reason: 'Reason',
+    reasonPlaceholder: 'Why the payment is refunded',
+    submit: 'Refund Payment',
+    earlier: 'Earlier refunds',
+  },
+
+  users: {
+    title: 'Users',
+    description: 'Registered users, their roles and payments',
+    searchPlaceholder: 'Principal, name, phone, email or company',
+    loadFailed: 'Failed to load users. Please log in again.',
+    user: 'User',
+    contact: 'Contact',
+    company: 'Company',
+    role: 'Role',
+    registered: 'Registered',
+    invoices: 'Invoices',
+    totalPaid: 'Total Paid',
+    you: '(you)',
+    blocked: 'Blocked',
+    blockedAt: 'Blocked {time}',
+    demote: 'Demote',
+    promote: 'Promote',
+    demoteFirst: 'Demote the admin before blocking',
+    unblock: 'Unblock',
+    block: 'Block',
+    noMatches: 'No users match this search',
+    noUsers: 'No registered users yet',
+  },
+
+  plans: {
+    newTitle: 'New Plan',
+    editTitle: 'Edit Plan',
+    formDescription: 'Price plans users can choose from when paying',
+    descriptionPlaceholder: 'Railway subscription 12 months',
+    duration: 'Access Duration (days)',
+    prefix: 'Sender Invoice Prefix',
+    available: 'Available to users',
+    title: 'Plans',
+    listDescription: 'Inactive plans are hidden from users but kept for invoice history',
+    total: '(Total: {count})',
+    loadFailed: 'Failed to load plans. Please log in again.',
+    durationColumn: 'Duration',
+    prefixColumn: 'Prefix',
+    days: {
+      one: '{count} day',
+      other: '{count} days',
+    },
+    noPlans: 'No plans yet',
+    noPlansHint: 'Users can only pay once at least one active plan exists',
+  },
+
+  content: {
+    newTitle: 'New Content',
+    editTitle: 'Edit Content',
+    formDescription: 'Videos, quizzes and tests that users unlock by paying',
+    title: 'Title',
+    titlePlaceholder: 'Lesson 1',
+    descriptionPlaceholder: 'What the user gets',
+    type: 'Type',
+    price: 'Price',
+    published: 'Published in catalog',
+    listTitle: 'Content Items',
+    listDescription: 'All content including unpublished items',
+    total: '(Total: {count})',
+    loadFailed: 'Failed to load content. Please log in again.',
+    publishedBadge: 'Published',
+    draft: 'Draft',
+    noContent: 'No content yet',
+    noContentHint: 'Created items will appear in the user catalog once published',
+  },
+
+  videos: {
+    formTitle: 'Register Video',
+    formDescription: 'Attach a video file to video content. The file URL is only released to users who have paid.',
+    noVideoContent: 'No video content yet',
+    noVideoContentHint: 'Create a video in the Content tab first',
+    contentItem: 'Content Item',
+    selectVideo: 'Select a video',
+    videoUrl: 'Video URL',
+    duration: 'Duration (seconds)',
+    durationPlaceholder: 'Detected from the video',
+    thumbnailUrl: 'Thumbnail URL',
+    confirmDelete: 'Delete video "{name}"?',
+    listTitle: 'Registered Videos',
+    listDescription: 'Videos users can watch once unlocked',
+    total: '(Total: {count})',
+    loadFailed: 'Failed to load videos. Please log in again.',
+    durationColumn: 'Duration',
+    updated: 'Updated',
+    noVideos: 'No videos registered yet',
+  },
+
+  quizEditor: {
+    title: 'Quiz Editor',
+    description: 'Questions and answer keys for quiz and test content. Answer keys are never sent to users.',
+    noQuizContent: 'No quiz or test content yet',
+    noQuizContentHint: 'Create a quiz or test in the Content tab first',
+    selectQuiz: 'Select a quiz or test',
+    loadFailed: 'Failed to load quiz. Please log in again.',
+    timeLimit: 'Time Limit (minutes, 0 for none)',
+    proctored: 'Proctored',
+    proctoredHint: 'Attempts take a webcam snapshot every 30 seconds and record tab switches for review',
+    question: 'Question {number}',
+    points: 'Points',
+    prompt: 'Question',
+    acceptedAnswers: 'Accepted Answers (one per line)',
+    acceptedAnswersPlaceholder: 'Case and surrounding spaces are ignored',
+    options: 'Options (tick the correct ones)',
+    option: 'Option {number}',
+    addOption: 'Add Option',
+    addQuestion: 'Add Question',
+    attemptsTitle: 'Attempts',
+    attemptsDescription: 'Scores of every user for this item',
+    total: '(Total: {count})',
+    score: 'Score',
+    started: 'Started',
+    proctoring: 'Proctoring',
+    inProgress: 'In progress',
+    late: 'Late',
+    submitted: 'Submitted',
+    review: 'Review',
+  },
+
+  proctoring: {
+    flags: {
+      missingFace: 'No face in frames (reported by the browser)',
+      frequentTabSwitching: 'Frequent tab switching',
+      cameraUnavailable: 'Camera unavailable',
+    },
+    events: {
+      tabHidden: 'Switched to another tab or app',
+      focusLost: 'Left the page window',
+      cameraUnavailable: 'Camera could not be started',
+    },
+    snapshotAlt: 'Snapshot {number}',
+    noFace: 'no face (browser)',
+    notChecked: 'not checked',
+    imageDeleted: 'Image deleted after {days} days',
+    title: 'Proctoring Review',
+    attemptDescription: '{user} · started {time}',
+    noFlags: 'No flags',
+    snapshots: 'Snapshots',
+    withoutFace: 'Without a face (reported by the browser)',
+    pageLeaves: 'Page leaves',
+    eventsTitle: 'Events',
+    stayedOnPage: 'The user stayed on the page',
+    showMore: 'Show More ({count} left)',
+    noSnapshots: 'No snapshots were received',
+  },
+
+  analytics: {
+    intervals: {
+      day: 'Daily',
+      week: 'Weekly',
+      month: 'Monthly',
+    },
+    title: 'Analytics',
+    description: 'Revenue, conversion and sign-ups by Ulaanbaatar calendar date',
+    from: 'From',
+    to: 'To',
+    interval: 'Interval',
+    invalidRange: 'Select a start date on or before the end date',
+    rangeTooLarge: 'This range has too many points. Choose a shorter range or a longer interval.',
+    loadFailed: 'Failed to load analytics. Please log in again.',
+    revenue: 'Revenue',
+    paidInvoices: {
+      one: '{count} paid invoice',
+      other: '{count} paid invoices',
+    },
+    conversion: 'Conversion',
+    invoicesConverted: '{converted} of {created} invoices paid',
+    newUsers: 'New Users',
+    usersWithoutDate: {
+      one: '{count} earlier user has no sign-up date',
+      other: '{count} earlier users have no sign-up date',
+    },
+    registeredInRange: 'Registered in this range',
+    averageTimeToPay: 'Average Time to Pay',
+    averageTimeToPayDescription: 'From invoice creation to payment',
+    revenueDescription: 'Paid invoice amounts by payment date',
+    conversionRate: 'Conversion Rate',
+    conversionRateDescription: 'Share of invoices created in each period that have been paid',
+    newUsersDescription: 'Sign-ups per period',
+    recordedPayments: 'Recorded Payments',
+    recordedPaymentsDescription: 'Payment record amounts by payment date',
+    noData: 'No data in this range',
+  },
+
+  checkIn: {
+    rejections: {
+      invalidPass: 'Invalid pass: this code was not issued here or has been altered',
+      passExpired: 'Pass expired: ask the user to reopen the pass in their dashboard',
+      blocked: 'This account has been blocked',
+      noActiveAccess: 'No active access pass: it has expired or was refunded',
+    },
+    title: 'Check-in',
+    description: "Scan a user's access pass to verify it and record the check-in",
+    noCamera: 'This browser cannot use the camera',
+    stop: 'Stop',
+    startScanning: 'Start Scanning',
+    switchCamera: 'Switch Camera',
+    checking: 'Checking pass...',
+    checkedIn: 'Checked in: {user}',
+    validUntil: 'Access valid until {time}',
+    recentTitle: 'Recent Check-ins',
+    recentDescription: 'The last 100 accepted passes, newest first',
+    loadFailed: 'Failed to load check-ins. Please log in again.',
+    accessUntil: 'Access Until',
+    noCheckIns: 'No check-ins yet',
+  },
+};
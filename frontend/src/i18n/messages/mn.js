@@ -0,0 +1,842 @@
+// Mongolian messages, the default language; keys must match messages/en.js
+export default {
+  common: {
+    loading: 'Ачаалж байна...',
+    saving: 'Хадгалж байна...',
+    save: 'Хадгалах',
+    cancel: 'Цуцлах',
+    back: 'Буцах',
+    retry: 'Дахин оролдох',
+    active: 'Идэвхтэй',
+    inactive: 'Идэвхгүй',
+    loginAgain: 'Дахин нэвтэрнэ үү',
+    refresh: 'Шинэчлэх',
+    confirmDelete: '"{name}"-г устгах уу?',
+  },
+
+  roles: {
+    admin: 'Админ',
+    user: 'Хэрэглэгч',
+    guest: 'Зочин',
+  },
+
+  app: {
+    errorTitle: 'Програмын алдаа',
+    unexpectedError: 'Гэнэтийн алдаа гарлаа',
+    reload: 'Програмыг дахин ачаалах',
+    rootNotFound: 'Үндсэн элемент олдсонгүй. Хуудсаа дахин ачаална уу.',
+    renderingErrorTitle: 'Дэлгэцлэх алдаа',
+    renderingError: 'Програмыг дэлгэцлэж чадсангүй',
+    fatalErrorTitle: 'Ноцтой алдаа',
+    fatalError: 'Програм эхэлж чадсангүй. Хуудсаа дахин ачаална уу.',
+    initializing: 'Програмыг эхлүүлж байна...',
+    connecting: 'Сервертэй холбогдож байна...',
+    loadingUserData: 'Хэрэглэгчийн мэдээллийг ачаалж байна...',
+    pleaseWait: 'Түр хүлээнэ үү',
+    connectionErrorTitle: 'Сервертэй холбогдох алдаа',
+    connectionError: 'Сервертэй холбогдож чадсангүй. Хуудсаа дахин ачаална уу.',
+    refresh: 'Хуудсыг дахин ачаалах',
+    blockedTitle: 'Бүртгэл хаагдсан',
+    blocked: 'Энэ бүртгэл хаагдсан байна. Админтай холбогдоно уу.',
+    accessPendingTitle: 'Эрх тодорхойгүй',
+    accessPending: 'Таны эрхийн түвшин тодорхойгүй байна. Админтай холбогдоно уу.',
+  },
+
+  header: {
+    title: 'QPay Төлбөр',
+    greeting: 'Сайн байна уу, {name}',
+    language: 'Хэл',
+    loggingIn: 'Нэвтэрч байна...',
+    login: 'Нэвтрэх',
+    logout: 'Гарах',
+  },
+
+  footer: {
+    builtWith: 'Бүтээсэн',
+    using: 'ашиглан',
+  },
+
+  landing: {
+    title: 'QPay Төлбөрийн Систем',
+    subtitle: 'Хялбар, хурдан, найдвартай төлбөрийн шийдэл',
+    getStarted: 'Эхлэх',
+    features: 'Онцлог',
+    fastTitle: 'Хурдан төлбөр',
+    fastDescription: 'Төлбөрөө хэдхэн секундэд төлнө',
+    fastDetails: 'QPay-тэй холбогдсон хурдан, саадгүй төлбөрийн боловсруулалт',
+    secureTitle: 'Аюулгүй',
+    secureDescription: 'Таны мэдээлэл найдвартай хадгалагдана',
+    secureDetails: 'Дээд зэргийн аюулгүй байдлын тулд Internet Computer блокчэйн дээр бүтээгдсэн',
+    banksTitle: 'Олон банк',
+    banksDescription: 'Өөрийн банкаа сонгоно',
+    banksDetails: 'Монголын бүх томоохон банктай холбогдсон',
+    howItWorks: 'Хэрхэн ажилладаг вэ',
+    step1Title: 'Нэвтрэх',
+    step1: 'Internet Identity ашиглан аюулгүй нэвтэрнэ',
+    step2Title: 'Төлбөр төлөх',
+    step2: 'Төлбөрийн товчийг дарж QPay-ээр төлнө',
+    step3Title: 'Банк сонгох',
+    step3: 'Банкаа сонгож төлбөрөө баталгаажуулна',
+  },
+
+  notFound: {
+    title: 'Хуудас олдсонгүй',
+    description: 'Таны хайсан хуудас байхгүй байна.',
+    home: 'Нүүр хуудас руу очих',
+  },
+
+  errors: {
+    unauthorized: 'Танд энэ үйлдлийг хийх эрх байхгүй. Дахин нэвтэрнэ үү.',
+    notOwner: 'Энэ нь өөр хэрэглэгчийнх байна',
+    blocked: 'Энэ бүртгэл хаагдсан байна',
+    actorUnavailable: 'Сервертэй холбогдоогүй байна. Дахин оролдоно уу.',
+    notRegistered: 'Таны бүртгэл хараахан үүсээгүй байна',
+    userNotFound: 'Хэрэглэгч олдсонгүй',
+    nameRequired: 'Нэр заавал оруулах бөгөөд {max} тэмдэгтээс хэтрэхгүй байх ёстой',
+    invalidPhone: 'Утасны дугаар буруу байна',
+    invalidEmail: 'Имэйл хаяг буруу байна',
+    companyNameLength: 'Байгууллагын нэр 1-{max} тэмдэгт байх ёстой',
+    companyRegisterNo: 'Байгууллагын регистрийн дугаар 7 оронтой байх ёстой',
+    companyTogether: 'Байгууллагын нэр болон регистрийн дугаарыг хамт оруулна уу',
+    imageType: 'Зөвхөн JPEG, PNG, WebP зураг дэмжигдэнэ',
+    avatarSize: 'Зургийн хэмжээ {max} байтаас хэтрэхгүй байх ёстой',
+    ownRole: 'Админ өөрийн эрхийг өөрчлөх боломжгүй',
+    blockSelf: 'Админ өөрийгөө хаах боломжгүй',
+    blockAdmin: 'Админыг хаах боломжгүй. Эхлээд эрхийг нь бууруулна уу.',
+    promoteBlocked: 'Эрх дээшлүүлэхээс өмнө хэрэглэгчийг нээнэ үү',
+    qpayCredentials: 'QPay тохиргоо олдсонгүй. Админтай холбогдоно уу.',
+    stripeNotConfigured: 'Картын төлбөр хараахан тохируулагдаагүй байна',
+    stripeSecretKey: 'Нууц түлхүүр заавал шаардлагатай',
+    relayUrl: 'Релей хаяг https:// -ээр эхлэх ёстой',
+    checkoutSession: 'Картын төлбөрийн хуудсыг нээж чадсангүй',
+    stripeCheck: 'Картын төлбөрийг шалгаж чадсангүй',
+    invoiceValidity: 'Нэхэмжлэлийн хүчинтэй хугацаа 1-{max} цаг байх ёстой',
+    invoiceNotFound: 'Нэхэмжлэл олдсонгүй',
+    invoiceClosed: 'Энэ нэхэмжлэл хаагдсан байна',
+    alreadyPaid: 'Энэ нэхэмжлэлд төлбөр аль хэдийн орсон байна',
+    planNotFound: 'Багц олдсонгүй',
+    planUnavailable: 'Энэ багцыг худалдан авах боломжгүй',
+    planHasInvoices: 'Энэ багц нэхэмжлэлтэй тул устгах боломжгүй. Идэвхгүй болгоно уу.',
+    planDescription: 'Тайлбар заавал шаардлагатай',
+    planAmount: 'Дүн тэгээс их байх ёстой',
+    planDuration: 'Хугацаа дор хаяж нэг өдөр байх ёстой',
+    noPurchase: 'Багц эсвэл контент сонгоно уу',
+    contentNotFound: 'Контент олдсонгүй',
+    contentUnavailable: 'Энэ контентыг худалдан авах боломжгүй',
+    contentLocked: 'Нээхийн өмнө энэ контентыг худалдан авна уу',
+    contentTitle: 'Гарчиг заавал шаардлагатай',
+    contentPrice: 'Үнэ тэгээс их байх ёстой',
+    notVideo: 'Энэ контент видео биш байна',
+    notQuiz: 'Энэ контент сорил эсвэл шалгалт биш байна',
+    videoTitle: 'Видеоны гарчиг заавал шаардлагатай',
+    videoUrl: 'Видеоны холбоос заавал шаардлагатай',
+    videoUnavailable: 'Энэ видео хараахан бэлэн болоогүй байна',
+    quizEmpty: 'Сорил дор хаяж нэг асуулттай байх ёстой',
+    questionPrompt: 'Асуултын текст заавал шаардлагатай',
+    questionPoints: 'Асуултын оноо тэгээс их байх ёстой',
+    choiceOptions: 'Сонголттой асуулт дор хаяж хоёр хариулттай байх ёстой',
+    choiceCorrect: 'Сонголттой асуулт дор хаяж нэг зөв хариулттай байх ёстой',
+    singleChoiceCorrect: 'Нэг сонголттой асуулт яг нэг зөв хариулттай байх ёстой',
+    shortAnswer: 'Богино хариулттай асуулт дор хаяж нэг зөв хариулттай байх ёстой',
+    correctOutOfRange: 'Зөв хариулт хүрээнээс гадуур байна',
+    correctRepeated: 'Зөв хариулт давхардаж болохгүй',
+    attemptNotFound: 'Оролдлого олдсонгүй',
+    attemptSubmitted: 'Энэ оролдлогыг аль хэдийн илгээсэн байна',
+    notProctored: 'Энэ оролдлого хяналттай биш байна',
+    proctoringLimit: 'Энэ оролдлогын хяналтын хязгаарт хүрсэн байна',
+    proctoringFull: 'Хяналтын зургийн сан дүүрсэн байна',
+    snapshotType: 'Зөвхөн JPEG, PNG, WebP хяналтын зураг дэмжигдэнэ',
+    snapshotSize: 'Хяналтын зургийн хэмжээ {max} байтаас хэтрэхгүй байх ёстой',
+    noAccessPass: 'Идэвхтэй нэвтрэх эрх байхгүй',
+    paymentNotFound: 'Төлбөр олдсонгүй',
+    refundProviderOnly: 'Зөвхөн QPay болон Stripe төлбөрийг буцаах боломжтой',
+    refundQPayFull: 'QPay төлбөрийг зөвхөн бүтнээр нь буцаах боломжтой',
+    refundInFlight: 'Энэ төлбөрийн буцаалт явагдаж байна',
+    refundProvider: 'Буцаалт амжилтгүй боллоо: {reason}',
+    refundAmount: 'Буцаах дүн тэгээс их байх ёстой',
+    refundTooLarge: 'Энэ төлбөрөөс хамгийн ихдээ ₮{max} буцаах боломжтой',
+    refundReason: 'Шалтгаан заавал шаардлагатай',
+    ebarimtDisabled: 'И-баримт олгох тохиргоо идэвхгүй байна',
+    ebarimtNotPaid: 'И-баримтыг зөвхөн төлөгдсөн QPay нэхэмжлэлд олгоно',
+    ebarimtRunning: 'Энэ нэхэмжлэлийн и-баримтын хүсэлт явагдаж байна',
+    reconciliationInterval: 'Давтамж дор хаяж {min} секунд байх ёстой',
+    reconciliationBatch: 'Багцын хэмжээ 1-{max} байх ёстой',
+    invalidRange: 'Дуусах хугацаа эхлэхээсээ хойш байх ёстой',
+    rangeTooLarge: 'Хугацааны муж хэт их байна: хамгийн ихдээ {max} цэг',
+    qrGenerator: 'QR код үүсгэгчийг ачаалж чадсангүй',
+  },
+
+  time: {
+    invalidDate: 'Буруу огноо',
+    underMinute: '< 1 мин',
+    days: '{count} өдөр',
+    hours: '{count} цаг',
+    minutes: '{count} мин',
+  },
+
+  status: {
+    pending: 'Хүлээгдэж буй',
+    paid: 'Төлөгдсөн',
+    partiallyPaid: 'Хэсэгчлэн төлөгдсөн',
+    overpaid: 'Илүү төлөгдсөн',
+    expired: 'Хугацаа дууссан',
+    cancelled: 'Цуцлагдсан',
+    refunded: 'Буцаагдсан',
+    partiallyRefunded: 'Хэсэгчлэн буцаагдсан',
+  },
+
+  ebarimt: {
+    notIssued: 'Хараахан олгогдоогүй',
+    company: 'Байгууллага {receiver}',
+    title: 'И-баримт',
+    qrAlt: 'И-баримтын QR код',
+    registered: 'Энэ төлбөрийн НӨАТ-ын баримт бүртгэгдсэн',
+    pending: 'НӨАТ-ын баримт хараахан олгогдоогүй байна. Дараагийн төлбөр шалгалтаар дахин хүсэлт илгээнэ.',
+    companyRegisterNo: 'Байгууллагын регистрийн дугаар:',
+    lottery: 'Сугалааны дугаар:',
+    vat: 'НӨАТ:',
+    issued: 'Олгосон {date}',
+    testReceipt: 'Туршилтын баримт',
+  },
+
+  qpay: {
+    apiError: 'QPay алдаа {code}',
+    apiErrorMessage: 'QPay алдаа {code}: {message}',
+    malformedResponse: 'QPay-ээс ирсэн хариу буруу байна ({details})',
+    unknownError: 'QPay-н тодорхойгүй алдаа',
+  },
+
+  profile: {
+    setupTitle: 'Хувийн мэдээлэл',
+    setupDescription: 'Үргэлжлүүлэхийн тулд холбоо барих мэдээллээ оруулна уу. Бид үүнийг баримт болон төлбөрийн асуудалд ашиглана.',
+    saved: 'Амжилттай хадгаллаа!',
+    photoTitle: 'Профайл зураг',
+    photoDescription: 'Админуудад, жишээ нь ирц бүртгэх үед харагдана',
+    contactTitle: 'Холбоо барих мэдээлэл',
+    contactDescription: 'Баримт болон төлбөрийн талаар тантай холбогдоход ашиглана. Баримтыг байгууллагад олгуулах бол байгууллагаа нэмнэ үү.',
+    saveChanges: 'Өөрчлөлтийг хадгалах',
+    fields: {
+      name: 'Нэр',
+      phone: 'Утас',
+      email: 'Имэйл',
+      companyName: 'Байгууллагын нэр (заавал биш)',
+      companyRegisterNo: 'Байгууллагын регистрийн дугаар',
+    },
+    placeholders: {
+      name: 'Таны нэр',
+      companyName: 'Байгууллагад олгох баримтад',
+    },
+    errors: {
+      nameRequired: 'Нэр заавал шаардлагатай',
+      nameTooLong: 'Нэр {max} тэмдэгтээс хэтрэхгүй байх ёстой',
+      phone: '8-15 оронтой утасны дугаар оруулна уу, жишээ нь 99112233 эсвэл +976 99112233',
+      email: 'Зөв имэйл хаяг оруулна уу',
+      companyNameRequired: 'Энэ регистрийн дугаартай байгууллагын нэрийг оруулна уу',
+      companyNameTooLong: 'Байгууллагын нэр {max} тэмдэгтээс хэтрэхгүй байх ёстой',
+      companyRegisterNo: 'Байгууллагын регистрийн дугаар 7 оронтой байна',
+      imageProcessing: 'Зургийг боловсруулж чадсангүй',
+    },
+  },
+
+  avatar: {
+    alt: 'Профайл зураг',
+    capture: 'Зураг авах',
+    takePhoto: 'Камераар авах',
+    upload: 'Байршуулах',
+    remove: 'Устгах',
+    uploadInstead: 'Оронд нь зураг байршуулж болно.',
+  },
+
+  camera: {
+    permission: 'Камер ашиглах зөвшөөрөл олгогдоогүй',
+    'not-found': 'Камер олдсонгүй',
+    'not-supported': 'Камер дэмжигдэхгүй байна',
+    unknown: 'Камерт хандаж чадсангүй',
+  },
+
+  toast: {
+    profileSaved: 'Хувийн мэдээлэл амжилттай хадгалагдлаа',
+    saveProfileFailed: 'Хувийн мэдээллийг хадгалж чадсангүй: {error}',
+    photoUpdated: 'Зураг шинэчлэгдлээ',
+    savePhotoFailed: 'Зургийг хадгалж чадсангүй: {error}',
+    photoRemoved: 'Зураг устгагдлаа',
+    removePhotoFailed: 'Зургийг устгаж чадсангүй: {error}',
+    userPromoted: 'Хэрэглэгчийг админ болголоо',
+    adminDemoted: 'Админыг хэрэглэгч болголоо',
+    changeRoleFailed: 'Эрхийг өөрчилж чадсангүй: {error}',
+    userBlocked: 'Хэрэглэгчийг хаалаа',
+    userUnblocked: 'Хэрэглэгчийг нээлээ',
+    updateUserFailed: 'Хэрэглэгчийг шинэчилж чадсангүй: {error}',
+    credentialsSaved: 'QPay тохиргоо амжилттай хадгалагдлаа',
+    saveCredentialsFailed: 'Тохиргоог хадгалж чадсангүй: {error}',
+    invoiceConfigSaved: 'Нэхэмжлэлийн тохиргоо амжилттай хадгалагдлаа',
+    saveInvoiceConfigFailed: 'Тохиргоог хадгалж чадсангүй: {error}',
+    stripeSaved: 'Stripe тохиргоо амжилттай хадгалагдлаа',
+    saveStripeFailed: 'Stripe тохиргоог хадгалж чадсангүй: {error}',
+    relaySaved: 'QPay релей хадгалагдлаа',
+    saveRelayFailed: 'QPay релейг хадгалж чадсангүй: {error}',
+    reconciliationSaved: 'Тулгалтын тохиргоо хадгалагдлаа',
+    saveReconciliationFailed: 'Тохиргоог хадгалж чадсангүй: {error}',
+    ebarimtSaved: 'И-баримтын тохиргоо амжилттай хадгалагдлаа',
+    saveEbarimtFailed: 'И-баримтын тохиргоог хадгалж чадсангүй: {error}',
+    refundRecorded: 'Төлбөр буцаагдлаа',
+    refundFailed: 'Төлбөрийг буцааж чадсангүй: {error}',
+    ebarimtFailed: 'И-баримт хүсэж чадсангүй: {error}',
+    exported: {
+      one: '{count} нэхэмжлэл экспортлолоо',
+      other: '{count} нэхэмжлэл экспортлолоо',
+    },
+    exportFailed: 'Нэхэмжлэлүүдийг экспортлож чадсангүй: {error}',
+    planSaved: 'Багц амжилттай хадгалагдлаа',
+    savePlanFailed: 'Багцыг хадгалж чадсангүй: {error}',
+    planDeleted: 'Багц устгагдлаа',
+    deletePlanFailed: 'Багцыг устгаж чадсангүй: {error}',
+    invoiceNotPaid: 'Нэхэмжлэл төлөгдөөгүй байна',
+    receiptFailed: 'Баримт үүсгэж чадсангүй: {error}',
+    checkingInvoice: 'Нэхэмжлэлийг шалгаж байна...',
+    creatingInvoice: 'Шинэ нэхэмжлэл үүсгэж байна...',
+    paymentRequestCreated: 'Төлбөрийн хүсэлт амжилттай үүслээ!',
+    paymentFailed: 'Төлбөр амжилтгүй боллоо: {error}',
+    paymentSuccessful: 'Төлбөр амжилттай төлөгдлөө!',
+    partialPayment: '₮{amount}-аас ₮{paid} төлөгдлөө',
+    cancelInvoiceFailed: 'Нэхэмжлэлийг цуцалж чадсангүй: {error}',
+    contentSaved: 'Контент амжилттай хадгалагдлаа',
+    saveContentFailed: 'Контентыг хадгалж чадсангүй: {error}',
+    contentDeleted: 'Контент устгагдлаа',
+    deleteContentFailed: 'Контентыг устгаж чадсангүй: {error}',
+    checkInFailed: 'Ирц бүртгэж чадсангүй: {error}',
+    quizSaved: 'Сорил амжилттай хадгалагдлаа',
+    saveQuizFailed: 'Сорилыг хадгалж чадсангүй: {error}',
+    unlockFirst: 'Эхлэхийн өмнө энэ контентыг худалдан авна уу',
+    startFailed: 'Эхлүүлж чадсангүй: {error}',
+    submitFailed: 'Илгээж чадсангүй: {error}',
+    videoSaved: 'Видео амжилттай хадгалагдлаа',
+    saveVideoFailed: 'Видеог хадгалж чадсангүй: {error}',
+    videoDeleted: 'Видео устгагдлаа',
+    deleteVideoFailed: 'Видеог устгаж чадсангүй: {error}',
+  },
+
+  dashboard: {
+    title: 'Хэрэглэгчийн самбар',
+    subtitle: 'Төлбөр төлөх эсвэл контент нээх',
+    payWith: 'Төлөх хэлбэр',
+    cardStripe: 'Карт (Stripe)',
+    tabs: {
+      payment: 'Төлбөр',
+      catalog: 'Каталог',
+      history: 'Түүх',
+    },
+    makePayment: 'Төлбөр төлөх',
+    payByCard: 'Stripe-аар картаар төлөх',
+    payWithQPay: 'QPay-ээр төлөх',
+    passActive: 'Нэвтрэх эрх идэвхтэй',
+    daysRemaining: {
+      one: '{count} өдөр үлдсэн',
+      other: '{count} өдөр үлдсэн',
+    },
+    validUntil: '{date} хүртэл хүчинтэй',
+    expiresSoon: 'Таны эрхийн хугацаа удахгүй дуусна. Одоо сунгавал шинэ хугацаа одоогийнх дуусахад эхэлнэ.',
+    accessFor: {
+      one: '{count} өдрийн эрх',
+      other: '{count} өдрийн эрх',
+    },
+    noPlans: 'Одоогоор худалдан авах багц алга',
+    renew: 'Сунгах',
+    pay: 'Төлөх',
+  },
+
+  payment: {
+    confirmStartOver: 'Энэ нэхэмжлэлийг цуцалж шинээр үүсгэх үү?',
+    cannotCancel: 'Энэ нэхэмжлэлд төлбөр орсон тул цуцлах боломжгүй',
+    successRedirect: 'Төлбөр амжилттай! Баримтыг нээж байна...',
+    expired: 'Энэ нэхэмжлэлийн хугацаа дууссан. Шинэ нэхэмжлэл авахын тулд дахин төлбөр эхлүүлнэ үү.',
+    cancelled: 'Энэ нэхэмжлэл цуцлагдсан. Шинэ нэхэмжлэл авахын тулд дахин төлбөр эхлүүлнэ үү.',
+    checking: 'Төлбөрийн төлөвийг шалгаж байна...',
+    checkFailed: 'Төлбөрийн төлөвийг шалгаж чадсангүй: {error}',
+    partial: '₮{amount}-аас ₮{paid} төлөгдлөө. Үлдэгдэл ₮{remaining}-ийг төлөх эсвэл тусламж авна уу.',
+    pending: 'Төлбөр хүлээгдэж байна. Төлбөр хийгдсэний дараа төлөв автоматаар шалгагдана.',
+    description: 'Гүйлгээний утга:',
+    amount: 'Төлөх дүн',
+    status: 'Төлөв:',
+    statusChecking: 'Шалгаж байна',
+    noChannels: 'Төлбөрийн суваг олдсонгүй',
+    startOver: 'Цуцалж дахин эхлэх',
+    qrCode: 'QR код',
+    qrAlt: 'Төлбөрийн QR код',
+  },
+
+  columns: {
+    description: 'Гүйлгээний утга',
+    amount: 'Дүн',
+    status: 'Төлөв',
+    created: 'Үүсгэсэн',
+    paid: 'Төлсөн',
+    ebarimt: 'И-баримт',
+    time: 'Хугацаа',
+    date: 'Огноо',
+    paymentId: 'Төлбөрийн ID',
+    wallet: 'Хэтэвч',
+  },
+
+  history: {
+    invoicesTitle: 'Нэхэмжлэлүүд',
+    invoicesDescription: 'Таны үүсгэсэн бүх нэхэмжлэл, шинэ нь эхэндээ',
+    total: 'Нийт: {count}',
+    loadFailed: 'Нэхэмжлэлүүдийг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    downloadReceipt: 'Баримт татах',
+    noInvoices: 'Нэхэмжлэл алга',
+    paymentsTitle: 'Төлбөрүүд',
+    paymentsDescription: 'Бүртгэгдсэн төлбөрүүд',
+    noPayments: 'Бүртгэгдсэн төлбөр алга',
+  },
+
+  checkout: {
+    cancelled: 'Картын төлбөр цуцлагдлаа. Мөнгө хасагдаагүй.',
+    noSession: 'Баталгаажуулах картын төлбөр алга.',
+    confirming: 'Төлбөрийг баталгаажуулж байна...',
+    confirmFailed: 'Төлбөрийг баталгаажуулж чадсангүй: {error}',
+    notConfirmed: 'Stripe төлбөрийг хараахан баталгаажуулаагүй байна. Баталгаажмагц түүхэнд харагдана.',
+    checkAgain: 'Дахин шалгах',
+    viewInvoice: 'Нэхэмжлэл харах',
+  },
+
+  invoice: {
+    title: 'Нэхэмжлэл',
+    backToHistory: 'Түүх рүү буцах',
+    received: 'Хүлээн авсан',
+    downloadReceipt: 'Баримт татах',
+    payByCard: 'Картаар төлөх',
+    stripeTitle: 'Stripe картын төлбөр',
+    checkoutSession: 'Төлбөрийн сешн',
+    qpayTitle: 'QPay нэхэмжлэл',
+    qpayInvoiceId: 'Нэхэмжлэлийн ID',
+    shortLink: 'Богино холбоос',
+    bankApps: 'Банкны аппууд',
+    qrText: 'QR текст',
+    qpayPayments: 'QPay төлбөрүүд',
+    noPaymentCheck: 'Төлбөрийн шалгалтаар энэ нэхэмжлэл хараахан баталгаажаагүй байна',
+    paymentCheckSummary: {
+      one: '{count} төлбөр, ₮{paid} төлөгдсөн',
+      other: '{count} төлбөр, ₮{paid} төлөгдсөн',
+    },
+  },
+
+  contentKinds: {
+    video: 'Видео',
+    quiz: 'Сорил',
+    test: 'Шалгалт',
+  },
+
+  questionKinds: {
+    singleChoice: 'Нэг сонголттой',
+    multiSelect: 'Олон сонголттой',
+    shortAnswer: 'Богино хариулттай',
+  },
+
+  catalog: {
+    empty: 'Одоогоор контент алга',
+    unlocked: 'Нээгдсэн',
+    watch: 'Үзэх',
+    start: 'Эхлэх',
+    unlock: 'Нээх',
+    locked: '"{title}" түгжээтэй байна. Эхлээд каталогоос нээнэ үү.',
+    backToCatalog: 'Каталог руу буцах',
+  },
+
+  accessPass: {
+    title: 'Нэвтрэх эрх',
+    description: 'Ирц бүртгүүлэхдээ энэ кодыг үүдэнд үзүүлнэ үү',
+    loadFailed: 'Нэвтрэх эрхийг ачаалж чадсангүй: {error}',
+    qrAlt: 'Нэвтрэх эрхийн QR код',
+    validUntil: 'Код автоматаар шинэчлэгдэнэ · эрх {date} хүртэл хүчинтэй',
+  },
+
+  watch: {
+    locked: 'Энэ видео түгжээтэй байна. Үзэхийн тулд каталогоос нээнэ үү.',
+    loadFailed: 'Видеог ачаалж чадсангүй. Дараа дахин оролдоно уу.',
+    length: 'Үргэлжлэх хугацаа {duration}',
+  },
+
+  quiz: {
+    submitted: 'Илгээсэн {date}',
+    yourScore: 'Таны оноо',
+    late: 'Хариултууд хугацаа дууссаны дараа ирсэн тул дүгнэгдээгүй.',
+    points: {
+      one: '{count} оноо',
+      other: '{count} оноо',
+    },
+    answerPlaceholder: 'Таны хариулт',
+    submitting: 'Илгээж байна...',
+    submit: 'Хариулт илгээх',
+    proctoredNotice:
+      'Энэ оролдлого хяналттай: таны камер 30 секунд тутам зураг авч, хуудаснаас гарсныг хянуулахаар бүртгэнэ. Эхлэх үед хөтөч камерын зөвшөөрөл асууна.',
+    previousAttempts: 'Өмнөх оролдлогууд',
+    noAttempts: 'Оролдлого алга',
+    proctoredTitle: 'Хяналттай оролдлого',
+    proctoredDescription: 'Таны камер 30 секунд тутам зураг авч, энэ хуудаснаас гарсныг бүртгэнэ.',
+    cameraFlagged: 'Оролдлого үргэлжилнэ, гэхдээ хянуулахаар тэмдэглэгдэнэ.',
+  },
+
+  admin: {
+    title: 'Админы самбар',
+    subtitle: 'Системийн тохиргоо ба төлбөрийн мэдээлэл',
+    tabs: {
+      settings: 'QPay тохиргоо',
+      invoices: 'Төлбөрүүд',
+      analytics: 'Статистик',
+      users: 'Хэрэглэгчид',
+      plans: 'Багцууд',
+      content: 'Контент',
+      quizzes: 'Шалгалтууд',
+      videos: 'Видеонууд',
+      checkin: 'Бүртгэл',
+    },
+  },
+
+  settings: {
+    loadFailed: 'Тохиргоог ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    qpay: {
+      title: 'QPay холболтын мэдээлэл',
+      description: 'QPay холболтын нэвтрэх мэдээллээ оруулна уу',
+      notConfigured: 'QPay тохируулагдаагүй байна. Доорх мэдээллийг оруулна уу.',
+      username: 'Хэрэглэгчийн нэр',
+      password: 'Нууц үг',
+      invoiceCode: 'Нэхэмжлэхийн код',
+      enterField: '{field} оруулна уу',
+    },
+    invoiceConfig: {
+      title: 'Нэхэмжлэхийн тохиргоо',
+      description: 'Хүлээн авагчийн код, контент худалдан авалтад ашиглах нэхэмжлэхийн угтвар болон нэхэмжлэх нээлттэй байх хугацаа',
+      senderInvoiceNo: 'Контентын нэхэмжлэхийн угтвар',
+      receiverCode: 'Хүлээн авагчийн код',
+      validityHours: 'Нэхэмжлэхийн хүчинтэй хугацаа (цаг)',
+      validityHint: 'Төлөгдөөгүй нэхэмжлэхийг энэ хугацаанд дахин ашиглана, дараа нь хугацаа нь дуусч дараагийн төлбөр шинэ нэхэмжлэх үүсгэнэ',
+    },
+    qpayRelay: {
+      title: 'QPay релей',
+      description: 'Канистер зөвхөн GET, POST илгээдэг тул нэхэмжлэх цуцлах, төлбөр буцаах зэрэг QPay-д DELETE-ээр очих хүсэлтийг дамжуулна',
+      notConfigured: 'Релей тохируулаагүй тул хугацаа дууссан болон солигдсон нэхэмжлэхүүд QPay дээр төлөгдөх боломжтой хэвээр байна. Релей хадгалмагц цуцлагдана. Релейгүйгээр QPay төлбөрийг буцаах боломжгүй.',
+      url: 'Релей хаяг',
+      hint: 'Хүсэлтийг энэ хаяг дээр QPay-ийн замыг залгаж X-HTTP-Method-Override: DELETE толгойтойгоор POST хийнэ. Релейг устгах бол хоосон үлдээнэ үү.',
+    },
+    stripe: {
+      title: 'Stripe картын төлбөр',
+      description: 'Хэрэглэгчид гадаад картаар Stripe Checkout-оор төгрөгөөр төлөх боломжтой',
+      notConfigured: 'Stripe тохируулагдаагүй тул хэрэглэгчид зөвхөн QPay-ээр төлнө. Картын төлбөр санал болгохын тулд нууц түлхүүр оруулна уу.',
+      secretKey: 'Нууц түлхүүр',
+    },
+    ebarimt: {
+      title: 'И-баримт',
+      description: 'QPay төлбөрийн НӨАТ-ын баримт; төлөгчийн профайлд регистрийн дугаар байвал байгууллагад нь олгоно',
+      mode: 'Горим',
+      modes: {
+        disabled: 'Идэвхгүй',
+        live: 'Бодит',
+        mock: 'Туршилтын',
+      },
+      modeDescriptions: {
+        disabled: 'Идэвхгүй: и-баримт хүсэхгүй',
+        live: 'Бодит: төлөгдсөн QPay төлбөр бүрт QPay-ээс хүснэ',
+        mock: 'Туршилтын: канистер өөрөө туршилтын баримтаар хариулна',
+      },
+    },
+    reconciliation: {
+      title: 'Төлбөрийн тулгалт',
+      description: 'Хэрэглэгч төлбөрийн хуудсаас гарсан ч төлөгдөөгүй нэхэмжлэхүүдийг QPay-ээр үе үе шалгаж, төлөгдсөнийг тэмдэглэнэ',
+      lastRun: 'Сүүлд ажилласан: {time} · Нээлттэй нэхэмжлэх: {count}',
+      pendingCancellations: 'QPay эсвэл Stripe дээр цуцлагдахыг хүлээж буй хаагдсан нэхэмжлэх: {count}',
+      never: 'хэзээ ч үгүй',
+      enabled: 'Идэвхтэй',
+      interval: 'Давтамж (секунд, хамгийн багадаа 60)',
+      batchSize: 'Нэг удаад шалгах нэхэмжлэх (1-50)',
+      logTitle: 'Тулгалтын бүртгэл',
+      logDescription: 'Төлөв нь өөрчлөгдсөн болон шалгалт нь амжилтгүй болсон нэхэмжлэхүүд, шинэ нь эхэндээ',
+      invoice: 'Нэхэмжлэх',
+      user: 'Хэрэглэгч',
+      change: 'Өөрчлөлт',
+      received: 'Хүлээн авсан',
+      checkFailed: 'Шалгалт амжилтгүй',
+      noChanges: 'Өөрчлөлт бүртгэгдээгүй байна',
+    },
+  },
+
+  export: {
+    periods: {
+      day: 'Өдөр',
+      month: 'Сар',
+    },
+    invoices: 'Нэхэмжлэх',
+    invoicedAmount: 'Нэхэмжилсэн дүн (₮)',
+    paidInvoices: 'Төлөгдсөн нэхэмжлэх',
+    paidAmount: 'Төлөгдсөн дүн (₮)',
+    payments: 'Төлбөр',
+    paymentAmount: 'Төлбөрийн дүн (₮)',
+    total: 'Нийт',
+    totals: 'Нийлбэр',
+    provider: 'Төлбөрийн үйлчилгээ',
+    invoiceId: 'Нэхэмжлэхийн ID',
+    userPrincipal: 'Хэрэглэгчийн principal',
+    profileName: 'Профайлын нэр',
+    description: 'Тайлбар',
+    amount: 'Дүн (₮)',
+    received: 'Хүлээн авсан (₮)',
+    refunded: 'Буцаасан (₮)',
+    status: 'Төлөв',
+    created: 'Үүсгэсэн',
+    paid: 'Төлсөн',
+    qpayPaymentId: 'QPay төлбөрийн ID',
+    stripePaymentId: 'Stripe төлбөрийн ID',
+    time: 'Огноо',
+  },
+
+  invoiceTable: {
+    title: 'Бүх төлбөр',
+    description: 'Хэрэглэгчдийн төлбөрийн түүх',
+    total: '(Нийт: {count})',
+    exportPer: 'Нийлбэрийг дараах хугацаагаар гаргах',
+    search: 'Хайх',
+    searchPlaceholder: 'Principal, нэхэмжлэхийн ID эсвэл тайлбар',
+    all: 'Бүгд',
+    clearFilters: 'Шүүлтүүр арилгах',
+    createdFrom: 'Үүсгэсэн (эхлэх)',
+    createdTo: 'Үүсгэсэн (дуусах)',
+    minAmount: 'Доод дүн (₮)',
+    maxAmount: 'Дээд дүн (₮)',
+    loadFailed: 'Төлбөрийн мэдээллийг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    user: 'Хэрэглэгч',
+    item: 'Зүйл',
+    plan: 'Багц #{id}',
+    content: 'Контент',
+    card: 'Карт',
+    received: '₮{amount} хүлээн авсан',
+    refunded: '₮{amount} буцаасан',
+    ebarimtFailed: 'Амжилтгүй',
+    retryEbarimt: 'И-баримтыг дахин хүсэх',
+    refund: 'Буцаалт',
+    downloadReceipt: 'Баримт татах',
+    rowsPerPage: 'Хуудсанд харуулах мөр',
+    pageOf: '{count}-с {page}-р хуудас',
+    noMatches: 'Шүүлтүүрт тохирох төлбөр алга',
+    noPayments: 'Төлбөр олдсонгүй',
+    noPaymentsHint: 'Хэрэглэгчид төлбөр хийсний дараа энд харагдана',
+  },
+
+  refund: {
+    title: 'Буцаалт',
+    notice:
+      'Мөнгийг QPay эсвэл Stripe-ээр дамжуулан төлөгчид буцааж, дараа нь буцаалтыг бүртгэнэ. QPay төлбөрийг зөвхөн бүтнээр нь буцаана. Үлдсэн дүн нэхэмжлэхийг хангахгүй бол нэхэмжлэх буцаагдсан төлөвт орж, олгосон эрх цуцлагдана.',
+    nothingLeft: 'Буцаах төлбөр үлдээгүй байна',
+    payment: 'Төлбөр',
+    amount: 'Дүн (₮, хамгийн ихдээ {max})',
+    reason: 'Шалтгаан',
+    reasonPlaceholder: 'Төлбөрийг буцаах шалтгаан',
+    submit: 'Төлбөр буцаах',
+    earlier: 'Өмнөх буцаалтууд',
+  },
+
+  users: {
+    title: 'Хэрэглэгчид',
+    description: 'Бүртгэлтэй хэрэглэгчид, тэдний эрх болон төлбөр',
+    searchPlaceholder: 'Principal, нэр, утас, и-мэйл эсвэл байгууллага',
+    loadFailed: 'Хэрэглэгчдийг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    user: 'Хэрэглэгч',
+    contact: 'Холбоо барих',
+    company: 'Байгууллага',
+    role: 'Эрх',
+    registered: 'Бүртгүүлсэн',
+    invoices: 'Нэхэмжлэх',
+    totalPaid: 'Нийт төлсөн',
+    you: '(та)',
+    blocked: 'Хаагдсан',
+    blockedAt: '{time}-д хаагдсан',
+    demote: 'Эрх бууруулах',
+    promote: 'Админ болгох',
+    demoteFirst: 'Хаахаас өмнө админы эрхийг бууруулна уу',
+    unblock: 'Нээх',
+    block: 'Хаах',
+    noMatches: 'Хайлтад тохирох хэрэглэгч алга',
+    noUsers: 'Бүртгэлтэй хэрэглэгч алга байна',
+  },
+
+  plans: {
+    newTitle: 'Шинэ багц',
+    editTitle: 'Багц засах',
+    formDescription: 'Хэрэглэгчид төлбөр төлөхдөө сонгох үнийн багцууд',
+    descriptionPlaceholder: 'Төмөр замын 12 сарын захиалга',
+    duration: 'Эрхийн хугацаа (хоног)',
+    prefix: 'Нэхэмжлэхийн угтвар',
+    available: 'Хэрэглэгчдэд харагдана',
+    title: 'Багцууд',
+    listDescription: 'Идэвхгүй багцууд хэрэглэгчдэд харагдахгүй ч нэхэмжлэхийн түүхэд хадгалагдана',
+    total: '(Нийт: {count})',
+    loadFailed: 'Багцуудыг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    durationColumn: 'Хугацаа',
+    prefixColumn: 'Угтвар',
+    days: {
+      one: '{count} хоног',
+      other: '{count} хоног',
+    },
+    noPlans: 'Багц алга байна',
+    noPlansHint: 'Дор хаяж нэг идэвхтэй багц байж байж хэрэглэгчид төлбөр төлөх боломжтой',
+  },
+
+  content: {
+    newTitle: 'Шинэ контент',
+    editTitle: 'Контент засах',
+    formDescription: 'Хэрэглэгчид төлбөр төлж нээх видео, шалгалт, тестүүд',
+    title: 'Гарчиг',
+    titlePlaceholder: 'Хичээл 1',
+    descriptionPlaceholder: 'Хэрэглэгч юу авах вэ',
+    type: 'Төрөл',
+    price: 'Үнэ',
+    published: 'Каталогт нийтлэгдсэн',
+    listTitle: 'Контентууд',
+    listDescription: 'Нийтлэгдээгүй зэрэг бүх контент',
+    total: '(Нийт: {count})',
+    loadFailed: 'Контентыг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    publishedBadge: 'Нийтлэгдсэн',
+    draft: 'Ноорог',
+    noContent: 'Контент алга байна',
+    noContentHint: 'Үүсгэсэн контент нийтлэгдсэний дараа хэрэглэгчийн каталогт харагдана',
+  },
+
+  videos: {
+    formTitle: 'Видео бүртгэх',
+    formDescription: 'Видео контентод видео файл холбоно. Файлын холбоосыг зөвхөн төлбөр төлсөн хэрэглэгчдэд өгнө.',
+    noVideoContent: 'Видео контент алга байна',
+    noVideoContentHint: 'Эхлээд Контент хэсэгт видео үүсгэнэ үү',
+    contentItem: 'Контент',
+    selectVideo: 'Видео сонгох',
+    videoUrl: 'Видеоны холбоос',
+    duration: 'Үргэлжлэх хугацаа (секунд)',
+    durationPlaceholder: 'Видеоноос автоматаар тодорхойлно',
+    thumbnailUrl: 'Зургийн холбоос',
+    confirmDelete: '"{name}" видеог устгах уу?',
+    listTitle: 'Бүртгэлтэй видеонууд',
+    listDescription: 'Нээсний дараа хэрэглэгчид үзэх боломжтой видеонууд',
+    total: '(Нийт: {count})',
+    loadFailed: 'Видеонуудыг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    durationColumn: 'Хугацаа',
+    updated: 'Шинэчилсэн',
+    noVideos: 'Бүртгэлтэй видео алга байна',
+  },
+
+  quizEditor: {
+    title: 'Шалгалт засварлагч',
+    description: 'Шалгалт, тестийн асуулт болон зөв хариултууд. Зөв хариултыг хэрэглэгчдэд хэзээ ч илгээхгүй.',
+    noQuizContent: 'Шалгалт эсвэл тест контент алга байна',
+    noQuizContentHint: 'Эхлээд Контент хэсэгт шалгалт эсвэл тест үүсгэнэ үү',
+    selectQuiz: 'Шалгалт эсвэл тест сонгох',
+    loadFailed: 'Шалгалтыг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    timeLimit: 'Хугацааны хязгаар (минут, 0 бол хязгааргүй)',
+    proctored: 'Хяналттай',
+    proctoredHint: 'Оролдлогын үеэр 30 секунд тутамд вэбкамераар зураг авч, таб сольсныг хянахаар бүртгэнэ',
+    question: 'Асуулт {number}',
+    points: 'Оноо',
+    prompt: 'Асуулт',
+    acceptedAnswers: 'Зөв хариултууд (мөр тус бүрд нэг)',
+    acceptedAnswersPlaceholder: 'Том жижиг үсэг болон захын зайг тооцохгүй',
+    options: 'Сонголтууд (зөвийг нь тэмдэглэнэ)',
+    option: 'Сонголт {number}',
+    addOption: 'Сонголт нэмэх',
+    addQuestion: 'Асуулт нэмэх',
+    attemptsTitle: 'Оролдлогууд',
+    attemptsDescription: 'Энэ контентын бүх хэрэглэгчийн оноо',
+    total: '(Нийт: {count})',
+    score: 'Оноо',
+    started: 'Эхэлсэн',
+    proctoring: 'Хяналт',
+    inProgress: 'Явагдаж байна',
+    late: 'Хоцорсон',
+    submitted: 'Илгээсэн',
+    review: 'Хянах',
+  },
+
+  proctoring: {
+    flags: {
+      missingFace: 'Зурагт нүүр алга (хөтөч мэдээлсэн)',
+      frequentTabSwitching: 'Таб байнга сольсон',
+      cameraUnavailable: 'Камер ажиллаагүй',
+    },
+    events: {
+      tabHidden: 'Өөр таб эсвэл програм руу шилжсэн',
+      focusLost: 'Хуудасны цонхноос гарсан',
+      cameraUnavailable: 'Камерыг асааж чадаагүй',
+    },
+    snapshotAlt: 'Зураг {number}',
+    noFace: 'нүүр алга (хөтөч)',
+    notChecked: 'шалгаагүй',
+    imageDeleted: 'Зургийг {days} хоногийн дараа устгасан',
+    title: 'Хяналтын тойм',
+    attemptDescription: '{user} · {time}-д эхэлсэн',
+    noFlags: 'Тэмдэглэгээ алга',
+    snapshots: 'Зургууд',
+    withoutFace: 'Нүүргүй (хөтөч мэдээлсэн)',
+    pageLeaves: 'Хуудаснаас гарсан',
+    eventsTitle: 'Үйл явдлууд',
+    stayedOnPage: 'Хэрэглэгч хуудсан дээрээ байсан',
+    showMore: 'Цааш үзэх ({count} үлдсэн)',
+    noSnapshots: 'Зураг ирээгүй',
+  },
+
+  analytics: {
+    intervals: {
+      day: 'Өдрөөр',
+      week: 'Долоо хоногоор',
+      month: 'Сараар',
+    },
+    title: 'Статистик',
+    description: 'Улаанбаатарын цагаар орлого, хөрвүүлэлт болон бүртгэл',
+    from: 'Эхлэх',
+    to: 'Дуусах',
+    interval: 'Интервал',
+    invalidRange: 'Эхлэх огноо дуусах огнооноос өмнө эсвэл тэнцүү байх ёстой',
+    rangeTooLarge: 'Энэ хугацаанд хэт олон цэг байна. Богино хугацаа эсвэл урт интервал сонгоно уу.',
+    loadFailed: 'Статистикийг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    revenue: 'Орлого',
+    paidInvoices: {
+      one: '{count} төлөгдсөн нэхэмжлэх',
+      other: '{count} төлөгдсөн нэхэмжлэх',
+    },
+    conversion: 'Хөрвүүлэлт',
+    invoicesConverted: '{created} нэхэмжлэхээс {converted} нь төлөгдсөн',
+    newUsers: 'Шинэ хэрэглэгчид',
+    usersWithoutDate: {
+      one: 'Өмнөх {count} хэрэглэгчийн бүртгүүлсэн огноо алга',
+      other: 'Өмнөх {count} хэрэглэгчийн бүртгүүлсэн огноо алга',
+    },
+    registeredInRange: 'Энэ хугацаанд бүртгүүлсэн',
+    averageTimeToPay: 'Төлөх дундаж хугацаа',
+    averageTimeToPayDescription: 'Нэхэмжлэх үүсгэснээс төлөх хүртэл',
+    revenueDescription: 'Төлөгдсөн нэхэмжлэхийн дүн, төлсөн огноогоор',
+    conversionRate: 'Хөрвүүлэлтийн хувь',
+    conversionRateDescription: 'Үе бүрд үүссэн нэхэмжлэхийн төлөгдсөн хувь',
+    newUsersDescription: 'Үе бүрийн бүртгэл',
+    recordedPayments: 'Бүртгэгдсэн төлбөрүүд',
+    recordedPaymentsDescription: 'Төлбөрийн бүртгэлийн дүн, төлсөн огноогоор',
+    noData: 'Энэ хугацаанд өгөгдөл алга',
+  },
+
+  checkIn: {
+    rejections: {
+      invalidPass: 'Хүчингүй эрх: энэ кодыг энд олгоогүй эсвэл өөрчилсөн байна',
+      passExpired: 'Эрхийн хугацаа дууссан: хэрэглэгчээр самбартаа эрхээ дахин нээлгэнэ үү',
+      blocked: 'Энэ бүртгэл хаагдсан байна',
+      noActiveAccess: 'Идэвхтэй эрх алга: хугацаа нь дууссан эсвэл буцаагдсан',
+    },
+    title: 'Бүртгэл',
+    description: 'Хэрэглэгчийн эрхийн кодыг уншуулж шалгаад бүртгэнэ',
+    noCamera: 'Энэ хөтөч камер ашиглах боломжгүй',
+    stop: 'Зогсоох',
+    startScanning: 'Уншуулж эхлэх',
+    switchCamera: 'Камер солих',
+    checking: 'Эрхийг шалгаж байна...',
+    checkedIn: 'Бүртгэгдлээ: {user}',
+    validUntil: 'Эрх {time} хүртэл хүчинтэй',
+    recentTitle: 'Сүүлийн бүртгэлүүд',
+    recentDescription: 'Сүүлд зөвшөөрөгдсөн 100 эрх, шинэ нь эхэндээ',
+    loadFailed: 'Бүртгэлүүдийг ачаалж чадсангүй. Дахин нэвтэрнэ үү.',
+    accessUntil: 'Эрхийн хугацаа',
+    noCheckIns: 'Бүртгэл алга байна',
+  },
+};
@@ -0,0 +1,95 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import mn from './messages/mn';
+import en from './messages/en';
+
+const catalogs = { mn, en };
+
+// Names are shown in their own language in the switcher
+export const LANGUAGES = {
+  mn: 'Монгол',
+  en: 'English',
+};
+
+export const DEFAULT_LANGUAGE = 'mn';
+
+const STORAGE_KEY = 'language';
+
+function readStoredLanguage() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored && stored in catalogs ? stored : DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+// Mirrors the provider's language so code outside React (toasts, label helpers) translates the same way
+let currentLanguage = readStoredLanguage();
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+// Plural messages are objects keyed by Intl.PluralRules category and picked by the `count` parameter
+function selectPlural(message, language, params) {
+  if (typeof message !== 'object' || message === null) return message;
+  const category = new Intl.PluralRules(language).select(Number(params?.count ?? 0));
+  return message[category] ?? message.other;
+}
+
+function interpolate(message, params) {
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Looks a dotted key up in the given language, falling back to English and then to the key itself
+export function translate(key, params, language = currentLanguage) {
+  let message = lookup(catalogs[language], key);
+  if (message === undefined && language !== 'en') {
+    message = lookup(catalogs.en, key);
+  }
+  if (message === undefined) {
+    console.warn(`[i18n] Missing message: ${key}`);
+    return key;
+  }
+  return interpolate(selectPlural(message, language, params), params);
+}
+
+const I18nContext = createContext(null);
+
+export function I18nProvider({ children }) {
+  const [language, setLanguageState] = useState(currentLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((next) => {
+    if (!(next in catalogs)) return;
+    currentLanguage = next;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch (error) {
+      console.error('[i18n] Failed to persist language:', error);
+    }
+    setLanguageState(next);
+  }, []);
+
+  const t = useCallback((key, params) => translate(key, params, language), [language]);
+
+  const value = useMemo(() => ({ language, setLanguage, t }), [language, setLanguage, t]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider');
+  }
+  return context;
+}
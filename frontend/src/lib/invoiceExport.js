@@ -0,0 +1,157 @@
+import { InvoiceState, PaymentProvider } from '../backend';
+import { formatTimestamp, getInvoiceStatus, getPaymentRecordStatusLabel, ULAANBAATAR_TIME_ZONE } from './utils';
+import { translate } from '../i18n/useI18n';
+
+// Accounting export of invoices and payments. All times are in Ulaanbaatar time so the
+// period totals match the accountant's calendar regardless of the admin's browser.
+// Headers and labels follow the language selected when exporting.
+
+const providerLabels = {
+  [PaymentProvider.qpay]: 'QPay',
+  [PaymentProvider.stripe]: 'Stripe',
+};
+
+// Length of the period key taken from the start of a formatted time
+export const EXPORT_PERIODS = {
+  day: 10,
+  month: 7,
+};
+
+const formatTime = (nanoseconds) => formatTimestamp(nanoseconds, ULAANBAATAR_TIME_ZONE);
+
+// Period key like 2026-10 or 2026-10-19, taken from the formatted Ulaanbaatar time
+const getPeriod = (nanoseconds, period) => formatTime(nanoseconds).slice(0, EXPORT_PERIODS[period]);
+
+// Same rule as the backend analytics: what an invoice still brings after its refunds, overpayments left out
+function getInvoiceRevenue(invoice) {
+  if (invoice.refundedAmount === 0n) return Number(invoice.amount);
+  const kept = invoice.paidAmount - invoice.refundedAmount;
+  return Number(kept <= 0n ? 0n : kept < invoice.amount ? kept : invoice.amount);
+}
+
+function buildTotals(invoices, payments, period) {
+  const totals = new Map();
+  const getTotals = (key) => {
+    if (!totals.has(key)) {
+      totals.set(key, { invoices: 0, invoicedAmount: 0, paidInvoices: 0, paidAmount: 0, payments: 0, paymentAmount: 0 });
+    }
+    return totals.get(key);
+  };
+
+  invoices.forEach(([, invoice]) => {
+    const created = getTotals(getPeriod(invoice.createdAt, period));
+    created.invoices += 1;
+    created.invoicedAmount += Number(invoice.amount);
+    // Paid amounts count in the period the payment arrived; refunded invoices keep only what was not returned
+    if (invoice.isPaid) {
+      const paid = getTotals(getPeriod(invoice.paidAt ?? invoice.createdAt, period));
+      if (invoice.state !== InvoiceState.refunded) paid.paidInvoices += 1;
+      paid.paidAmount += getInvoiceRevenue(invoice);
+    }
+  });
+  payments.forEach((payment) => {
+    const entry = getTotals(getPeriod(payment.timestamp, period));
+    entry.payments += 1;
+    entry.paymentAmount += Number(payment.amount - payment.refundedAmount);
+  });
+
+  const rows = [...totals.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const grandTotal = rows.reduce(
+    (sum, [, entry]) => {
+      Object.keys(sum).forEach((key) => {
+        sum[key] += entry[key];
+      });
+      return sum;
+    },
+    { invoices: 0, invoicedAmount: 0, paidInvoices: 0, paidAmount: 0, payments: 0, paymentAmount: 0 }
+  );
+
+  const toRow = (label, entry) => [
+    label,
+    entry.invoices,
+    entry.invoicedAmount,
+    entry.paidInvoices,
+    entry.paidAmount,
+    entry.payments,
+    entry.paymentAmount,
+  ];
+
+  return [
+    [
+      translate(`export.periods.${period}`),
+      translate('export.invoices'),
+      translate('export.invoicedAmount'),
+      translate('export.paidInvoices'),
+      translate('export.paidAmount'),
+      translate('export.payments'),
+      translate('export.paymentAmount'),
+    ],
+    ...rows.map(([key, entry]) => toRow(key, entry)),
+    toRow(translate('export.total'), grandTotal),
+  ];
+}
+
+// Sheets for buildCsv/buildXlsx; profiles is a Map from principal text to profile name
+export function buildInvoiceExportSheets({ invoices, payments, profiles, period = 'month' }) {
+  const getName = (principal) => profiles.get(principal.toString()) ?? '';
+
+  const invoiceRows = [
+    [
+      translate('export.provider'),
+      translate('export.invoiceId'),
+      translate('export.userPrincipal'),
+      translate('export.profileName'),
+      translate('export.description'),
+      translate('export.amount'),
+      translate('export.received'),
+      translate('export.refunded'),
+      translate('export.status'),
+      translate('export.created'),
+      translate('export.paid'),
+    ],
+    ...invoices.map(([, invoice]) => [
+      providerLabels[invoice.provider],
+      invoice.qpayInvoice.invoiceId,
+      invoice.user.toString(),
+      getName(invoice.user),
+      invoice.description,
+      Number(invoice.amount),
+      Number(invoice.paidAmount),
+      Number(invoice.refundedAmount),
+      translate(`status.${getInvoiceStatus(invoice)}`),
+      formatTime(invoice.createdAt),
+      invoice.paidAt != null ? formatTime(invoice.paidAt) : '',
+    ]),
+  ];
+
+  const paymentRows = [
+    [
+      translate('export.userPrincipal'),
+      translate('export.profileName'),
+      translate('export.amount'),
+      translate('export.refunded'),
+      translate('export.status'),
+      translate('export.invoiceId'),
+      translate('export.qpayPaymentId'),
+      translate('export.stripePaymentId'),
+      translate('export.time'),
+    ],
+    ...payments.map((payment) => [
+      payment.user.toString(),
+      getName(payment.user),
+      Number(payment.amount),
+      Number(payment.refundedAmount),
+      getPaymentRecordStatusLabel(payment),
+      payment.invoiceId ?? '',
+      payment.qpayPaymentId ?? '',
+      payment.stripePaymentIntentId ?? '',
+      formatTime(payment.timestamp),
+    ]),
+  ];
+
+  return [
+    { name: translate('export.invoices'), rows: invoiceRows },
+    { name: translate('export.payments'), rows: paymentRows },
+    { name: translate('export.totals'), rows: buildTotals(invoices, payments, period) },
+  ];
+}
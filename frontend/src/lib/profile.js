@@ -0,0 +1,102 @@
+// Profile form helpers. The checks mirror validateProfile in the backend, which has the final say.
+
+import { translate } from '../i18n/useI18n';
+
+export const emptyProfileForm = {
+  name: '',
+  phone: '',
+  email: '',
+  companyName: '',
+  companyRegisterNo: '',
+};
+
+export function toProfileForm(profile) {
+  if (!profile) return emptyProfileForm;
+  return {
+    name: profile.name,
+    phone: profile.phone,
+    email: profile.email,
+    companyName: profile.companyName ?? '',
+    companyRegisterNo: profile.companyRegisterNo ?? '',
+  };
+}
+
+export function toProfileInput(form) {
+  const companyName = form.companyName.trim();
+  const companyRegisterNo = form.companyRegisterNo.trim();
+  return {
+    name: form.name.trim(),
+    phone: form.phone.trim(),
+    email: form.email.trim(),
+    companyName: companyName || null,
+    companyRegisterNo: companyRegisterNo || null,
+  };
+}
+
+// Profiles saved before contact details were asked for have an empty phone and email
+export function isProfileComplete(profile) {
+  return !!profile && !!profile.phone && !!profile.email;
+}
+
+const PHONE_PATTERN = /^\+?[\d\s-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+const COMPANY_REGISTER_PATTERN = /^\d{7}$/;
+
+// Field name to translated error message; empty when the form can be saved
+export function validateProfileForm(form) {
+  const input = toProfileInput(form);
+  const errors = {};
+  if (!input.name) {
+    errors.name = translate('profile.errors.nameRequired');
+  } else if (input.name.length > 100) {
+    errors.name = translate('profile.errors.nameTooLong', { max: 100 });
+  }
+
+  const phoneDigits = input.phone.replace(/\D/g, '').length;
+  if (!PHONE_PATTERN.test(input.phone) || phoneDigits < 8 || phoneDigits > 15) {
+    errors.phone = translate('profile.errors.phone');
+  }
+
+  if (!EMAIL_PATTERN.test(input.email) || input.email.length > 254) {
+    errors.email = translate('profile.errors.email');
+  }
+
+  if (input.companyName || input.companyRegisterNo) {
+    if (!input.companyName) {
+      errors.companyName = translate('profile.errors.companyNameRequired');
+    } else if (input.companyName.length > 200) {
+      errors.companyName = translate('profile.errors.companyNameTooLong', { max: 200 });
+    }
+    if (!COMPANY_REGISTER_PATTERN.test(input.companyRegisterNo ?? '')) {
+      errors.companyRegisterNo = translate('profile.errors.companyRegisterNo');
+    }
+  }
+  return errors;
+}
+
+export const AVATAR_SIZE = 256;
+
+// Square JPEG of the centre of an image file or camera photo, small enough for the backend's 200 KB limit
+export async function toAvatarImage(file) {
+  const bitmap = await createImageBitmap(file);
+  const side = Math.min(bitmap.width, bitmap.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = AVATAR_SIZE;
+  canvas.height = AVATAR_SIZE;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(
+    bitmap,
+    (bitmap.width - side) / 2,
+    (bitmap.height - side) / 2,
+    side,
+    side,
+    0,
+    0,
+    AVATAR_SIZE,
+    AVATAR_SIZE
+  );
+  bitmap.close();
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+  if (!blob) throw new Error(translate('profile.errors.imageProcessing'));
+  return blob;
+}
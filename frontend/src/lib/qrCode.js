@@ -0,0 +1,32 @@
+// QR code images for text the app generates itself, such as access passes. Like jsQR for scanning,
+// the generator is loaded from the CDN on first use instead of being bundled.
+const QR_GENERATOR_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js';
+
+let generatorPromise = null;
+
+function loadQRCodeGenerator() {
+  if (window.qrcode) return Promise.resolve(window.qrcode);
+  if (!generatorPromise) {
+    generatorPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = QR_GENERATOR_URL;
+      script.onload = () => resolve(window.qrcode);
+      script.onerror = () => {
+        generatorPromise = null;
+        script.remove();
+        reject(new Error('Failed to load the QR code generator'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return generatorPromise;
+}
+
+// Data URL of a QR code image for the text; medium error correction, the smallest version that fits
+export async function getQRCodeDataUrl(text, cellSize = 6) {
+  const qrcode = await loadQRCodeGenerator();
+  const qr = qrcode(0, 'M');
+  qr.addData(text);
+  qr.make();
+  return qr.createDataURL(cellSize, cellSize * 4);
+}
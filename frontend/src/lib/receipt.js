@@ -0,0 +1,193 @@
+import { InvoiceState, PaymentProvider } from '../backend';
+import { formatTimestamp, downloadBlob, ULAANBAATAR_TIME_ZONE } from './utils';
+
+// PDF receipts for paid invoices, generated entirely in the browser.
+// The built-in PDF fonts have no Cyrillic glyphs, so the receipt is drawn on a canvas with the
+// browser's own fonts and embedded in the PDF as a JPEG image.
+
+// A4 in PDF points, drawn on the canvas at twice the resolution
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const SCALE = 2;
+
+const FONT_FAMILY = '"Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif';
+
+const formatAmount = (amount) => `₮${BigInt(amount).toLocaleString('mn-MN')}`;
+
+// Refunded invoices keep isPaid, so the status printed on the receipt comes from the refunds
+function getReceiptStatus(invoice) {
+  if (invoice.state === InvoiceState.refunded) return { label: 'Буцаагдсан', color: '#dc2626' };
+  if (invoice.refundedAmount > 0n) return { label: 'Хэсэгчлэн буцаагдсан', color: '#d97706' };
+  return { label: 'Төлөгдсөн', color: '#16a34a' };
+}
+
+function getReceiptFooter(invoice) {
+  const paidWith = invoice.provider === PaymentProvider.stripe ? 'Картаар (Stripe) төлсөн.' : 'QPay-ээр төлсөн.';
+  if (invoice.state === InvoiceState.refunded) return `${paidWith} Төлбөрийг буцаасан.`;
+  return `${paidWith} Төлбөр төлсөнд баярлалаа.`;
+}
+
+// Receipt lines from the stored invoice record, the payer's profile and the QPay payment, refunds and e-barimts kept with it
+function getReceiptRows(invoice, payer) {
+  const payment = invoice.paymentCheck?.rows.find((row) => row.status === 'PAID');
+
+  const rows = [['Нэхэмжлэхийн дугаар', invoice.qpayInvoice.invoiceId]];
+  if (payer?.companyName) {
+    rows.push(['Байгууллага', payer.companyName], ['Регистрийн дугаар', payer.companyRegisterNo ?? '-']);
+  }
+  rows.push(
+    ['Төлөгч', payer?.name || '-'],
+    ['Утас', payer?.phone || '-'],
+    ['И-мэйл', payer?.email || '-'],
+    ['Үйлчилгээ', invoice.description || '-'],
+    ['Төлсөн огноо', invoice.paidAt != null ? formatTimestamp(invoice.paidAt, ULAANBAATAR_TIME_ZONE) : '-'],
+    ['Цагийн бүс', ULAANBAATAR_TIME_ZONE]
+  );
+  if (payment) {
+    rows.push(['Гүйлгээний дугаар', payment.paymentId]);
+  }
+  if (invoice.refundedAmount > 0n) {
+    rows.push(['Буцаасан дүн', formatAmount(invoice.refundedAmount)]);
+  }
+  for (const ebarimt of invoice.ebarimts) {
+    rows.push(['И-баримт', ebarimt.lottery ? `Сугалааны дугаар ${ebarimt.lottery}` : `Байгууллага ${ebarimt.receiver ?? ''}`]);
+  }
+  return rows;
+}
+
+// Breaks text into lines that fit the given width; long ids without spaces are split by character
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const char of text) {
+    const next = line + char;
+    if (ctx.measureText(next).width > maxWidth && line) {
+      const breakAt = line.lastIndexOf(' ');
+      if (breakAt > 0 && char !== ' ') {
+        lines.push(line.slice(0, breakAt));
+        line = line.slice(breakAt + 1) + char;
+      } else {
+        lines.push(line);
+        line = char === ' ' ? '' : char;
+      }
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function drawReceipt(invoice, payer) {
+  const canvas = document.createElement('canvas');
+  canvas.width = PAGE_WIDTH * SCALE;
+  canvas.height = PAGE_HEIGHT * SCALE;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(SCALE, SCALE);
+
+  const margin = 56;
+  const contentWidth = PAGE_WIDTH - margin * 2;
+  const labelWidth = 170;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+  ctx.textBaseline = 'top';
+
+  ctx.fillStyle = '#111827';
+  ctx.font = `bold 24px ${FONT_FAMILY}`;
+  ctx.fillText('ТӨЛБӨРИЙН БАРИМТ', margin, margin);
+
+  const status = getReceiptStatus(invoice);
+  ctx.fillStyle = status.color;
+  ctx.font = `bold 14px ${FONT_FAMILY}`;
+  ctx.fillText(status.label, margin, margin + 36);
+
+  let y = margin + 72;
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin, y);
+  ctx.lineTo(PAGE_WIDTH - margin, y);
+  ctx.stroke();
+  y += 20;
+
+  ctx.font = `13px ${FONT_FAMILY}`;
+  for (const [label, value] of getReceiptRows(invoice, payer)) {
+    ctx.fillStyle = '#6b7280';
+    ctx.fillText(label, margin, y);
+    ctx.fillStyle = '#111827';
+    const lines = wrapText(ctx, value, contentWidth - labelWidth);
+    lines.forEach((line, index) => ctx.fillText(line, margin + labelWidth, y + index * 18));
+    y += Math.max(lines.length, 1) * 18 + 10;
+  }
+
+  y += 10;
+  ctx.fillStyle = '#f3f4f6';
+  ctx.fillRect(margin, y, contentWidth, 56);
+  ctx.fillStyle = '#111827';
+  ctx.font = `15px ${FONT_FAMILY}`;
+  ctx.fillText('Нийт дүн', margin + 16, y + 20);
+  ctx.font = `bold 24px ${FONT_FAMILY}`;
+  ctx.textAlign = 'right';
+  ctx.fillText(formatAmount(invoice.amount), PAGE_WIDTH - margin - 16, y + 15);
+  ctx.textAlign = 'left';
+
+  ctx.fillStyle = '#6b7280';
+  ctx.font = `12px ${FONT_FAMILY}`;
+  ctx.fillText(getReceiptFooter(invoice), margin, y + 80);
+
+  return canvas;
+}
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+
+// Single page PDF with the JPEG stretched over the whole page
+function buildPdf(jpeg, pixelWidth, pixelHeight) {
+  const encoder = new TextEncoder();
+  const content = `q ${PAGE_WIDTH} 0 0 ${PAGE_HEIGHT} 0 0 cm /Receipt Do Q`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /XObject << /Receipt 4 0 R >> >> /Contents 5 0 R >>`,
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream',
+    ],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  push('%PDF-1.4\n');
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    push(`${index + 1} 0 obj\n`);
+    (Array.isArray(body) ? body : [body]).forEach(push);
+    push('\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) => push(`${offset.toString().padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+export function buildReceiptPdf(invoice, payer) {
+  const canvas = drawReceipt(invoice, payer);
+  const jpeg = base64ToBytes(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]);
+  return buildPdf(jpeg, canvas.width, canvas.height);
+}
+
+export function downloadReceipt(invoice, payer) {
+  downloadBlob(buildReceiptPdf(invoice, payer), `receipt-${invoice.invoiceId}.pdf`);
+}
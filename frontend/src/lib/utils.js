@@ -1,11 +1,17 @@
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
+import { InvoicePaymentStatus, InvoiceState } from '../backend';
+import { translate } from '../i18n/useI18n';
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
 
-export function formatTimestamp(nanoseconds) {
+// Time zone used for receipts and accounting exports, independent of the browser's own time zone
+export const ULAANBAATAR_TIME_ZONE = 'Asia/Ulaanbaatar';
+
+// Formats as YYYY-MM-DD HH:MM:SS in the browser's time zone, or in the given IANA time zone
+export function formatTimestamp(nanoseconds, timeZone) {
   try {
     // Convert nanoseconds to milliseconds
     const milliseconds = Number(nanoseconds) / 1_000_000;
@@ -13,7 +19,25 @@ export function formatTimestamp(nanoseconds) {
     
     // Check if date is valid
     if (isNaN(date.getTime())) {
-      return 'Invalid date';
+      return translate('time.invalidDate');
+    }
+
+    if (timeZone) {
+      const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+          timeZone,
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit',
+          hourCycle: 'h23',
+        })
+          .formatToParts(date)
+          .map(({ type, value }) => [type, value])
+      );
+      return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
     }
     
     // Format as: YYYY-MM-DD HH:MM:SS
@@ -27,6 +51,131 @@ export function formatTimestamp(nanoseconds) {
     return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
   } catch (error) {
     console.error('Error formatting timestamp:', error);
-    return 'Invalid date';
+    return translate('time.invalidDate');
+  }
+}
+
+export function getActiveEntitlement(entitlements, now = Date.now()) {
+  if (!entitlements || entitlements.length === 0) return null;
+  const nowNs = BigInt(now) * 1_000_000n;
+  const active = entitlements.filter((e) => e.startsAt <= nowNs && nowNs < e.expiresAt);
+  if (active.length === 0) return null;
+  // Report the pass that reaches furthest, including renewals queued after the current one
+  const latestExpiry = entitlements.reduce((max, e) => (e.expiresAt > max ? e.expiresAt : max), 0n);
+  return { ...active[0], expiresAt: latestExpiry };
+}
+
+export function getRemainingDays(expiresAtNs, now = Date.now()) {
+  const remainingMs = Number(expiresAtNs) / 1_000_000 - now;
+  return Math.max(0, Math.ceil(remainingMs / (24 * 60 * 60 * 1000)));
+}
+
+// Format a length in seconds as H:MM:SS, or M:SS when under an hour
+export function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+  return `${minutes}:${secs}`;
+}
+
+// Start of a YYYY-MM-DD calendar day in Ulaanbaatar (UTC+8 all year), in nanoseconds
+export function ulaanbaatarDayStartNs(day) {
+  return BigInt(Date.parse(`${day}T00:00:00+08:00`)) * 1_000_000n;
+}
+
+// Human readable length of a time span given in nanoseconds, e.g. "2 h 5 min"
+export function formatTimeSpan(nanoseconds) {
+  const minutes = Math.round(Number(nanoseconds) / 60_000_000_000);
+  if (minutes < 1) return translate('time.underMinute');
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  return [
+    days && translate('time.days', { count: days }),
+    hours && translate('time.hours', { count: hours }),
+    mins && translate('time.minutes', { count: mins }),
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Same rule as InvoiceRecord.isPaid in the backend
+export function isFullyPaid(paymentStatus) {
+  return paymentStatus === InvoicePaymentStatus.paid || paymentStatus === InvoicePaymentStatus.overpaid;
+}
+
+// Open invoices can still be paid through the app; the backend expires and cancels them
+export function isInvoiceOpen(invoice) {
+  return invoice.state === InvoiceState.created;
+}
+
+// Partly paid invoices keep their own status instead of expiring, so admins can follow them up
+export function getInvoiceStatus(invoice) {
+  if (invoice.state === InvoiceState.refunded) return 'refunded';
+  if (invoice.paymentStatus === InvoicePaymentStatus.overpaid) return 'overpaid';
+  if (invoice.isPaid) return 'paid';
+  if (invoice.paymentStatus === InvoicePaymentStatus.partiallyPaid) return 'partiallyPaid';
+  if (invoice.state === InvoiceState.expired) return 'expired';
+  if (invoice.state === InvoiceState.cancelled) return 'cancelled';
+  return 'pending';
+}
+
+// Status shown to the invoice owner; overpaid invoices are simply paid for them
+export function getPaymentStatusLabel(invoice) {
+  if (invoice.state === InvoiceState.refunded) return translate('status.refunded');
+  if (invoice.isPaid) return translate('status.paid');
+  if (invoice.paymentStatus === InvoicePaymentStatus.partiallyPaid) return translate('status.partiallyPaid');
+  if (invoice.state === InvoiceState.expired) return translate('status.expired');
+  if (invoice.state === InvoiceState.cancelled) return translate('status.cancelled');
+  return translate('status.pending');
+}
+
+const paymentRecordStatuses = ['paid', 'pending', 'partiallyRefunded', 'refunded'];
+
+// PaymentRecord.status is free text; older records may hold other values
+export function getPaymentRecordStatusLabel(payment) {
+  return paymentRecordStatuses.includes(payment.status) ? translate(`status.${payment.status}`) : payment.status;
+}
+
+// E-barimt column of invoice tables: the lottery numbers, or the receiving company for company receipts
+export function getEbarimtLabel(invoice) {
+  if (invoice.ebarimts.length === 0) {
+    return invoice.ebarimtError != null ? translate('ebarimt.notIssued') : '-';
+  }
+  return invoice.ebarimts
+    .map((ebarimt) => ebarimt.lottery || translate('ebarimt.company', { receiver: ebarimt.receiver ?? '' }).trim())
+    .join(', ');
+}
+
+// QPay calls return { ok } or { err }, where err is { apiError: { code, message } } or { malformedResponse }
+export function getQPayErrorMessage(error) {
+  if ('apiError' in error) {
+    const { code, message } = error.apiError;
+    return message ? translate('qpay.apiErrorMessage', { code, message }) : translate('qpay.apiError', { code });
+  }
+  if ('malformedResponse' in error) {
+    return translate('qpay.malformedResponse', { details: error.malformedResponse });
   }
+  return translate('qpay.unknownError');
+}
+
+export function unwrapQPayResult(result) {
+  if ('ok' in result) return result.ok;
+  throw new Error(getQPayErrorMessage(result.err));
+}
+
+// Saves a generated file through a temporary link
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
@@ -3,6 +3,7 @@ import { InternetIdentityProvider } from './hooks/useInternetIdentity';
 import { initEditor } from './hooks/useEditor';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import App from './App';
+import { translate } from './i18n/useI18n';
 import './index.css';
 
 const queryClient = new QueryClient();
@@ -35,8 +36,8 @@ function initializeApp() {
       document.body.innerHTML = `
         <div style="display: flex; align-items: center; justify-content: center; min-height: 100vh; padding: 1rem; background: #f9fafb;">
           <div style="max-width: 28rem; width: 100%; padding: 1.5rem; background: white; border-radius: 0.5rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-            <h1 style="font-size: 1.5rem; font-weight: bold; color: #dc2626; margin-bottom: 0.5rem;">Application Error</h1>
-            <p style="color: #6b7280;">Root element not found. Please refresh the page.</p>
+            <h1 style="font-size: 1.5rem; font-weight: bold; color: #dc2626; margin-bottom: 0.5rem;">${translate('app.errorTitle')}</h1>
+            <p style="color: #6b7280;">${translate('app.rootNotFound')}</p>
           </div>
         </div>
       `;
@@ -59,10 +60,10 @@ function initializeApp() {
       rootElement.innerHTML = `
         <div style="display: flex; align-items: center; justify-content: center; min-height: 100vh; padding: 1rem; background: #f9fafb;">
           <div style="max-width: 28rem; width: 100%; padding: 1.5rem; background: white; border-radius: 0.5rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-            <h1 style="font-size: 1.5rem; font-weight: bold; color: #dc2626; margin-bottom: 0.5rem;">Rendering Error</h1>
-            <p style="color: #6b7280; margin-bottom: 1rem;">${error.message || 'Failed to render application'}</p>
+            <h1 style="font-size: 1.5rem; font-weight: bold; color: #dc2626; margin-bottom: 0.5rem;">${translate('app.renderingErrorTitle')}</h1>
+            <p style="color: #6b7280; margin-bottom: 1rem;">${error.message || translate('app.renderingError')}</p>
             <button onclick="window.location.reload()" style="width: 100%; padding: 0.5rem 1rem; background: #3b82f6; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
-              Reload Application
+              ${translate('app.reload')}
             </button>
           </div>
         </div>
@@ -73,10 +74,10 @@ function initializeApp() {
     document.body.innerHTML = `
       <div style="display: flex; align-items: center; justify-content: center; min-height: 100vh; padding: 1rem; background: #f9fafb;">
         <div style="max-width: 28rem; width: 100%; padding: 1.5rem; background: white; border-radius: 0.5rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-          <h1 style="font-size: 1.5rem; font-weight: bold; color: #dc2626; margin-bottom: 0.5rem;">Fatal Error</h1>
-          <p style="color: #6b7280; margin-bottom: 1rem;">Application failed to initialize. Please refresh the page.</p>
+          <h1 style="font-size: 1.5rem; font-weight: bold; color: #dc2626; margin-bottom: 0.5rem;">${translate('app.fatalErrorTitle')}</h1>
+          <p style="color: #6b7280; margin-bottom: 1rem;">${translate('app.fatalError')}</p>
           <button onclick="window.location.reload()" style="width: 100%; padding: 0.5rem 1rem; background: #3b82f6; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
-            Reload Application
+            ${translate('app.reload')}
           </button>
         </div>
       </div>
@@ -1,26 +1,41 @@
 import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useI18n } from '../i18n/useI18n';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
-import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
-import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Settings, Loader2, Save, AlertCircle, Receipt, RefreshCw } from 'lucide-react';
+import { Settings, Loader2, Save, AlertCircle, Receipt, Library, Tags, ListChecks, Film, BarChart3, Users, ScanLine } from 'lucide-react';
 import { 
   useGetQPayCredentials, 
   useSaveQPayCredentials, 
   useGetQPayInvoiceConfig,
-  useSaveQPayInvoiceConfig,
-  useGetAllInvoices
+  useSaveQPayInvoiceConfig
 } from '../hooks/useQueries';
-import { formatTimestamp } from '../lib/utils';
+import AnalyticsDashboard from '../components/AnalyticsDashboard';
+import CheckInScanner from '../components/CheckInScanner';
+import ContentManager from '../components/ContentManager';
+import InvoiceTable from '../components/InvoiceTable';
+import PlanManager from '../components/PlanManager';
+import QuizManager from '../components/QuizManager';
+import ReconciliationSettings from '../components/ReconciliationSettings';
+import QPayRelaySettings from '../components/QPayRelaySettings';
+import StripeSettings from '../components/StripeSettings';
+import EbarimtSettings from '../components/EbarimtSettings';
+import UserManager from '../components/UserManager';
+import VideoManager from '../components/VideoManager';
+import NotFoundPage from './NotFoundPage';
+
+const ADMIN_TABS = ['settings', 'invoices', 'analytics', 'users', 'plans', 'content', 'quizzes', 'videos', 'checkin'];
 
 export default function AdminDashboard() {
+  const { tab = 'settings' } = useParams();
+  const navigate = useNavigate();
+  const { t } = useI18n();
   const { data: credentials, isLoading: credentialsLoading, error: credentialsError } = useGetQPayCredentials();
   const { data: invoiceConfig, isLoading: configLoading, error: configError, refetch: refetchConfig } = useGetQPayInvoiceConfig();
-  const { data: invoices, isLoading: invoicesLoading, error: invoicesError, refetch: refetchInvoices } = useGetAllInvoices();
   const saveCredentials = useSaveQPayCredentials();
   const saveInvoiceConfig = useSaveQPayInvoiceConfig();
 
@@ -33,8 +48,7 @@ export default function AdminDashboard() {
   const [invoiceConfigForm, setInvoiceConfigForm] = useState({
     sender_invoice_no: '12345678',
     invoice_receiver_code: 'terminal',
-    invoice_description: 'Railway subscription 12 months',
-    amount: BigInt(10),
+    invoice_validity_hours: BigInt(24),
   });
 
   const [isCredentialsFormDirty, setIsCredentialsFormDirty] = useState(false);
@@ -55,8 +69,7 @@ export default function AdminDashboard() {
   useEffect(() => {
     console.log('[Admin Dashboard] Component mounted - refetching data');
     refetchConfig();
-    refetchInvoices();
-  }, [refetchConfig, refetchInvoices]);
+  }, [refetchConfig]);
 
   const handleCredentialsInputChange = (field, value) => {
     setCredentialsForm((prev) => ({ ...prev, [field]: value }));
@@ -82,63 +95,78 @@ export default function AdminDashboard() {
       onSuccess: () => {
         console.log('[Admin Dashboard] Invoice config saved successfully');
         setIsConfigFormDirty(false);
-        refetchInvoices();
       },
     });
   };
 
-  const handleRefreshInvoices = () => {
-    console.log('[Admin Dashboard] Manual refresh triggered');
-    refetchConfig();
-    refetchInvoices();
-  };
-
-  useEffect(() => {
-    if (invoices) {
-      console.log('[Admin Dashboard] Total invoices loaded:', invoices.length);
-      console.log('[Admin Dashboard] Current invoice config amount:', invoiceConfig?.amount.toString());
-      invoices.forEach(([id, inv]) => {
-        console.log(`[Admin Dashboard] Invoice ${id}: stored amount = ${inv.amount.toString()}`);
-      });
-    }
-  }, [invoices, invoiceConfig]);
+  if (!ADMIN_TABS.includes(tab)) {
+    return <NotFoundPage />;
+  }
 
   return (
     <div className="container py-8 space-y-8">
       <div>
-        <h1 className="text-3xl font-bold mb-2">Admin Dashboard</h1>
-        <p className="text-muted-foreground">System configuration and payment information</p>
+        <h1 className="text-3xl font-bold mb-2">{t('admin.title')}</h1>
+        <p className="text-muted-foreground">{t('admin.subtitle')}</p>
       </div>
 
-      <Tabs defaultValue="settings" className="space-y-6">
+      <Tabs value={tab} onValueChange={(value) => navigate(`/admin/${value}`)} className="space-y-6">
         <TabsList>
           <TabsTrigger value="settings" className="flex items-center gap-2">
             <Settings className="h-4 w-4" />
-            QPay Settings
+            {t('admin.tabs.settings')}
           </TabsTrigger>
           <TabsTrigger value="invoices" className="flex items-center gap-2">
             <Receipt className="h-4 w-4" />
-            Payments
+            {t('admin.tabs.invoices')}
+          </TabsTrigger>
+          <TabsTrigger value="analytics" className="flex items-center gap-2">
+            <BarChart3 className="h-4 w-4" />
+            {t('admin.tabs.analytics')}
+          </TabsTrigger>
+          <TabsTrigger value="users" className="flex items-center gap-2">
+            <Users className="h-4 w-4" />
+            {t('admin.tabs.users')}
+          </TabsTrigger>
+          <TabsTrigger value="plans" className="flex items-center gap-2">
+            <Tags className="h-4 w-4" />
+            {t('admin.tabs.plans')}
+          </TabsTrigger>
+          <TabsTrigger value="content" className="flex items-center gap-2">
+            <Library className="h-4 w-4" />
+            {t('admin.tabs.content')}
+          </TabsTrigger>
+          <TabsTrigger value="quizzes" className="flex items-center gap-2">
+            <ListChecks className="h-4 w-4" />
+            {t('admin.tabs.quizzes')}
+          </TabsTrigger>
+          <TabsTrigger value="videos" className="flex items-center gap-2">
+            <Film className="h-4 w-4" />
+            {t('admin.tabs.videos')}
+          </TabsTrigger>
+          <TabsTrigger value="checkin" className="flex items-center gap-2">
+            <ScanLine className="h-4 w-4" />
+            {t('admin.tabs.checkin')}
           </TabsTrigger>
         </TabsList>
 
         <TabsContent value="settings" className="space-y-6">
           <Card>
             <CardHeader>
-              <CardTitle>QPay Connection Details</CardTitle>
-              <CardDescription>Enter your QPay connection credentials</CardDescription>
+              <CardTitle>{t('settings.qpay.title')}</CardTitle>
+              <CardDescription>{t('settings.qpay.description')}</CardDescription>
             </CardHeader>
             <CardContent>
               {credentialsLoading ? (
                 <div className="flex items-center justify-center py-8">
                   <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
-                  <span className="ml-2 text-muted-foreground">Loading...</span>
+                  <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
                 </div>
               ) : credentialsError ? (
                 <Alert variant="destructive">
                   <AlertCircle className="h-4 w-4" />
                   <AlertDescription>
-                    Failed to load settings. Please log in again.
+                    {t('settings.loadFailed')}
                   </AlertDescription>
                 </Alert>
               ) : (
@@ -147,36 +175,36 @@ export default function AdminDashboard() {
                     <Alert>
                       <AlertCircle className="h-4 w-4" />
                       <AlertDescription>
-                        QPay is not configured. Please enter the details below.
+                        {t('settings.qpay.notConfigured')}
                       </AlertDescription>
                     </Alert>
                   )}
                   <div className="space-y-2">
-                    <Label htmlFor="username">Username</Label>
+                    <Label htmlFor="username">{t('settings.qpay.username')}</Label>
                     <Input
                       id="username"
                       value={credentialsForm.client_username}
                       onChange={(e) => handleCredentialsInputChange('client_username', e.target.value)}
-                      placeholder="Enter client_username"
+                      placeholder={t('settings.qpay.enterField', { field: 'client_username' })}
                     />
                   </div>
                   <div className="space-y-2">
-                    <Label htmlFor="password">Password</Label>
+                    <Label htmlFor="password">{t('settings.qpay.password')}</Label>
                     <Input
                       id="password"
                       type="password"
                       value={credentialsForm.client_password}
                       onChange={(e) => handleCredentialsInputChange('client_password', e.target.value)}
-                      placeholder="Enter client_password"
+                      placeholder={t('settings.qpay.enterField', { field: 'client_password' })}
                     />
                   </div>
                   <div className="space-y-2">
-                    <Label htmlFor="invoice">Invoice Code</Label>
+                    <Label htmlFor="invoice">{t('settings.qpay.invoiceCode')}</Label>
                     <Input
                       id="invoice"
                       value={credentialsForm.client_invoice}
                       onChange={(e) => handleCredentialsInputChange('client_invoice', e.target.value)}
-                      placeholder="Enter client_invoice"
+                      placeholder={t('settings.qpay.enterField', { field: 'client_invoice' })}
                     />
                   </div>
                   <Button
@@ -187,12 +215,12 @@ export default function AdminDashboard() {
                     {saveCredentials.isPending ? (
                       <>
                         <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                        Saving...
+                        {t('common.saving')}
                       </>
                     ) : (
                       <>
                         <Save className="mr-2 h-4 w-4" />
-                        Save
+                        {t('common.save')}
                       </>
                     )}
                   </Button>
@@ -203,26 +231,26 @@ export default function AdminDashboard() {
 
           <Card>
             <CardHeader>
-              <CardTitle>Invoice Configuration</CardTitle>
-              <CardDescription>Configure invoice basic information</CardDescription>
+              <CardTitle>{t('settings.invoiceConfig.title')}</CardTitle>
+              <CardDescription>{t('settings.invoiceConfig.description')}</CardDescription>
             </CardHeader>
             <CardContent>
               {configLoading ? (
                 <div className="flex items-center justify-center py-8">
                   <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
-                  <span className="ml-2 text-muted-foreground">Loading...</span>
+                  <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
                 </div>
               ) : configError ? (
                 <Alert variant="destructive">
                   <AlertCircle className="h-4 w-4" />
                   <AlertDescription>
-                    Failed to load settings. Please log in again.
+                    {t('settings.loadFailed')}
                   </AlertDescription>
                 </Alert>
               ) : (
                 <div className="space-y-4">
                   <div className="space-y-2">
-                    <Label htmlFor="sender_invoice_no">Sender Invoice Number</Label>
+                    <Label htmlFor="sender_invoice_no">{t('settings.invoiceConfig.senderInvoiceNo')}</Label>
                     <Input
                       id="sender_invoice_no"
                       value={invoiceConfigForm.sender_invoice_no}
@@ -231,7 +259,7 @@ export default function AdminDashboard() {
                     />
                   </div>
                   <div className="space-y-2">
-                    <Label htmlFor="invoice_receiver_code">Receiver Code</Label>
+                    <Label htmlFor="invoice_receiver_code">{t('settings.invoiceConfig.receiverCode')}</Label>
                     <Input
                       id="invoice_receiver_code"
                       value={invoiceConfigForm.invoice_receiver_code}
@@ -240,23 +268,18 @@ export default function AdminDashboard() {
                     />
                   </div>
                   <div className="space-y-2">
-                    <Label htmlFor="invoice_description">Description</Label>
-                    <Input
-                      id="invoice_description"
-                      value={invoiceConfigForm.invoice_description}
-                      onChange={(e) => handleInvoiceConfigInputChange('invoice_description', e.target.value)}
-                      placeholder="Railway subscription 12 months"
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <Label htmlFor="amount">Amount</Label>
+                    <Label htmlFor="invoice_validity_hours">{t('settings.invoiceConfig.validityHours')}</Label>
                     <Input
-                      id="amount"
+                      id="invoice_validity_hours"
                       type="number"
-                      value={invoiceConfigForm.amount.toString()}
-                      onChange={(e) => handleInvoiceConfigInputChange('amount', BigInt(e.target.value || '0'))}
-                      placeholder="10"
+                      min="1"
+                      max="720"
+                      value={invoiceConfigForm.invoice_validity_hours.toString()}
+                      onChange={(e) => handleInvoiceConfigInputChange('invoice_validity_hours', BigInt(e.target.value || '0'))}
                     />
+                    <p className="text-xs text-muted-foreground">
+                      {t('settings.invoiceConfig.validityHint')}
+                    </p>
                   </div>
                   <Button
                     onClick={handleSaveInvoiceConfig}
@@ -266,12 +289,12 @@ export default function AdminDashboard() {
                     {saveInvoiceConfig.isPending ? (
                       <>
                         <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                        Saving...
+                        {t('common.saving')}
                       </>
                     ) : (
                       <>
                         <Save className="mr-2 h-4 w-4" />
-                        Save
+                        {t('common.save')}
                       </>
                     )}
                   </Button>
@@ -279,103 +302,46 @@ export default function AdminDashboard() {
               )}
             </CardContent>
           </Card>
+
+          <QPayRelaySettings />
+
+          <StripeSettings />
+
+          <EbarimtSettings />
+
+          <ReconciliationSettings />
         </TabsContent>
 
         <TabsContent value="invoices" className="space-y-6">
-          <Card>
-            <CardHeader>
-              <div className="flex items-center justify-between">
-                <div>
-                  <CardTitle>All Payments</CardTitle>
-                  <CardDescription>
-                    User payment history
-                    {invoices && invoices.length > 0 && (
-                      <span className="ml-2 text-sm font-medium">
-                        (Total: {invoices.length})
-                      </span>
-                    )}
-                  </CardDescription>
-                </div>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={handleRefreshInvoices}
-                  disabled={invoicesLoading || configLoading}
-                >
-                  <RefreshCw className={`h-4 w-4 mr-2 ${invoicesLoading || configLoading ? 'animate-spin' : ''}`} />
-                  Refresh
-                </Button>
-              </div>
-            </CardHeader>
-            <CardContent>
-              {invoicesLoading || configLoading ? (
-                <div className="flex items-center justify-center py-8">
-                  <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
-                  <span className="ml-2 text-muted-foreground">Loading...</span>
-                </div>
-              ) : invoicesError ? (
-                <Alert variant="destructive">
-                  <AlertCircle className="h-4 w-4" />
-                  <AlertDescription>
-                    Failed to load payment information. Please log in again.
-                  </AlertDescription>
-                </Alert>
-              ) : invoices && invoices.length > 0 ? (
-                <div className="space-y-4">
-                  {invoiceConfig && (
-                    <Alert>
-                      <AlertCircle className="h-4 w-4" />
-                      <AlertDescription>
-                        Current configured amount: <strong>₮{invoiceConfig.amount.toString()}</strong>
-                        <br />
-                        <span className="text-xs text-muted-foreground">
-                          The list below shows the amount at the time each invoice was created
-                        </span>
-                      </AlertDescription>
-                    </Alert>
-                  )}
-                  <div className="overflow-x-auto">
-                    <Table>
-                      <TableHeader>
-                        <TableRow>
-                          <TableHead>User</TableHead>
-                          <TableHead>Amount</TableHead>
-                          <TableHead>Status</TableHead>
-                          <TableHead>Date</TableHead>
-                        </TableRow>
-                      </TableHeader>
-                      <TableBody>
-                        {invoices.map(([invoiceId, invoice]) => {
-                          return (
-                            <TableRow key={invoiceId}>
-                              <TableCell className="font-mono text-xs">
-                                {invoice.user.toString().slice(0, 20)}...
-                              </TableCell>
-                              <TableCell className="font-medium">₮{invoice.amount.toString()}</TableCell>
-                              <TableCell>
-                                <Badge variant={invoice.isPaid ? 'default' : 'secondary'}>
-                                  {invoice.isPaid ? 'Paid' : 'Pending'}
-                                </Badge>
-                              </TableCell>
-                              <TableCell>{formatTimestamp(invoice.createdAt)}</TableCell>
-                            </TableRow>
-                          );
-                        })}
-                      </TableBody>
-                    </Table>
-                  </div>
-                </div>
-              ) : (
-                <div className="text-center py-12">
-                  <Receipt className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
-                  <p className="text-muted-foreground">No payments found</p>
-                  <p className="text-sm text-muted-foreground mt-1">
-                    Payments will appear here after users make payments
-                  </p>
-                </div>
-              )}
-            </CardContent>
-          </Card>
+          <InvoiceTable />
+        </TabsContent>
+
+        <TabsContent value="analytics" className="space-y-6">
+          <AnalyticsDashboard />
+        </TabsContent>
+
+        <TabsContent value="users" className="space-y-6">
+          <UserManager />
+        </TabsContent>
+
+        <TabsContent value="plans" className="space-y-6">
+          <PlanManager />
+        </TabsContent>
+
+        <TabsContent value="content" className="space-y-6">
+          <ContentManager />
+        </TabsContent>
+
+        <TabsContent value="quizzes" className="space-y-6">
+          <QuizManager />
+        </TabsContent>
+
+        <TabsContent value="videos" className="space-y-6">
+          <VideoManager />
+        </TabsContent>
+
+        <TabsContent value="checkin" className="space-y-6">
+          <CheckInScanner />
         </TabsContent>
       </Tabs>
     </div>
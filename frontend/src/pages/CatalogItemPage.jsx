@@ -0,0 +1,57 @@
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Lock, ArrowLeft } from 'lucide-react';
+import { useGetContentCatalog } from '../hooks/useQueries';
+import WatchPage from './WatchPage';
+import QuizPage from './QuizPage';
+import NotFoundPage from './NotFoundPage';
+import { ContentKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+// /catalog/:contentId opens an unlocked video or quiz
+export default function CatalogItemPage() {
+  const { t } = useI18n();
+  const { contentId } = useParams();
+  const navigate = useNavigate();
+  const { data: catalog, isLoading } = useGetContentCatalog();
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+      </div>
+    );
+  }
+
+  const entry = catalog?.find(({ item }) => item.id.toString() === contentId);
+  if (!entry) {
+    return <NotFoundPage />;
+  }
+
+  const handleExit = () => navigate('/catalog');
+
+  return (
+    <div className="container py-8">
+      {!entry.isUnlocked ? (
+        <div className="max-w-md mx-auto space-y-4">
+          <Alert>
+            <Lock className="h-4 w-4" />
+            <AlertDescription>{t('catalog.locked', { title: entry.item.title })}</AlertDescription>
+          </Alert>
+          <Button asChild variant="outline" className="w-full">
+            <Link to="/catalog">
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              {t('catalog.backToCatalog')}
+            </Link>
+          </Button>
+        </div>
+      ) : entry.item.kind === ContentKind.video ? (
+        <WatchPage item={entry.item} onExit={handleExit} />
+      ) : (
+        <QuizPage item={entry.item} onExit={handleExit} />
+      )}
+    </div>
+  );
+}
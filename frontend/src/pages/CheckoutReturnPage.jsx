@@ -0,0 +1,101 @@
+import { useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, ArrowLeft, AlertCircle, CheckCircle2, Clock, Receipt, RefreshCw } from 'lucide-react';
+import { useConfirmStripeCheckout } from '../hooks/useQueries';
+import { useI18n } from '../i18n/useI18n';
+import { translateError } from '../i18n/errors';
+
+// Stripe sends the user back here: /checkout/return?session_id=... after paying, ?cancelled=1 when they gave up
+export default function CheckoutReturnPage() {
+  const { t } = useI18n();
+  const [searchParams] = useSearchParams();
+  const sessionId = searchParams.get('session_id');
+  const isCancelled = searchParams.get('cancelled') != null;
+  const confirmCheckout = useConfirmStripeCheckout();
+  const hasConfirmedRef = useRef(false);
+
+  useEffect(() => {
+    if (!sessionId || isCancelled || hasConfirmedRef.current) return;
+    hasConfirmedRef.current = true;
+    confirmCheckout.mutate({ sessionId });
+  }, [sessionId, isCancelled, confirmCheckout]);
+
+  const backButton = (
+    <Button asChild variant="outline" className="w-full">
+      <Link to="/pay">
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        {t('common.back')}
+      </Link>
+    </Button>
+  );
+
+  if (isCancelled || !sessionId) {
+    return (
+      <div className="container max-w-md py-16 space-y-4">
+        <Alert>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {isCancelled ? t('checkout.cancelled') : t('checkout.noSession')}
+          </AlertDescription>
+        </Alert>
+        {backButton}
+      </div>
+    );
+  }
+
+  if (confirmCheckout.isPending || confirmCheckout.isIdle) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        <span className="ml-2 text-muted-foreground">{t('checkout.confirming')}</span>
+      </div>
+    );
+  }
+
+  if (confirmCheckout.isError || !confirmCheckout.data.isPaid) {
+    return (
+      <div className="container max-w-md py-16 space-y-4">
+        {confirmCheckout.isError ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>
+              {t('checkout.confirmFailed', { error: translateError(confirmCheckout.error) })}
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <Alert className="border-yellow-500 bg-yellow-50 dark:bg-yellow-950">
+            <Clock className="h-4 w-4 text-yellow-600" />
+            <AlertDescription className="text-yellow-800 dark:text-yellow-200">
+              {t('checkout.notConfirmed')}
+            </AlertDescription>
+          </Alert>
+        )}
+        <Button onClick={() => confirmCheckout.mutate({ sessionId })} className="w-full">
+          <RefreshCw className="mr-2 h-4 w-4" />
+          {t('checkout.checkAgain')}
+        </Button>
+        {backButton}
+      </div>
+    );
+  }
+
+  return (
+    <div className="container max-w-md py-16 space-y-4">
+      <Alert className="border-green-500 bg-green-50 dark:bg-green-950">
+        <CheckCircle2 className="h-6 w-6 text-green-600" />
+        <AlertDescription className="text-green-800 dark:text-green-200 text-lg">
+          {t('toast.paymentSuccessful')}
+        </AlertDescription>
+      </Alert>
+      <Button asChild className="w-full">
+        <Link to={`/history/${sessionId}`}>
+          <Receipt className="mr-2 h-4 w-4" />
+          {t('checkout.viewInvoice')}
+        </Link>
+      </Button>
+      {backButton}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Loader2, Lock, Unlock, Library, PlayCircle, ListChecks, FileText, ArrowRight } from 'lucide-react';
+import { useGetContentCatalog } from '../hooks/useQueries';
+import { ContentKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+const kindIcons = {
+  [ContentKind.video]: PlayCircle,
+  [ContentKind.quiz]: ListChecks,
+  [ContentKind.test]: FileText,
+};
+
+export default function ContentCatalog({ onPurchase, onOpen, purchasingId = null, isPurchasing = false }) {
+  const { t } = useI18n();
+  const { data: catalog, isLoading } = useGetContentCatalog();
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+      </div>
+    );
+  }
+
+  if (!catalog || catalog.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Library className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+        <p className="text-muted-foreground">{t('catalog.empty')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-4 sm:grid-cols-2">
+      {catalog.map(({ item, isUnlocked }) => {
+        const KindIcon = kindIcons[item.kind] || Library;
+        const isThisPurchasing = isPurchasing && purchasingId === item.id;
+        return (
+          <Card key={item.id.toString()}>
+            <CardHeader>
+              <div className="flex items-start justify-between gap-2">
+                <CardTitle className="flex items-center gap-2 text-lg">
+                  <KindIcon className="h-5 w-5" />
+                  {item.title}
+                </CardTitle>
+                <Badge variant="outline">{t(`contentKinds.${item.kind}`)}</Badge>
+              </div>
+              {item.description && <CardDescription>{item.description}</CardDescription>}
+            </CardHeader>
+            <CardContent>
+              {isUnlocked ? (
+                <div className="flex items-center justify-between">
+                  <Badge className="bg-green-600 hover:bg-green-600">
+                    <Unlock className="h-3 w-3 mr-1" />
+                    {t('catalog.unlocked')}
+                  </Badge>
+                  <Button variant="outline" onClick={() => onOpen(item)}>
+                    {item.kind === ContentKind.video ? t('catalog.watch') : t('catalog.start')}
+                    <ArrowRight className="ml-2 h-4 w-4" />
+                  </Button>
+                </div>
+              ) : (
+                <div className="flex items-center justify-between">
+                  <span className="text-xl font-bold">₮{item.price.toString()}</span>
+                  <Button onClick={() => onPurchase(item)} disabled={isPurchasing}>
+                    {isThisPurchasing ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        {t('common.loading')}
+                      </>
+                    ) : (
+                      <>
+                        <Lock className="mr-2 h-4 w-4" />
+                        {t('catalog.unlock')}
+                      </>
+                    )}
+                  </Button>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
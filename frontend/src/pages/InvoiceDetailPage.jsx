@@ -0,0 +1,219 @@
+import { useParams, Link } from 'react-router-dom';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Loader2, ArrowLeft, Receipt, CreditCard, Download } from 'lucide-react';
+import { useGetCallerInvoice, useDownloadReceipt } from '../hooks/useQueries';
+import { InvoiceState, PaymentProvider } from '../backend';
+import { formatTimestamp, getPaymentStatusLabel, isInvoiceOpen } from '../lib/utils';
+import NotFoundPage from './NotFoundPage';
+import EbarimtCard from '../components/EbarimtCard';
+import { useI18n } from '../i18n/useI18n';
+
+function DetailRow({ label, children }) {
+  return (
+    <div className="flex justify-between items-start gap-4">
+      <span className="text-sm text-muted-foreground shrink-0">{label}</span>
+      <span className="text-sm text-right break-all">{children}</span>
+    </div>
+  );
+}
+
+// /history/:invoiceId shows one of the caller's invoices with the stored QPay invoice and payment details
+export default function InvoiceDetailPage() {
+  const { t } = useI18n();
+  const { invoiceId } = useParams();
+  const { data: invoice, isLoading } = useGetCallerInvoice(invoiceId);
+  const downloadReceipt = useDownloadReceipt();
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+      </div>
+    );
+  }
+
+  if (!invoice) {
+    return <NotFoundPage />;
+  }
+
+  const isStripe = invoice.provider === PaymentProvider.stripe;
+
+  return (
+    <div className="container py-8">
+      <div className="max-w-3xl mx-auto space-y-4">
+        <Button asChild variant="ghost">
+          <Link to="/history">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            {t('invoice.backToHistory')}
+          </Link>
+        </Button>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Receipt className="h-5 w-5" />
+              {invoice.description || t('invoice.title')}
+            </CardTitle>
+            <CardDescription className="font-mono break-all">{invoice.invoiceId}</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <div className="flex justify-between items-center">
+              <span className="text-sm text-muted-foreground">{t('columns.amount')}</span>
+              <span className="text-2xl font-bold">₮{invoice.amount.toString()}</span>
+            </div>
+            <div className="flex justify-between items-center">
+              <span className="text-sm text-muted-foreground">{t('columns.status')}</span>
+              <Badge variant={invoice.state === InvoiceState.paid ? 'default' : 'secondary'}>{getPaymentStatusLabel(invoice)}</Badge>
+            </div>
+            {invoice.paidAmount > 0n && invoice.paidAmount !== invoice.amount && (
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-muted-foreground">{t('invoice.received')}</span>
+                <span className="text-sm">₮{invoice.paidAmount.toString()}</span>
+              </div>
+            )}
+            {invoice.refundedAmount > 0n && (
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-muted-foreground">{t('status.refunded')}</span>
+                <span className="text-sm">₮{invoice.refundedAmount.toString()}</span>
+              </div>
+            )}
+            <div className="flex justify-between items-center">
+              <span className="text-sm text-muted-foreground">{t('columns.created')}</span>
+              <span className="text-sm">{formatTimestamp(invoice.createdAt)}</span>
+            </div>
+            <div className="flex justify-between items-center">
+              <span className="text-sm text-muted-foreground">{t('columns.paid')}</span>
+              <span className="text-sm">{invoice.paidAt != null ? formatTimestamp(invoice.paidAt) : '-'}</span>
+            </div>
+            {invoice.isPaid ? (
+              <Button
+                onClick={() => downloadReceipt.mutate(invoice)}
+                disabled={downloadReceipt.isPending}
+                className="w-full mt-4"
+              >
+                {downloadReceipt.isPending ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Download className="mr-2 h-4 w-4" />
+                )}
+                {t('invoice.downloadReceipt')}
+              </Button>
+            ) : isInvoiceOpen(invoice) ? (
+              <Button asChild className="w-full mt-4">
+                {isStripe ? (
+                  <a href={invoice.qpayInvoice.shortUrl}>
+                    <CreditCard className="mr-2 h-4 w-4" />
+                    {t('invoice.payByCard')}
+                  </a>
+                ) : (
+                  <Link to={`/pay/${invoice.invoiceId}`}>
+                    <CreditCard className="mr-2 h-4 w-4" />
+                    {t('dashboard.pay')}
+                  </Link>
+                )}
+              </Button>
+            ) : null}
+          </CardContent>
+        </Card>
+
+        {(invoice.ebarimts.length > 0 || invoice.ebarimtError != null) && <EbarimtCard invoice={invoice} />}
+
+        {isStripe ? (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">{t('invoice.stripeTitle')}</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              <DetailRow label={t('invoice.checkoutSession')}>
+                <span className="font-mono break-all">{invoice.invoiceId}</span>
+              </DetailRow>
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">{t('invoice.qpayTitle')}</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                <DetailRow label={t('invoice.qpayInvoiceId')}>
+                  <span className="font-mono">{invoice.qpayInvoice.invoiceId}</span>
+                </DetailRow>
+                <DetailRow label={t('invoice.shortLink')}>
+                  {invoice.qpayInvoice.shortUrl ? (
+                    <a
+                      href={invoice.qpayInvoice.shortUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-primary underline-offset-4 hover:underline"
+                    >
+                      {invoice.qpayInvoice.shortUrl}
+                    </a>
+                  ) : (
+                    '-'
+                  )}
+                </DetailRow>
+                <DetailRow label={t('invoice.bankApps')}>{invoice.qpayInvoice.urls.length}</DetailRow>
+                <DetailRow label={t('invoice.qrText')}>
+                  <span className="font-mono text-xs">{invoice.qpayInvoice.qrText || '-'}</span>
+                </DetailRow>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">{t('invoice.qpayPayments')}</CardTitle>
+                {invoice.paymentCheck == null ? (
+                  <CardDescription>{t('invoice.noPaymentCheck')}</CardDescription>
+                ) : (
+                  <CardDescription>
+                    {t('invoice.paymentCheckSummary', {
+                      count: invoice.paymentCheck.count.toString(),
+                      paid: invoice.paymentCheck.paidAmount.toString(),
+                    })}
+                  </CardDescription>
+                )}
+              </CardHeader>
+              {invoice.paymentCheck != null && invoice.paymentCheck.rows.length > 0 && (
+                <CardContent>
+                  <div className="overflow-x-auto">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>{t('columns.paymentId')}</TableHead>
+                          <TableHead>{t('columns.status')}</TableHead>
+                          <TableHead>{t('columns.amount')}</TableHead>
+                          <TableHead>{t('columns.date')}</TableHead>
+                          <TableHead>{t('columns.wallet')}</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {invoice.paymentCheck.rows.map((payment) => (
+                          <TableRow key={payment.paymentId}>
+                            <TableCell className="font-mono text-xs">{payment.paymentId}</TableCell>
+                            <TableCell>
+                              <Badge variant={payment.status === 'PAID' ? 'default' : 'secondary'}>{payment.status}</Badge>
+                            </TableCell>
+                            <TableCell className="whitespace-nowrap">
+                              {payment.amount.toString()} {payment.currency}
+                            </TableCell>
+                            <TableCell className="whitespace-nowrap">{payment.date || '-'}</TableCell>
+                            <TableCell className="text-xs break-all">{payment.wallet || '-'}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                </CardContent>
+              )}
+            </Card>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
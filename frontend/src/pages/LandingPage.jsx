@@ -2,8 +2,10 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { CreditCard, Shield, Zap } from 'lucide-react';
 import { useInternetIdentity } from '../hooks/useInternetIdentity';
+import { useI18n } from '../i18n/useI18n';
 
 export default function LandingPage() {
+  const { t } = useI18n();
   const { login, loginStatus } = useInternetIdentity();
 
   const handleLogin = async () => {
@@ -20,30 +22,26 @@ export default function LandingPage() {
         <div className="inline-block p-3 rounded-full bg-primary/10 mb-4">
           <CreditCard className="h-12 w-12 text-primary" />
         </div>
-        <h1 className="text-4xl md:text-6xl font-bold tracking-tight">QPay Payment System</h1>
-        <p className="text-xl text-muted-foreground max-w-2xl mx-auto">
-          Easy, fast, and reliable payment solution
-        </p>
+        <h1 className="text-4xl md:text-6xl font-bold tracking-tight">{t('landing.title')}</h1>
+        <p className="text-xl text-muted-foreground max-w-2xl mx-auto">{t('landing.subtitle')}</p>
         <Button size="lg" onClick={handleLogin} disabled={loginStatus === 'logging-in'} className="mt-8">
-          {loginStatus === 'logging-in' ? 'Logging in...' : 'Get Started'}
+          {loginStatus === 'logging-in' ? t('header.loggingIn') : t('landing.getStarted')}
         </Button>
       </section>
 
       <section className="container py-20">
-        <h2 className="text-3xl font-bold text-center mb-12">Features</h2>
+        <h2 className="text-3xl font-bold text-center mb-12">{t('landing.features')}</h2>
         <div className="grid md:grid-cols-3 gap-8">
           <Card>
             <CardHeader>
               <div className="w-12 h-12 rounded-full bg-primary/10 flex items-center justify-center mb-4">
                 <Zap className="h-6 w-6 text-primary" />
               </div>
-              <CardTitle>Fast Payment</CardTitle>
-              <CardDescription>Complete your payment in seconds</CardDescription>
+              <CardTitle>{t('landing.fastTitle')}</CardTitle>
+              <CardDescription>{t('landing.fastDescription')}</CardDescription>
             </CardHeader>
             <CardContent>
-              <p className="text-sm text-muted-foreground">
-                Quick and seamless payment processing with QPay integration
-              </p>
+              <p className="text-sm text-muted-foreground">{t('landing.fastDetails')}</p>
             </CardContent>
           </Card>
 
@@ -52,13 +50,11 @@ export default function LandingPage() {
               <div className="w-12 h-12 rounded-full bg-primary/10 flex items-center justify-center mb-4">
                 <Shield className="h-6 w-6 text-primary" />
               </div>
-              <CardTitle>Secure</CardTitle>
-              <CardDescription>Your data is safely stored</CardDescription>
+              <CardTitle>{t('landing.secureTitle')}</CardTitle>
+              <CardDescription>{t('landing.secureDescription')}</CardDescription>
             </CardHeader>
             <CardContent>
-              <p className="text-sm text-muted-foreground">
-                Built on Internet Computer blockchain for maximum security
-              </p>
+              <p className="text-sm text-muted-foreground">{t('landing.secureDetails')}</p>
             </CardContent>
           </Card>
 
@@ -67,28 +63,26 @@ export default function LandingPage() {
               <div className="w-12 h-12 rounded-full bg-primary/10 flex items-center justify-center mb-4">
                 <CreditCard className="h-6 w-6 text-primary" />
               </div>
-              <CardTitle>Multiple Banks</CardTitle>
-              <CardDescription>Choose your preferred bank</CardDescription>
+              <CardTitle>{t('landing.banksTitle')}</CardTitle>
+              <CardDescription>{t('landing.banksDescription')}</CardDescription>
             </CardHeader>
             <CardContent>
-              <p className="text-sm text-muted-foreground">
-                Connected with all major banks in Mongolia
-              </p>
+              <p className="text-sm text-muted-foreground">{t('landing.banksDetails')}</p>
             </CardContent>
           </Card>
         </div>
       </section>
 
       <section className="container py-20">
-        <h2 className="text-3xl font-bold text-center mb-12">How It Works</h2>
+        <h2 className="text-3xl font-bold text-center mb-12">{t('landing.howItWorks')}</h2>
         <div className="max-w-3xl mx-auto space-y-8">
           <div className="flex gap-4">
             <div className="w-10 h-10 rounded-full bg-primary text-primary-foreground flex items-center justify-center shrink-0 font-bold">
               1
             </div>
             <div>
-              <h3 className="font-semibold text-lg mb-2">Login</h3>
-              <p className="text-muted-foreground">Securely login using Internet Identity</p>
+              <h3 className="font-semibold text-lg mb-2">{t('landing.step1Title')}</h3>
+              <p className="text-muted-foreground">{t('landing.step1')}</p>
             </div>
           </div>
           <div className="flex gap-4">
@@ -96,8 +90,8 @@ export default function LandingPage() {
               2
             </div>
             <div>
-              <h3 className="font-semibold text-lg mb-2">Make Payment</h3>
-              <p className="text-muted-foreground">Click the payment button and pay with QPay</p>
+              <h3 className="font-semibold text-lg mb-2">{t('landing.step2Title')}</h3>
+              <p className="text-muted-foreground">{t('landing.step2')}</p>
             </div>
           </div>
           <div className="flex gap-4">
@@ -105,8 +99,8 @@ export default function LandingPage() {
               3
             </div>
             <div>
-              <h3 className="font-semibold text-lg mb-2">Select Bank</h3>
-              <p className="text-muted-foreground">Choose your bank and confirm the payment</p>
+              <h3 className="font-semibold text-lg mb-2">{t('landing.step3Title')}</h3>
+              <p className="text-muted-foreground">{t('landing.step3')}</p>
             </div>
           </div>
         </div>
@@ -0,0 +1,21 @@
+import { Link } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { FileQuestion } from 'lucide-react';
+import { useI18n } from '../i18n/useI18n';
+
+export default function NotFoundPage() {
+  const { t } = useI18n();
+
+  return (
+    <div className="container py-20">
+      <div className="text-center space-y-4">
+        <FileQuestion className="h-12 w-12 text-muted-foreground mx-auto" />
+        <h2 className="text-2xl font-bold">{t('notFound.title')}</h2>
+        <p className="text-muted-foreground">{t('notFound.description')}</p>
+        <Button asChild>
+          <Link to="/">{t('notFound.home')}</Link>
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { Link } from 'react-router-dom';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Receipt, Wallet, ChevronRight, Download } from 'lucide-react';
+import { useGetCallerInvoices, useGetUserPayments, useDownloadReceipt } from '../hooks/useQueries';
+import { InvoiceState } from '../backend';
+import { formatTimestamp, getPaymentStatusLabel, getPaymentRecordStatusLabel, getEbarimtLabel } from '../lib/utils';
+import { useI18n } from '../i18n/useI18n';
+
+// Invoices and payment records of the caller, shown in the History tab (/history)
+export default function PaymentHistory() {
+  const { t } = useI18n();
+  const { data: invoices, isLoading: invoicesLoading, error: invoicesError } = useGetCallerInvoices();
+  const { data: payments, isLoading: paymentsLoading } = useGetUserPayments();
+  const downloadReceipt = useDownloadReceipt();
+
+  const sortedPayments = [...(payments || [])].sort((a, b) => Number(b.timestamp - a.timestamp));
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Receipt className="h-5 w-5" />
+            {t('history.invoicesTitle')}
+          </CardTitle>
+          <CardDescription>
+            {t('history.invoicesDescription')}
+            {invoices && invoices.length > 0 && (
+              <span className="ml-2 text-sm font-medium">({t('history.total', { count: invoices.length })})</span>
+            )}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {invoicesLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : invoicesError ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('history.loadFailed')}</AlertDescription>
+            </Alert>
+          ) : invoices && invoices.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t('columns.description')}</TableHead>
+                    <TableHead>{t('columns.amount')}</TableHead>
+                    <TableHead>{t('columns.status')}</TableHead>
+                    <TableHead>{t('columns.created')}</TableHead>
+                    <TableHead>{t('columns.paid')}</TableHead>
+                    <TableHead>{t('columns.ebarimt')}</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {invoices.map((invoice) => (
+                    <TableRow key={invoice.invoiceId}>
+                      <TableCell className="font-medium">{invoice.description || '-'}</TableCell>
+                      <TableCell>₮{invoice.amount.toString()}</TableCell>
+                      <TableCell>
+                        <Badge variant={invoice.state === InvoiceState.paid ? 'default' : 'secondary'}>{getPaymentStatusLabel(invoice)}</Badge>
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">{formatTimestamp(invoice.createdAt)}</TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {invoice.paidAt != null ? formatTimestamp(invoice.paidAt) : '-'}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">{getEbarimtLabel(invoice)}</TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        {invoice.isPaid && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            title={t('history.downloadReceipt')}
+                            onClick={() => downloadReceipt.mutate(invoice)}
+                            disabled={downloadReceipt.isPending}
+                          >
+                            <Download className="h-4 w-4" />
+                          </Button>
+                        )}
+                        <Button asChild variant="ghost" size="icon">
+                          <Link to={`/history/${invoice.invoiceId}`}>
+                            <ChevronRight className="h-4 w-4" />
+                          </Link>
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Receipt className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">{t('history.noInvoices')}</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Wallet className="h-5 w-5" />
+            {t('history.paymentsTitle')}
+          </CardTitle>
+          <CardDescription>{t('history.paymentsDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {paymentsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : sortedPayments.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t('columns.amount')}</TableHead>
+                    <TableHead>{t('columns.status')}</TableHead>
+                    <TableHead>{t('columns.time')}</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {sortedPayments.map((payment, index) => (
+                    <TableRow key={index}>
+                      <TableCell>₮{payment.amount.toString()}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline">{getPaymentRecordStatusLabel(payment)}</Badge>
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">{formatTimestamp(payment.timestamp)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Wallet className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">{t('history.noPayments')}</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,429 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useParams, useLocation, useNavigate, Link } from 'react-router-dom';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { toast } from 'sonner';
+import { Loader2, QrCode, ArrowLeft, AlertCircle, CheckCircle2, Clock, RotateCcw } from 'lucide-react';
+import { InvoicePaymentStatus, InvoiceState } from '../backend';
+import { isInvoiceOpen } from '../lib/utils';
+import {
+  useGetCallerInvoice,
+  useCheckPaymentStatus,
+  useCancelInvoice,
+  useMakeQPayPayment,
+  useGetActivePlans,
+  useGetContentCatalog,
+} from '../hooks/useQueries';
+import { useI18n } from '../i18n/useI18n';
+import { translateError } from '../i18n/errors';
+
+const getQRImageUrl = (qrImage) => {
+  if (qrImage.startsWith('data:')) {
+    return qrImage;
+  }
+  return `data:image/png;base64,${qrImage}`;
+};
+
+// Invoice view for /pay/:invoiceId
+// Coming from the Pay button the invoice is handed over in the route state;
+// opened from a link or after a reload the invoice is loaded from the backend instead
+export default function PaymentPage() {
+  const { t } = useI18n();
+  const { invoiceId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const handoff = location.state?.invoiceId === invoiceId ? location.state : null;
+
+  const { data: storedInvoice, isLoading: invoiceLoading } = useGetCallerInvoice(handoff ? null : invoiceId);
+  const { data: plans } = useGetActivePlans();
+  const { data: catalog } = useGetContentCatalog();
+  const checkPaymentStatus = useCheckPaymentStatus();
+  const cancelInvoice = useCancelInvoice();
+  const makePayment = useMakeQPayPayment();
+
+  const [showQRModal, setShowQRModal] = useState(false);
+  const [paymentStatus, setPaymentStatus] = useState('pending');
+  const [checkError, setCheckError] = useState(null);
+  const [partialPayment, setPartialPayment] = useState(null);
+
+  const pollingIntervalRef = useRef(null);
+  const hasCheckedOnLoadRef = useRef(false);
+
+  const qpayInvoice = handoff?.qpayInvoice ?? storedInvoice?.qpayInvoice ?? null;
+  const isClosed = !handoff && storedInvoice != null && !storedInvoice.isPaid && !isInvoiceOpen(storedInvoice);
+  const isStartingOver = cancelInvoice.isPending || makePayment.isPending;
+
+  const paymentAmount = handoff?.amount ?? (storedInvoice ? Number(storedInvoice.amount) : 0);
+  const paymentDescription = useMemo(() => {
+    if (handoff?.description) return handoff.description;
+    if (!storedInvoice) return '';
+    if (storedInvoice.planId != null) {
+      return plans?.find((plan) => plan.id === storedInvoice.planId)?.description ?? '';
+    }
+    if (storedInvoice.contentId != null) {
+      return catalog?.find(({ item }) => item.id === storedInvoice.contentId)?.item.title ?? '';
+    }
+    return '';
+  }, [handoff, storedInvoice, plans, catalog]);
+
+  const stopPolling = () => {
+    if (pollingIntervalRef.current) {
+      clearInterval(pollingIntervalRef.current);
+      pollingIntervalRef.current = null;
+    }
+  };
+
+  const handleVerification = ({ status, isPaid, paidAmount, amount }) => {
+    setPartialPayment(status === InvoicePaymentStatus.partiallyPaid ? { paidAmount, amount } : null);
+    if (isPaid) {
+      setPaymentStatus('paid');
+    }
+  };
+
+  // Cancels this invoice and creates a new one for the same plan or content item
+  const handleStartOver = async () => {
+    if (!window.confirm(t('payment.confirmStartOver'))) return;
+    stopPolling();
+    const planId = handoff ? handoff.planId ?? null : storedInvoice?.planId ?? null;
+    const contentId = handoff ? handoff.contentId ?? null : storedInvoice?.contentId ?? null;
+    try {
+      const state = await cancelInvoice.mutateAsync({ invoiceId });
+      if (state === InvoiceState.paid) {
+        setPaymentStatus('paid');
+        return;
+      }
+      if (state !== InvoiceState.cancelled) {
+        toast.error(t('payment.cannotCancel'));
+        setPaymentStatus('pending');
+        return;
+      }
+      const response = await makePayment.mutateAsync({ planId, contentId });
+      setPartialPayment(null);
+      setCheckError(null);
+      setPaymentStatus('pending');
+      navigate(`/pay/${response.invoiceId}`, {
+        replace: true,
+        state: {
+          invoiceId: response.invoiceId,
+          qpayInvoice: response.qpayInvoice,
+          amount: Number(response.amount),
+          description: paymentDescription,
+          planId,
+          contentId,
+        },
+      });
+    } catch (error) {
+      console.error('[Start Over] Error:', error);
+      setPaymentStatus('pending');
+    }
+  };
+
+  const handleBack = () => {
+    stopPolling();
+    navigate('/pay');
+  };
+
+  useEffect(() => {
+    if (storedInvoice?.isPaid) {
+      setPaymentStatus('paid');
+    }
+  }, [storedInvoice]);
+
+  // Reopened invoices may have been paid in the meantime; check the status once on load
+  useEffect(() => {
+    if (!storedInvoice || storedInvoice.isPaid || isClosed || hasCheckedOnLoadRef.current) return;
+    hasCheckedOnLoadRef.current = true;
+    console.log('[Auto Check] Checking payment status on load for existing invoice');
+    checkPaymentStatus.mutate(
+      { invoiceId },
+      { onSuccess: handleVerification }
+    );
+  }, [storedInvoice, isClosed, invoiceId, checkPaymentStatus]);
+
+  useEffect(() => {
+    if (paymentStatus === 'paid') {
+      console.log('[Redirect] Payment confirmed, preparing to redirect to the invoice receipt...');
+      stopPolling();
+
+      const redirectTimer = setTimeout(() => {
+        console.log('[Redirect] Redirecting to the invoice receipt...');
+        navigate(`/history/${invoiceId}`, { replace: true });
+      }, 2000);
+
+      return () => {
+        clearTimeout(redirectTimer);
+      };
+    }
+  }, [paymentStatus, navigate, invoiceId]);
+
+  useEffect(() => {
+    if (qpayInvoice && !isClosed && !isStartingOver && paymentStatus !== 'paid') {
+      console.log('[Polling] Starting 5-second payment status polling for invoice:', invoiceId);
+
+      stopPolling();
+
+      pollingIntervalRef.current = setInterval(() => {
+        console.log('[Polling] Checking payment status...');
+        setPaymentStatus('checking');
+
+        checkPaymentStatus.mutate(
+          { invoiceId },
+          {
+            onSuccess: (verification) => {
+              setCheckError(null);
+              if (verification.isPaid) {
+                console.log('[Polling] Payment confirmed! Stopping polling.');
+              } else {
+                setPaymentStatus('pending');
+              }
+              handleVerification(verification);
+            },
+            onError: (error) => {
+              setCheckError(error);
+              setPaymentStatus('pending');
+            },
+          }
+        );
+      }, 5000);
+
+      return () => {
+        console.log('[Polling] Stopping payment status polling');
+        stopPolling();
+      };
+    }
+  }, [qpayInvoice, isClosed, isStartingOver, paymentStatus, invoiceId, checkPaymentStatus]);
+
+  if (paymentStatus === 'paid') {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="container max-w-md">
+          <Alert className="border-green-500 bg-green-50 dark:bg-green-950">
+            <CheckCircle2 className="h-6 w-6 text-green-600" />
+            <AlertDescription className="text-green-800 dark:text-green-200 text-lg">
+              {t('payment.successRedirect')}
+            </AlertDescription>
+          </Alert>
+        </div>
+      </div>
+    );
+  }
+
+  if (!handoff && invoiceLoading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+      </div>
+    );
+  }
+
+  if (isClosed) {
+    return (
+      <div className="container max-w-md py-16 space-y-4">
+        <Alert>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {storedInvoice.state === InvoiceState.expired
+              ? t('payment.expired')
+              : t('payment.cancelled')}
+          </AlertDescription>
+        </Alert>
+        <Button asChild variant="outline" className="w-full">
+          <Link to="/pay">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            {t('common.back')}
+          </Link>
+        </Button>
+      </div>
+    );
+  }
+
+  if (!qpayInvoice) {
+    return (
+      <div className="container max-w-md py-16 space-y-4">
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{t('errors.invoiceNotFound')}</AlertDescription>
+        </Alert>
+        <Button asChild variant="outline" className="w-full">
+          <Link to="/pay">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            {t('common.back')}
+          </Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="border-b bg-card">
+        <div className="container flex items-center justify-between py-4">
+          <Button variant="ghost" size="icon" onClick={handleBack}>
+            <ArrowLeft className="h-5 w-5" />
+          </Button>
+          <h1 className="text-xl font-semibold">{t('dashboard.makePayment')}</h1>
+          <Button variant="ghost" size="icon" onClick={() => setShowQRModal(true)}>
+            <QrCode className="h-5 w-5" />
+          </Button>
+        </div>
+      </div>
+
+      {paymentStatus === 'checking' && (
+        <div className="container pt-4">
+          <Alert className="border-blue-500 bg-blue-50 dark:bg-blue-950">
+            <Loader2 className="h-4 w-4 text-blue-600 animate-spin" />
+            <AlertDescription className="text-blue-800 dark:text-blue-200">
+              {t('payment.checking')}
+            </AlertDescription>
+          </Alert>
+        </div>
+      )}
+
+      {checkError && (
+        <div className="container pt-4">
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{t('payment.checkFailed', { error: translateError(checkError) })}</AlertDescription>
+          </Alert>
+        </div>
+      )}
+
+      {partialPayment && (
+        <div className="container pt-4">
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>
+              {t('payment.partial', {
+                paid: partialPayment.paidAmount.toString(),
+                amount: partialPayment.amount.toString(),
+                remaining: (partialPayment.amount - partialPayment.paidAmount).toString(),
+              })}
+            </AlertDescription>
+          </Alert>
+        </div>
+      )}
+
+      {paymentStatus === 'pending' && (
+        <div className="container pt-4">
+          <Alert className="border-yellow-500 bg-yellow-50 dark:bg-yellow-950">
+            <Clock className="h-4 w-4 text-yellow-600" />
+            <AlertDescription className="text-yellow-800 dark:text-yellow-200">
+              {t('payment.pending')}
+            </AlertDescription>
+          </Alert>
+        </div>
+      )}
+
+      <div className="container py-4">
+        <Card className="mb-4">
+          <CardContent className="pt-6">
+            <div className="space-y-2">
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-muted-foreground">{t('payment.description')}</span>
+                <span className="text-sm">{paymentDescription}</span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-muted-foreground">{t('payment.amount')}</span>
+                <span className="text-2xl font-bold">₮{paymentAmount}</span>
+              </div>
+              <div className="flex justify-between items-center pt-2">
+                <span className="text-sm text-muted-foreground">{t('payment.status')}</span>
+                <Badge variant={paymentStatus === 'checking' ? 'default' : 'secondary'}>
+                  {paymentStatus === 'checking' ? t('payment.statusChecking') : t('status.pending')}
+                </Badge>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        <div className="space-y-2">
+          {qpayInvoice.urls.length > 0 ? (
+            qpayInvoice.urls.map((bank, index) => (
+              <a
+                key={index}
+                href={bank.link}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block"
+              >
+                <Card className="hover:bg-accent transition-colors cursor-pointer">
+                  <CardContent className="p-4">
+                    <div className="flex items-center gap-4">
+                      <div className="w-12 h-12 shrink-0 bg-white rounded-lg flex items-center justify-center overflow-hidden">
+                        <img
+                          src={bank.logo}
+                          alt={bank.name}
+                          className="w-10 h-10 object-contain"
+                        />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <h3 className="font-semibold text-base">{bank.name}</h3>
+                        {bank.description && (
+                          <p className="text-sm text-muted-foreground truncate">
+                            {bank.description}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              </a>
+            ))
+          ) : (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{t('payment.noChannels')}</AlertDescription>
+            </Alert>
+          )}
+        </div>
+
+        {!partialPayment && (
+          <Button
+            variant="outline"
+            className="w-full mt-4"
+            onClick={handleStartOver}
+            disabled={isStartingOver || paymentStatus === 'paid'}
+          >
+            {isStartingOver ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <RotateCcw className="mr-2 h-4 w-4" />
+            )}
+            {t('payment.startOver')}
+          </Button>
+        )}
+      </div>
+
+      {qpayInvoice.qrImage && (
+        <Dialog open={showQRModal} onOpenChange={setShowQRModal}>
+          <DialogContent className="sm:max-w-md">
+            <DialogHeader>
+              <DialogTitle className="text-center">{t('payment.qrCode')}</DialogTitle>
+            </DialogHeader>
+            <div className="flex justify-center p-4">
+              <img
+                src={getQRImageUrl(qpayInvoice.qrImage)}
+                alt={t('payment.qrAlt')}
+                className="w-full max-w-sm"
+              />
+            </div>
+            {qpayInvoice.shortUrl && (
+              <a
+                href={qpayInvoice.shortUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block text-center text-sm text-primary underline-offset-4 hover:underline"
+              >
+                {qpayInvoice.shortUrl}
+              </a>
+            )}
+          </DialogContent>
+        </Dialog>
+      )}
+    </div>
+  );
+}
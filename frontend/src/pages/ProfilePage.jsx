@@ -0,0 +1,59 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2, User, Camera } from 'lucide-react';
+import { useGetCallerUserProfile, useSaveCallerUserProfile } from '../hooks/useQueries';
+import ProfileForm from '../components/ProfileForm';
+import AvatarEditor from '../components/AvatarEditor';
+import { useI18n } from '../i18n/useI18n';
+
+// /profile lets users and admins edit the details entered at first login and set a profile photo
+export default function ProfilePage() {
+  const { t } = useI18n();
+  const { data: profile, isLoading } = useGetCallerUserProfile(true);
+  const saveProfile = useSaveCallerUserProfile();
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container py-8">
+      <div className="max-w-xl mx-auto space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Camera className="h-5 w-5" />
+              {t('profile.photoTitle')}
+            </CardTitle>
+            <CardDescription>{t('profile.photoDescription')}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <AvatarEditor />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <User className="h-5 w-5" />
+              {t('profile.contactTitle')}
+            </CardTitle>
+            <CardDescription>{t('profile.contactDescription')}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ProfileForm
+              profile={profile}
+              isSaving={saveProfile.isPending}
+              submitLabel={t('profile.saveChanges')}
+              onSubmit={(form) => saveProfile.mutate(form)}
+            />
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
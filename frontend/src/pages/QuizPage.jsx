@@ -0,0 +1,294 @@
+import { useState, useEffect, useRef } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { ArrowLeft, Loader2, Timer, Send, CheckCircle2, AlertCircle, ListChecks, Video } from 'lucide-react';
+import { useStartQuizAttempt, useSubmitQuizAttempt, useGetCallerQuizAttempts, useIsQuizProctored } from '../hooks/useQueries';
+import ProctoringMonitor from '../components/ProctoringMonitor';
+import { formatTimestamp } from '../lib/utils';
+import { QuestionKind } from '../backend';
+import { useI18n } from '../i18n/useI18n';
+
+const formatCountdown = (totalSeconds) => {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const emptyAnswer = { selectedOptions: [], text: '' };
+
+const getSecondsLeft = (deadlineNs) => Math.max(0, Math.ceil((Number(deadlineNs) / 1_000_000 - Date.now()) / 1000));
+
+export default function QuizPage({ item, onExit }) {
+  const { t } = useI18n();
+  const startAttempt = useStartQuizAttempt();
+  const submitAttempt = useSubmitQuizAttempt();
+  const { data: pastAttempts, isLoading: attemptsLoading } = useGetCallerQuizAttempts(item.id);
+  const { data: isProctored } = useIsQuizProctored(item.id);
+
+  const [session, setSession] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  const hasSubmittedRef = useRef(false);
+  const answersRef = useRef(answers);
+  answersRef.current = answers;
+
+  const getAnswer = (index) => answers[index] || emptyAnswer;
+
+  const setAnswer = (index, changes) => {
+    setAnswers((prev) => ({ ...prev, [index]: { ...(prev[index] || emptyAnswer), ...changes } }));
+  };
+
+  const toggleOption = (index, option) => {
+    const selected = getAnswer(index).selectedOptions;
+    setAnswer(index, {
+      selectedOptions: selected.includes(option) ? selected.filter((o) => o !== option) : [...selected, option],
+    });
+  };
+
+  const handleStart = () => {
+    hasSubmittedRef.current = false;
+    setAnswers({});
+    setResult(null);
+    startAttempt.mutate(item.id, {
+      onSuccess: (newSession) => {
+        console.log('[QuizPage] Attempt started:', newSession.attemptId.toString());
+        setSession(newSession);
+        setSecondsLeft(newSession.deadline != null ? getSecondsLeft(newSession.deadline) : null);
+      },
+    });
+  };
+
+  const handleSubmit = () => {
+    if (!session || hasSubmittedRef.current) return;
+    hasSubmittedRef.current = true;
+    const payload = session.questions.map((question) => {
+      const answer = answersRef.current[Number(question.index)] || emptyAnswer;
+      return {
+        questionIndex: question.index,
+        selectedOptions: answer.selectedOptions.map((option) => BigInt(option)),
+        text: answer.text,
+      };
+    });
+    submitAttempt.mutate(
+      { attemptId: session.attemptId, answers: payload },
+      {
+        onSuccess: (attempt) => {
+          setResult(attempt);
+          setSession(null);
+        },
+        onError: () => {
+          hasSubmittedRef.current = false;
+        },
+      }
+    );
+  };
+
+  // Countdown for timed quizzes; answers are submitted automatically when time runs out
+  useEffect(() => {
+    if (!session || session.deadline == null) return;
+    const interval = setInterval(() => {
+      const left = getSecondsLeft(session.deadline);
+      setSecondsLeft(left);
+      if (left === 0) {
+        console.log('[QuizPage] Time is up, submitting answers');
+        clearInterval(interval);
+        handleSubmit();
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [session]);
+
+  if (result) {
+    return (
+      <div className="max-w-2xl mx-auto space-y-4">
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <CheckCircle2 className="h-5 w-5 text-green-600" />
+              {item.title}
+            </CardTitle>
+            <CardDescription>
+              {result.submittedAt != null && t('quiz.submitted', { date: formatTimestamp(result.submittedAt) })}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="p-4 bg-muted rounded-lg text-center">
+              <p className="text-sm text-muted-foreground">{t('quiz.yourScore')}</p>
+              <p className="text-4xl font-bold">
+                {result.score.toString()} / {result.maxScore.toString()}
+              </p>
+            </div>
+            {result.submittedLate && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{t('quiz.late')}</AlertDescription>
+              </Alert>
+            )}
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={onExit} className="flex-1">
+                <ArrowLeft className="mr-2 h-4 w-4" />
+                {t('catalog.backToCatalog')}
+              </Button>
+              <Button onClick={handleStart} disabled={startAttempt.isPending} className="flex-1">
+                {t('common.retry')}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (session) {
+    return (
+      <div className="max-w-2xl mx-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold">{session.title}</h2>
+          {secondsLeft !== null && (
+            <Badge variant={secondsLeft <= 60 ? 'destructive' : 'secondary'} className="text-base">
+              <Timer className="h-4 w-4 mr-1" />
+              {formatCountdown(secondsLeft)}
+            </Badge>
+          )}
+        </div>
+
+        {session.proctored && <ProctoringMonitor attemptId={session.attemptId} />}
+
+        {session.questions.map((question) => {
+          const index = Number(question.index);
+          const answer = getAnswer(index);
+          return (
+            <Card key={index}>
+              <CardHeader>
+                <div className="flex items-start justify-between gap-2">
+                  <CardTitle className="text-base">
+                    {index + 1}. {question.prompt}
+                  </CardTitle>
+                  <Badge variant="outline">
+                    {t('quiz.points', { count: question.points.toString() })}
+                  </Badge>
+                </div>
+                <CardDescription>{t(`questionKinds.${question.kind}`)}</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {question.kind === QuestionKind.shortAnswer ? (
+                  <Input
+                    value={answer.text}
+                    onChange={(e) => setAnswer(index, { text: e.target.value })}
+                    placeholder={t('quiz.answerPlaceholder')}
+                  />
+                ) : question.kind === QuestionKind.singleChoice ? (
+                  <RadioGroup
+                    value={answer.selectedOptions.length > 0 ? answer.selectedOptions[0].toString() : ''}
+                    onValueChange={(value) => setAnswer(index, { selectedOptions: [Number(value)] })}
+                  >
+                    {question.options.map((option, optionIndex) => (
+                      <div key={optionIndex} className="flex items-center gap-2">
+                        <RadioGroupItem value={optionIndex.toString()} id={`q${index}_o${optionIndex}`} />
+                        <Label htmlFor={`q${index}_o${optionIndex}`}>{option}</Label>
+                      </div>
+                    ))}
+                  </RadioGroup>
+                ) : (
+                  <div className="space-y-2">
+                    {question.options.map((option, optionIndex) => (
+                      <div key={optionIndex} className="flex items-center gap-2">
+                        <Checkbox
+                          id={`q${index}_o${optionIndex}`}
+                          checked={answer.selectedOptions.includes(optionIndex)}
+                          onCheckedChange={() => toggleOption(index, optionIndex)}
+                        />
+                        <Label htmlFor={`q${index}_o${optionIndex}`}>{option}</Label>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+
+        <Button onClick={handleSubmit} disabled={submitAttempt.isPending} className="w-full" size="lg">
+          {submitAttempt.isPending ? (
+            <>
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              {t('quiz.submitting')}
+            </>
+          ) : (
+            <>
+              <Send className="mr-2 h-4 w-4" />
+              {t('quiz.submit')}
+            </>
+          )}
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-4">
+      <Button variant="ghost" onClick={onExit}>
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        {t('catalog.backToCatalog')}
+      </Button>
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <ListChecks className="h-5 w-5" />
+            {item.title}
+          </CardTitle>
+          {item.description && <CardDescription>{item.description}</CardDescription>}
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {isProctored && (
+            <Alert>
+              <Video className="h-4 w-4" />
+              <AlertDescription>{t('quiz.proctoredNotice')}</AlertDescription>
+            </Alert>
+          )}
+          <Button onClick={handleStart} disabled={startAttempt.isPending} className="w-full" size="lg">
+            {startAttempt.isPending ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                {t('common.loading')}
+              </>
+            ) : (
+              t('catalog.start')
+            )}
+          </Button>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium">{t('quiz.previousAttempts')}</p>
+            {attemptsLoading ? (
+              <div className="flex items-center py-2">
+                <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+                <span className="ml-2 text-sm text-muted-foreground">{t('common.loading')}</span>
+              </div>
+            ) : pastAttempts && pastAttempts.some((attempt) => attempt.submittedAt != null) ? (
+              pastAttempts
+                .filter((attempt) => attempt.submittedAt != null)
+                .map((attempt) => (
+                  <div key={attempt.id.toString()} className="flex justify-between items-center text-sm">
+                    <span className="text-muted-foreground">{formatTimestamp(attempt.submittedAt)}</span>
+                    <span className="font-medium">
+                      {attempt.score.toString()} / {attempt.maxScore.toString()}
+                    </span>
+                  </div>
+                ))
+            ) : (
+              <p className="text-sm text-muted-foreground">{t('quiz.noAttempts')}</p>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
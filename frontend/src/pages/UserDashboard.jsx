@@ -1,352 +1,247 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Badge } from '@/components/ui/badge';
-import { CreditCard, Loader2, QrCode, ArrowLeft, AlertCircle, CheckCircle2, Clock } from 'lucide-react';
-import { useMakeQPayPayment, useGetInvoiceConfigForUser, useCheckPaymentStatus, useGetUserInvoice } from '../hooks/useQueries';
-
-export default function UserDashboard() {
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { CreditCard, Loader2, AlertCircle, Clock, Library, CalendarClock, RefreshCw, History, QrCode } from 'lucide-react';
+import { useMakeQPayPayment, useGetActivePlans, useIsStripeConfigured, useCreateStripeCheckout } from '../hooks/useQueries';
+import AccessPassCard from '../components/AccessPassCard';
+import ContentCatalog from './ContentCatalog';
+import PaymentHistory from './PaymentHistory';
+import { formatTimestamp, getRemainingDays } from '../lib/utils';
+import { useI18n } from '../i18n/useI18n';
+import { translateError } from '../i18n/errors';
+
+const RENEWAL_WINDOW_DAYS = 30;
+
+// Plan payment (/pay), content catalog (/catalog) and payment history (/history) tabs
+// Starting a QPay payment navigates to /pay/:invoiceId, handing the invoice over in the route state;
+// a card payment leaves for the Stripe payment page, which returns to /checkout/return
+export default function UserDashboard({ tab = 'payment', activeEntitlement = null }) {
+  const { t } = useI18n();
+  const navigate = useNavigate();
   const makePayment = useMakeQPayPayment();
-  const { data: invoiceConfig, isLoading: configLoading } = useGetInvoiceConfigForUser();
-  const { data: existingInvoice } = useGetUserInvoice();
-  const checkPaymentStatus = useCheckPaymentStatus();
-  
-  const [invoiceData, setInvoiceData] = useState(null);
-  const [paymentToken, setPaymentToken] = useState(null);
-  const [showQRModal, setShowQRModal] = useState(false);
-  const [paymentError, setPaymentError] = useState(null);
-  const [paymentStatus, setPaymentStatus] = useState('pending');
-  const [hasCheckedOnLoad, setHasCheckedOnLoad] = useState(false);
-  
-  const pollingIntervalRef = useRef(null);
-
-  const cleanupAndRedirect = () => {
-    console.log('[Cleanup] Stopping polling and resetting to homepage');
-    
-    if (pollingIntervalRef.current) {
-      clearInterval(pollingIntervalRef.current);
-      pollingIntervalRef.current = null;
-    }
-
-    setInvoiceData(null);
-    setPaymentToken(null);
-    setPaymentError(null);
-    setPaymentStatus('pending');
-    setHasCheckedOnLoad(false);
-    setShowQRModal(false);
-  };
-
-  useEffect(() => {
-    if (!hasCheckedOnLoad && existingInvoice && !existingInvoice.isPaid && paymentToken) {
-      console.log('[Auto Check] Checking payment status on load for existing invoice');
-      setHasCheckedOnLoad(true);
-      checkPaymentStatus.mutate(
-        { token: paymentToken, invoiceId: existingInvoice.invoiceId },
-        {
-          onSuccess: (isPaid) => {
-            if (isPaid) {
-              setPaymentStatus('paid');
-            }
-          }
-        }
-      );
-    }
-  }, [existingInvoice, paymentToken, hasCheckedOnLoad, checkPaymentStatus]);
-
-  useEffect(() => {
-    if (paymentStatus === 'paid') {
-      console.log('[Redirect] Payment confirmed, preparing to redirect to homepage...');
-      
-      if (pollingIntervalRef.current) {
-        console.log('[Redirect] Clearing polling interval immediately');
-        clearInterval(pollingIntervalRef.current);
-        pollingIntervalRef.current = null;
-      }
-
-      const redirectTimer = setTimeout(() => {
-        console.log('[Redirect] Redirecting to homepage...');
-        cleanupAndRedirect();
-      }, 2000);
+  const createStripeCheckout = useCreateStripeCheckout();
+  const { data: plans, isLoading: plansLoading } = useGetActivePlans();
+  const { data: stripeConfigured } = useIsStripeConfigured();
 
-      return () => {
-        clearTimeout(redirectTimer);
-      };
-    }
-  }, [paymentStatus]);
-
-  useEffect(() => {
-    if (invoiceData && paymentToken && paymentStatus !== 'paid') {
-      console.log('[Polling] Starting 5-second payment status polling for invoice:', invoiceData.invoice_id);
-      
-      if (pollingIntervalRef.current) {
-        clearInterval(pollingIntervalRef.current);
-      }
-
-      pollingIntervalRef.current = setInterval(() => {
-        console.log('[Polling] Checking payment status...');
-        setPaymentStatus('checking');
-        
-        checkPaymentStatus.mutate(
-          { token: paymentToken, invoiceId: invoiceData.invoice_id },
-          {
-            onSuccess: (isPaid) => {
-              if (isPaid) {
-                console.log('[Polling] Payment confirmed! Stopping polling.');
-                setPaymentStatus('paid');
-              } else {
-                setPaymentStatus('pending');
-              }
-            },
-            onError: () => {
-              setPaymentStatus('pending');
-            }
-          }
-        );
-      }, 5000);
-
-      return () => {
-        if (pollingIntervalRef.current) {
-          console.log('[Polling] Stopping payment status polling');
-          clearInterval(pollingIntervalRef.current);
-          pollingIntervalRef.current = null;
-        }
-      };
-    }
-  }, [invoiceData, paymentToken, paymentStatus, checkPaymentStatus]);
+  const [paymentError, setPaymentError] = useState(null);
+  const [purchasingContentId, setPurchasingContentId] = useState(null);
+  const [selectedPlanId, setSelectedPlanId] = useState(null);
+  const [provider, setProvider] = useState('qpay');
 
-  useEffect(() => {
-    return () => {
-      if (pollingIntervalRef.current) {
-        console.log('[Cleanup] Stopping payment status polling on unmount');
-        clearInterval(pollingIntervalRef.current);
-        pollingIntervalRef.current = null;
-      }
-    };
-  }, []);
+  const payWithCard = stripeConfigured && provider === 'stripe';
+  const isPaying = makePayment.isPending || createStripeCheckout.isPending;
 
-  const handlePay = async () => {
+  const startPayment = async ({ planId = null, contentId = null, description }) => {
     setPaymentError(null);
-    setPaymentStatus('pending');
+    setPurchasingContentId(contentId);
     try {
-      const response = await makePayment.mutateAsync();
-      const parsedResponse = JSON.parse(response.invoiceData);
-      setInvoiceData(parsedResponse);
-      setPaymentToken(response.token);
+      if (payWithCard) {
+        const checkout = await createStripeCheckout.mutateAsync({ planId, contentId });
+        window.location.assign(checkout.url);
+        return;
+      }
+      const response = await makePayment.mutateAsync({ planId, contentId });
+      navigate(`/pay/${response.invoiceId}`, {
+        state: {
+          invoiceId: response.invoiceId,
+          qpayInvoice: response.qpayInvoice,
+          amount: Number(response.amount),
+          description,
+          planId,
+          contentId,
+        },
+      });
     } catch (error) {
       console.error('Payment error:', error);
-      const errorMessage = error instanceof Error ? error.message : 'Payment failed';
-      setPaymentError(errorMessage);
+      setPaymentError(error);
+    } finally {
+      setPurchasingContentId(null);
     }
   };
 
-  const handleBack = () => {
-    cleanupAndRedirect();
+  const handlePayPlan = (plan) => {
+    startPayment({ planId: plan.id, description: plan.description });
   };
 
-  const getQRImageUrl = (qrImage) => {
-    if (qrImage.startsWith('data:')) {
-      return qrImage;
-    }
-    return `data:image/png;base64,${qrImage}`;
+  const handlePayContent = (contentItem) => {
+    startPayment({ contentId: contentItem.id, description: contentItem.title });
   };
 
-  const displayAmount = invoiceConfig ? Number(invoiceConfig.amount) : 10;
-  const displayDescription = invoiceConfig?.invoice_description || 'Railway subscription 12 months';
+  const tabPaths = { payment: '/pay', catalog: '/catalog', history: '/history' };
 
-  if (invoiceData && paymentStatus !== 'paid') {
-    return (
-      <div className="min-h-screen bg-background">
-        <div className="border-b bg-card">
-          <div className="container flex items-center justify-between py-4">
-            <Button variant="ghost" size="icon" onClick={handleBack}>
-              <ArrowLeft className="h-5 w-5" />
-            </Button>
-            <h1 className="text-xl font-semibold">Make Payment</h1>
-            <Button variant="ghost" size="icon" onClick={() => setShowQRModal(true)}>
-              <QrCode className="h-5 w-5" />
-            </Button>
-          </div>
-        </div>
-
-        {paymentStatus === 'checking' && (
-          <div className="container pt-4">
-            <Alert className="border-blue-500 bg-blue-50 dark:bg-blue-950">
-              <Loader2 className="h-4 w-4 text-blue-600 animate-spin" />
-              <AlertDescription className="text-blue-800 dark:text-blue-200">
-                Checking payment status...
-              </AlertDescription>
-            </Alert>
-          </div>
-        )}
-
-        {paymentStatus === 'pending' && (
-          <div className="container pt-4">
-            <Alert className="border-yellow-500 bg-yellow-50 dark:bg-yellow-950">
-              <Clock className="h-4 w-4 text-yellow-600" />
-              <AlertDescription className="text-yellow-800 dark:text-yellow-200">
-                Payment pending. Status will be checked automatically after payment.
-              </AlertDescription>
-            </Alert>
-          </div>
-        )}
-
-        <div className="container py-4">
-          <Card className="mb-4">
-            <CardContent className="pt-6">
-              <div className="space-y-2">
-                <div className="flex justify-between items-center">
-                  <span className="text-sm text-muted-foreground">Description:</span>
-                  <span className="text-sm">{displayDescription}</span>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm text-muted-foreground">Payment Amount</span>
-                  <span className="text-2xl font-bold">₮{displayAmount}</span>
-                </div>
-                <div className="flex justify-between items-center pt-2">
-                  <span className="text-sm text-muted-foreground">Status:</span>
-                  <Badge variant={paymentStatus === 'checking' ? 'default' : 'secondary'}>
-                    {paymentStatus === 'checking' ? 'Checking' : 'Pending'}
-                  </Badge>
-                </div>
-              </div>
-            </CardContent>
-          </Card>
-
-          <div className="space-y-2">
-            {invoiceData.urls && invoiceData.urls.length > 0 ? (
-              invoiceData.urls.map((bank, index) => (
-                <a
-                  key={index}
-                  href={bank.link}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="block"
-                >
-                  <Card className="hover:bg-accent transition-colors cursor-pointer">
-                    <CardContent className="p-4">
-                      <div className="flex items-center gap-4">
-                        <div className="w-12 h-12 shrink-0 bg-white rounded-lg flex items-center justify-center overflow-hidden">
-                          <img
-                            src={bank.logo}
-                            alt={bank.name}
-                            className="w-10 h-10 object-contain"
-                          />
-                        </div>
-                        <div className="flex-1 min-w-0">
-                          <h3 className="font-semibold text-base">{bank.name}</h3>
-                          {bank.description && (
-                            <p className="text-sm text-muted-foreground truncate">
-                              {bank.description}
-                            </p>
-                          )}
-                        </div>
-                      </div>
-                    </CardContent>
-                  </Card>
-                </a>
-              ))
-            ) : (
-              <Alert>
-                <AlertCircle className="h-4 w-4" />
-                <AlertDescription>
-                  No payment channels found
-                </AlertDescription>
-              </Alert>
-            )}
-          </div>
-        </div>
-
-        <Dialog open={showQRModal} onOpenChange={setShowQRModal}>
-          <DialogContent className="sm:max-w-md">
-            <DialogHeader>
-              <DialogTitle className="text-center">QR Code</DialogTitle>
-            </DialogHeader>
-            <div className="flex justify-center p-4">
-              <img
-                src={getQRImageUrl(invoiceData.qr_image)}
-                alt="Payment QR Code"
-                className="w-full max-w-sm"
-              />
-            </div>
-          </DialogContent>
-        </Dialog>
-      </div>
-    );
-  }
+  const handleTabChange = (value) => {
+    navigate(tabPaths[value] ?? '/pay');
+  };
 
-  if (paymentStatus === 'paid') {
-    return (
-      <div className="min-h-screen bg-background flex items-center justify-center">
-        <div className="container max-w-md">
-          <Alert className="border-green-500 bg-green-50 dark:bg-green-950">
-            <CheckCircle2 className="h-6 w-6 text-green-600" />
-            <AlertDescription className="text-green-800 dark:text-green-200 text-lg">
-              Payment successful! Redirecting to homepage...
-            </AlertDescription>
-          </Alert>
-        </div>
-      </div>
-    );
-  }
+  const selectedPlan = plans?.find((plan) => plan.id === selectedPlanId) ?? plans?.[0] ?? null;
+  const remainingDays = activeEntitlement ? getRemainingDays(activeEntitlement.expiresAt) : 0;
+  const canRenew = !activeEntitlement || remainingDays <= RENEWAL_WINDOW_DAYS;
 
   return (
     <div className="container py-8 space-y-8">
       <div>
-        <h1 className="text-3xl font-bold mb-2">User Dashboard</h1>
-        <p className="text-muted-foreground">Make a payment</p>
+        <h1 className="text-3xl font-bold mb-2">{t('dashboard.title')}</h1>
+        <p className="text-muted-foreground">{t('dashboard.subtitle')}</p>
       </div>
 
-      <div className="max-w-md mx-auto">
-        {paymentError && (
-          <Alert variant="destructive" className="mb-4">
-            <AlertCircle className="h-4 w-4" />
-            <AlertDescription>{paymentError}</AlertDescription>
-          </Alert>
-        )}
-        
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              <CreditCard className="h-5 w-5" />
-              Make Payment
-            </CardTitle>
-            <CardDescription>Pay with QPay</CardDescription>
-          </CardHeader>
-          <CardContent>
-            {configLoading ? (
-              <div className="flex items-center justify-center py-8">
-                <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
-                <span className="ml-2 text-muted-foreground">Loading...</span>
-              </div>
-            ) : (
-              <div className="space-y-4">
-                <div className="p-4 bg-muted rounded-lg">
-                  <div className="flex justify-between items-center mb-2">
-                    <span className="text-sm font-medium">Amount:</span>
-                    <span className="text-2xl font-bold">₮{displayAmount}</span>
+      {stripeConfigured && tab !== 'history' && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-muted-foreground">{t('dashboard.payWith')}</span>
+          <Button variant={provider === 'qpay' ? 'default' : 'outline'} size="sm" onClick={() => setProvider('qpay')}>
+            <QrCode className="mr-2 h-4 w-4" />
+            QPay
+          </Button>
+          <Button variant={provider === 'stripe' ? 'default' : 'outline'} size="sm" onClick={() => setProvider('stripe')}>
+            <CreditCard className="mr-2 h-4 w-4" />
+            {t('dashboard.cardStripe')}
+          </Button>
+        </div>
+      )}
+
+      {paymentError && (
+        <Alert variant="destructive" className="max-w-md mx-auto">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{translateError(paymentError)}</AlertDescription>
+        </Alert>
+      )}
+
+      <Tabs value={tab} onValueChange={handleTabChange} className="space-y-6">
+        <TabsList>
+          <TabsTrigger value="payment" className="flex items-center gap-2">
+            <CreditCard className="h-4 w-4" />
+            {t('dashboard.tabs.payment')}
+          </TabsTrigger>
+          <TabsTrigger value="catalog" className="flex items-center gap-2">
+            <Library className="h-4 w-4" />
+            {t('dashboard.tabs.catalog')}
+          </TabsTrigger>
+          <TabsTrigger value="history" className="flex items-center gap-2">
+            <History className="h-4 w-4" />
+            {t('dashboard.tabs.history')}
+          </TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="payment">
+          <div className="max-w-md mx-auto space-y-6">
+            {activeEntitlement && <AccessPassCard />}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <CreditCard className="h-5 w-5" />
+                  {t('dashboard.makePayment')}
+                </CardTitle>
+                <CardDescription>{payWithCard ? t('dashboard.payByCard') : t('dashboard.payWithQPay')}</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {plansLoading ? (
+                  <div className="flex items-center justify-center py-8">
+                    <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                    <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
                   </div>
-                  <p className="text-xs text-muted-foreground">{displayDescription}</p>
-                </div>
-                <Button onClick={handlePay} disabled={makePayment.isPending} className="w-full" size="lg">
-                  {makePayment.isPending ? (
-                    <>
-                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                      Loading...
-                    </>
-                  ) : (
-                    <>
-                      <CreditCard className="mr-2 h-4 w-4" />
-                      Pay
-                    </>
-                  )}
-                </Button>
-              </div>
-            )}
-          </CardContent>
-        </Card>
-      </div>
+                ) : (
+                  <div className="space-y-4">
+                    {activeEntitlement && (
+                      <div className="p-4 rounded-lg border border-green-500 bg-green-50 dark:bg-green-950">
+                        <div className="flex items-center gap-2 mb-1">
+                          <CalendarClock className="h-4 w-4 text-green-600" />
+                          <span className="font-medium text-green-800 dark:text-green-200">
+                            {t('dashboard.passActive')}
+                          </span>
+                        </div>
+                        <p className="text-2xl font-bold text-green-800 dark:text-green-200">
+                          {t('dashboard.daysRemaining', { count: remainingDays })}
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                          {t('dashboard.validUntil', { date: formatTimestamp(activeEntitlement.expiresAt) })}
+                        </p>
+                      </div>
+                    )}
+                    {activeEntitlement && canRenew && (
+                      <Alert className="border-yellow-500 bg-yellow-50 dark:bg-yellow-950">
+                        <Clock className="h-4 w-4 text-yellow-600" />
+                        <AlertDescription className="text-yellow-800 dark:text-yellow-200">
+                          {t('dashboard.expiresSoon')}
+                        </AlertDescription>
+                      </Alert>
+                    )}
+                    {plans && plans.length > 0 ? (
+                      <div className="space-y-2">
+                        {plans.map((plan) => {
+                          const isSelected = selectedPlan?.id === plan.id;
+                          return (
+                            <button
+                              key={plan.id.toString()}
+                              type="button"
+                              onClick={() => setSelectedPlanId(plan.id)}
+                              className={`w-full text-left p-4 rounded-lg border transition-colors ${
+                                isSelected ? 'border-primary bg-muted' : 'hover:bg-accent'
+                              }`}
+                            >
+                              <div className="flex justify-between items-center mb-1">
+                                <span className="text-sm font-medium">{plan.description}</span>
+                                <span className="text-2xl font-bold">₮{plan.amount.toString()}</span>
+                              </div>
+                              <p className="text-xs text-muted-foreground">
+                                {t('dashboard.accessFor', { count: plan.durationDays.toString() })}
+                              </p>
+                            </button>
+                          );
+                        })}
+                      </div>
+                    ) : (
+                      <Alert>
+                        <AlertCircle className="h-4 w-4" />
+                        <AlertDescription>{t('dashboard.noPlans')}</AlertDescription>
+                      </Alert>
+                    )}
+                    {canRenew && selectedPlan && (
+                      <Button
+                        onClick={() => handlePayPlan(selectedPlan)}
+                        disabled={isPaying}
+                        className="w-full"
+                        size="lg"
+                      >
+                        {isPaying ? (
+                          <>
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                            {t('common.loading')}
+                          </>
+                        ) : activeEntitlement ? (
+                          <>
+                            <RefreshCw className="mr-2 h-4 w-4" />
+                            {t('dashboard.renew')}
+                          </>
+                        ) : (
+                          <>
+                            <CreditCard className="mr-2 h-4 w-4" />
+                            {t('dashboard.pay')}
+                          </>
+                        )}
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        </TabsContent>
+
+        <TabsContent value="catalog">
+          <ContentCatalog
+            onPurchase={handlePayContent}
+            onOpen={(item) => navigate(`/catalog/${item.id}`)}
+            purchasingId={purchasingContentId}
+            isPurchasing={isPaying}
+          />
+        </TabsContent>
+
+        <TabsContent value="history">
+          <PaymentHistory />
+        </TabsContent>
+      </Tabs>
     </div>
   );
 }
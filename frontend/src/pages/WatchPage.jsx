@@ -0,0 +1,116 @@
+import { useEffect, useRef } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { ArrowLeft, Loader2, AlertCircle, PlayCircle } from 'lucide-react';
+import { useGetVideoPlayback, useSaveVideoProgress } from '../hooks/useQueries';
+import { formatDuration } from '../lib/utils';
+import { useI18n } from '../i18n/useI18n';
+
+// How often playback position is written to the backend while the video plays
+const PROGRESS_SAVE_INTERVAL_SECONDS = 10;
+
+export default function WatchPage({ item, onExit }) {
+  const { t } = useI18n();
+  const { data: playback, isLoading, error } = useGetVideoPlayback(item.id);
+  const saveProgress = useSaveVideoProgress();
+
+  const videoRef = useRef(null);
+  const lastSavedRef = useRef(0);
+  const positionRef = useRef(0);
+
+  const persistPosition = () => {
+    const video = videoRef.current;
+    // A finished video starts from the beginning next time
+    const position = video?.ended ? 0 : positionRef.current;
+    lastSavedRef.current = position;
+    saveProgress.mutate({ contentId: item.id, positionSeconds: position });
+  };
+
+  const handleLoadedMetadata = () => {
+    const video = videoRef.current;
+    if (!video || !playback) return;
+    const resumeAt = Number(playback.resumeAtSeconds);
+    if (resumeAt > 0 && resumeAt < video.duration) {
+      console.log('[WatchPage] Resuming at', resumeAt, 'seconds');
+      video.currentTime = resumeAt;
+    }
+    lastSavedRef.current = resumeAt;
+    positionRef.current = resumeAt;
+  };
+
+  const handleTimeUpdate = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    positionRef.current = video.currentTime;
+    if (Math.abs(video.currentTime - lastSavedRef.current) >= PROGRESS_SAVE_INTERVAL_SECONDS) {
+      persistPosition();
+    }
+  };
+
+  // Save the last position when leaving the page; the video element is already gone at this point
+  useEffect(() => {
+    return () => {
+      if (positionRef.current > 0 && Math.abs(positionRef.current - lastSavedRef.current) >= 1) {
+        saveProgress.mutate({ contentId: item.id, positionSeconds: positionRef.current });
+      }
+    };
+  }, []);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-4">
+      <Button variant="ghost" onClick={onExit}>
+        <ArrowLeft className="mr-2 h-4 w-4" />
+        {t('catalog.backToCatalog')}
+      </Button>
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <PlayCircle className="h-5 w-5" />
+            {playback?.title || item.title}
+          </CardTitle>
+          {item.description && <CardDescription>{item.description}</CardDescription>}
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-16">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              <span className="ml-2 text-muted-foreground">{t('common.loading')}</span>
+            </div>
+          ) : error ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                {String(error.message || '').includes('payment required')
+                  ? t('watch.locked')
+                  : t('watch.loadFailed')}
+              </AlertDescription>
+            </Alert>
+          ) : playback ? (
+            <>
+              <video
+                ref={videoRef}
+                src={playback.assetUrl}
+                poster={playback.thumbnailUrl || undefined}
+                controls
+                controlsList="nodownload"
+                disablePictureInPicture
+                onContextMenu={(e) => e.preventDefault()}
+                onLoadedMetadata={handleLoadedMetadata}
+                onTimeUpdate={handleTimeUpdate}
+                onPause={persistPosition}
+                onEnded={persistPosition}
+                className="w-full rounded-lg bg-black"
+              />
+              {playback.durationSeconds > 0n && (
+                <p className="text-sm text-muted-foreground">
+                  {t('watch.length', { duration: formatDuration(Number(playback.durationSeconds)) })}
+                </p>
+              )}
+            </>
+          ) : null}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}